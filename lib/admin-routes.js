@@ -0,0 +1,542 @@
+import express from 'express';
+import { toDestination, validateDestination, withoutSecret } from './channels/index.js';
+import { parseAlertQuery, alertsToCsv, MAX_PAGE_SIZE } from './history.js';
+import { parsePeriod } from './paper.js';
+import { renderChartPng, renderChartSvg } from './charts.js';
+import { renderDashboard } from './dashboard.js';
+import { subscriberStatus, canReceiveAlerts, validateSubscriberChanges } from './subscribers.js';
+
+/**
+ * The admin API and dashboard of one bot: logs, subscribers, invites,
+ * broadcasts, the delivery queue, the alert history, paper trading, price
+ * alerts and the executor. Every route checks its admin scope with
+ * requireScope. Returns an express.Router that createBot mounts on the
+ * bot's router.
+ *
+ * `bot` holds what the routes use from createBot:
+ * - id, basePath, settings (live, reloadable settings), requireScope
+ * - savedChatIds, defaultChatId(), addChat, removeChat, updateChat,
+ *   updateSubscription, updateDigest, setChatStatus
+ * - requestLogs, liveEvents, addLog
+ * - invites, deliveryQueue, enqueueMessages, recordDelivery
+ * - alertHistory, tickerChartPoints, processAlert
+ * - paperTrading, paperMode, paperLedger, priceAlerts, priceFeed, executor
+ */
+export function createAdminRouter(bot) {
+  const {
+    id,
+    basePath,
+    settings,
+    requireScope,
+    savedChatIds,
+    defaultChatId,
+    addChat,
+    removeChat,
+    updateChat,
+    updateSubscription,
+    updateDigest,
+    setChatStatus,
+    requestLogs,
+    liveEvents,
+    addLog,
+    invites,
+    deliveryQueue,
+    enqueueMessages,
+    recordDelivery,
+    alertHistory,
+    tickerChartPoints,
+    processAlert,
+    paperTrading,
+    paperMode,
+    paperLedger,
+    priceAlerts,
+    priceFeed,
+    executor,
+  } = bot;
+  const router = express.Router();
+
+  // Serve the live dashboard (lib/dashboard.js)
+  const loginPath = `/login?next=${encodeURIComponent(`${basePath}/`)}`;
+  router.get('/', requireScope('read-logs', { redirectTo: loginPath }), (req, res) => {
+    res.send(renderDashboard({ id, basePath, loginPath }));
+  });
+
+  // API endpoint to get logs (requires the "read-logs" scope)
+  router.get('/logs', requireScope('read-logs'), (req, res) => {
+    res.json({
+      total: requestLogs.length,
+      logs: requestLogs
+    });
+  });
+
+  // Counters shown at the top of the dashboard
+  function dashboardStats() {
+    return { alerts: alertHistory.stats(), queue: deliveryQueue.stats() };
+  }
+
+  const SSE_HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing idle streams
+
+  /**
+   * GET /logs/stream
+   * Server-sent events for the dashboard: a "snapshot" of the recent logs and
+   * stats on connect, then every new "log", every new or updated "alert"
+   * followed by fresh "stats"
+   * Requires the "read-logs" scope
+   */
+  router.get('/logs/stream', requireScope('read-logs'), (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const onLog = log => send('log', log);
+    const onAlert = alert => {
+      if (!alert) return;
+      send('alert', alert);
+      send('stats', dashboardStats());
+    };
+
+    send('snapshot', { logs: requestLogs, stats: dashboardStats() });
+    liveEvents.on('log', onLog);
+    liveEvents.on('alert', onAlert);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      liveEvents.off('log', onLog);
+      liveEvents.off('alert', onAlert);
+    });
+  });
+
+
+  /**
+   * GET /chat-ids
+   * View all registered chat IDs
+   * Requires the "manage-subscribers" scope
+   */
+  router.get('/chat-ids', requireScope('manage-subscribers'), (req, res) => {
+    res.status(200).json({
+      count: savedChatIds.length,
+      defaultChatId: defaultChatId() || null,
+      chatIds: savedChatIds,
+    });
+  });
+
+  /**
+   * GET /subscribers
+   * List subscribers. Query: status (pending, approved, blocked, inactive), role
+   * Requires the "manage-subscribers" scope
+   */
+  router.get('/subscribers', requireScope('manage-subscribers'), (req, res) => {
+    const { status, role } = req.query;
+    const subscribers = savedChatIds
+      .filter(c => !status || subscriberStatus(c) === status)
+      .filter(c => !role || (c.role || 'subscriber') === role)
+      .map(c => ({ ...c, status: subscriberStatus(c) }));
+    res.status(200).json({ count: subscribers.length, subscribers });
+  });
+
+  /**
+   * GET /subscribers/:id
+   * One subscriber
+   * Requires the "manage-subscribers" scope
+   */
+  router.get('/subscribers/:id', requireScope('manage-subscribers'), (req, res) => {
+    const chat = savedChatIds.find(c => c.id === req.params.id);
+    if (!chat) {
+      return res.status(404).json({ success: false, error: 'Subscriber not found' });
+    }
+    res.status(200).json({ ...chat, status: subscriberStatus(chat) });
+  });
+
+  // Check that a chat entry (possibly a Discord/Slack/webhook/email destination) can be delivered to
+  function subscriberError(chat) {
+    return validateDestination(toDestination(chat));
+  }
+
+  /**
+   * POST /subscribers
+   * Add a subscriber. Body: { "id": "123456789", "username": "...", "status": "approved", ... }
+   * Requires the "manage-subscribers" scope
+   */
+  router.post('/subscribers', requireScope('manage-subscribers'), (req, res) => {
+    const id = req.body?.id !== undefined ? String(req.body.id).trim() : '';
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Missing id' });
+    }
+    if (savedChatIds.some(c => c.id === id)) {
+      return res.status(409).json({ success: false, error: 'Subscriber already exists' });
+    }
+    const { changes, error } = validateSubscriberChanges(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const chat = {
+      id,
+      username: 'unknown',
+      status: 'approved',
+      role: 'subscriber',
+      ...changes,
+      addedAt: new Date().toISOString(),
+    };
+    const destinationError = subscriberError(chat);
+    if (destinationError) {
+      return res.status(400).json({ success: false, error: destinationError });
+    }
+
+    addChat(chat);
+    addLog('WEBHOOK', { message: `Subscriber ${id} added by ${req.admin.name}` });
+    res.status(201).json({ success: true, subscriber: chat });
+  });
+
+  /**
+   * PATCH /subscribers/:id
+   * Edit a subscriber: status, role, username, timezone, locale, subscriptions,
+   * digest ({ mode, schedule })
+   * Requires the "manage-subscribers" scope
+   */
+  router.patch('/subscribers/:id', requireScope('manage-subscribers'), (req, res) => {
+    const chat = savedChatIds.find(c => c.id === req.params.id);
+    if (!chat) {
+      return res.status(404).json({ success: false, error: 'Subscriber not found' });
+    }
+    const { changes, error } = validateSubscriberChanges(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    const destinationError = subscriberError({ ...chat, ...changes });
+    if (destinationError) {
+      return res.status(400).json({ success: false, error: destinationError });
+    }
+
+    const { status, subscriptions, digest, ...rest } = changes;
+    updateChat(chat.id, rest);
+    if (subscriptions) updateSubscription(chat.id, subscriptions);
+    // A new mode or schedule starts from now (on the scheduler's next check)
+    if (digest) updateDigest(chat.id, { ...digest, lastSlot: null });
+    if (status && status !== subscriberStatus(chat)) setChatStatus(chat.id, status, `updated by ${req.admin.name}`);
+    addLog('WEBHOOK', { message: `Subscriber ${chat.id} updated by ${req.admin.name}` });
+    res.status(200).json({ success: true, subscriber: { ...chat, status: subscriberStatus(chat) } });
+  });
+
+  /**
+   * DELETE /subscribers/:id
+   * Remove a subscriber and its settings
+   * Requires the "manage-subscribers" scope
+   */
+  router.delete('/subscribers/:id', requireScope('manage-subscribers'), (req, res) => {
+    const removed = removeChat(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Subscriber not found' });
+    }
+    addLog('WEBHOOK', { message: `Subscriber ${removed.id} removed by ${req.admin.name}` });
+    res.status(200).json({ success: true, removed: removed.id });
+  });
+
+  /**
+   * GET /invites
+   * List invite codes
+   * Requires the "manage-subscribers" scope
+   */
+  router.get('/invites', requireScope('manage-subscribers'), (req, res) => {
+    res.status(200).json({ invites: invites.list() });
+  });
+
+  /**
+   * POST /invites
+   * Create an invite code. Body: { "maxUses": 5, "expiresIn": "7d" } (maxUses 0 = unlimited)
+   * Requires the "manage-subscribers" scope
+   */
+  router.post('/invites', requireScope('manage-subscribers'), (req, res) => {
+    const { invite, error } = invites.create({
+      maxUses: req.body?.maxUses ?? 1,
+      expiresIn: req.body?.expiresIn,
+      createdBy: req.admin.name,
+    });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    res.status(201).json({ success: true, invite });
+  });
+
+  /**
+   * DELETE /invites/:code
+   * Revoke an invite code
+   * Requires the "manage-subscribers" scope
+   */
+  router.delete('/invites/:code', requireScope('manage-subscribers'), (req, res) => {
+    if (!invites.revoke(req.params.code)) {
+      return res.status(404).json({ success: false, error: 'Invite not found' });
+    }
+    res.status(200).json({ success: true });
+  });
+
+  /**
+   * POST /broadcast
+   * Send a message to all approved chats
+   * Requires the "broadcast" scope
+   */
+  router.post('/broadcast', requireScope('broadcast'), async (req, res) => {
+    try {
+      const { text } = req.body;
+
+      if (!text) {
+        return res.status(400).json({ success: false, error: 'Missing text' });
+      }
+
+      const recipients = savedChatIds.filter(canReceiveAlerts);
+      const jobs = enqueueMessages(recipients, { htmlFor: () => text });
+
+      res.status(202).json({ success: true, queued: recipients.length, messages: jobs.length });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /queue
+   * Delivery queue stats and dead-lettered messages
+   * Requires the "read-logs" scope
+   */
+  router.get('/queue', requireScope('read-logs'), (req, res) => {
+    res.status(200).json({
+      ...deliveryQueue.stats(),
+      // Jobs queued by older versions still carry webhook secrets
+      deadLetters: deliveryQueue.deadLetters().map(job => ({ ...job, destination: withoutSecret(job.destination) })),
+    });
+  });
+
+  /**
+   * POST /queue/retry
+   * Move dead-lettered messages back into the queue
+   * Body: { "ids": ["..."] } to retry specific messages, or empty for all
+   * Requires the "broadcast" scope
+   */
+  router.post('/queue/retry', requireScope('broadcast'), (req, res) => {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : undefined;
+    for (const job of deliveryQueue.deadLetters()) {
+      if (!ids || ids.includes(job.id)) recordDelivery(job, 'pending');
+    }
+    const retried = deliveryQueue.retryDead(ids);
+    addLog('WEBHOOK', { message: `Requeued ${retried} dead-lettered message(s)` });
+    res.status(200).json({ success: true, retried });
+  });
+
+  /**
+   * GET /alerts
+   * Search the alert history, newest first
+   * Query: ticker, action, source, chat_id, status (comma-separated),
+   *        from / to (ISO date or epoch ms), limit (default 50), offset
+   * Requires the "read-logs" scope
+   */
+  router.get('/alerts', requireScope('read-logs'), (req, res) => {
+    const { filters, error } = parseAlertQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    try {
+      const { total, alerts } = alertHistory.query(filters);
+      res.status(200).json({ total, limit: filters.limit, offset: filters.offset, alerts });
+    } catch (e) {
+      res.status(400).json({ success: false, error: e.message });
+    }
+  });
+
+  /**
+   * GET /alerts/export
+   * Download every alert matching the same filters as GET /alerts
+   * Query: format=csv (default) or format=json
+   */
+  router.get('/alerts/export', requireScope('read-logs'), (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be csv or json' });
+    }
+    const { filters, error } = parseAlertQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    let alerts;
+    try {
+      ({ alerts } = alertHistory.query(filters, { paginate: false }));
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+
+    const filename = `alerts-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      return res.status(200).json(alerts);
+    }
+    res.type('text/csv').status(200).send(alertsToCsv(alerts));
+  });
+
+  /**
+   * GET /alerts/chart
+   * Chart of a ticker's recent alert prices with BUY/SELL markers
+   * Query: ticker (required), points (default ALERT_CHART_POINTS),
+   *        format=svg (default) or format=png
+   * Requires the "read-logs" scope
+   */
+  router.get('/alerts/chart', requireScope('read-logs'), (req, res) => {
+    const format = req.query.format || 'svg';
+    if (!['svg', 'png'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be svg or png' });
+    }
+    if (!req.query.ticker) {
+      return res.status(400).json({ success: false, error: 'ticker is required' });
+    }
+    const limit = req.query.points === undefined ? settings.ALERT_CHART_POINTS : parseInt(req.query.points, 10);
+    if (!(limit >= 2 && limit <= MAX_PAGE_SIZE)) {
+      return res.status(400).json({ success: false, error: `points must be a number from 2 to ${MAX_PAGE_SIZE}` });
+    }
+
+    const ticker = String(req.query.ticker).toUpperCase();
+    let points;
+    try {
+      points = tickerChartPoints(ticker, limit);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+    if (points.length < 2) {
+      return res.status(404).json({ success: false, error: `Fewer than two prices stored for ${ticker}` });
+    }
+    if (format === 'png') {
+      return res.type('png').status(200).send(renderChartPng(points));
+    }
+    res.type('svg').status(200).send(renderChartSvg(points, { title: ticker }));
+  });
+
+  /**
+   * GET /alerts/:id
+   * One alert with its raw body, parsed fields and per-recipient deliveries
+   */
+  router.get('/alerts/:id', requireScope('read-logs'), (req, res) => {
+    const alert = alertHistory.get(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+    res.status(200).json(alert);
+  });
+
+  /**
+   * POST /alerts/:id/replay
+   * Send a stored alert again as a new alert, skipping duplicate filtering and
+   * paper trading. The new alert records which one it replays.
+   * Requires the "broadcast" scope
+   */
+  router.post('/alerts/:id/replay', requireScope('broadcast'), (req, res) => {
+    const original = alertHistory.get(req.params.id);
+    if (!original) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+    if (original.alert === null) {
+      return res.status(400).json({ success: false, error: 'Alert has no parsed content to replay' });
+    }
+
+    addLog('WEBHOOK', { message: `Alert ${original.id} replayed by ${req.admin.name}`, source: 'replay' });
+    const { status, body } = processAlert(original.alert, {
+      source: 'replay',
+      dialect: original.dialect,
+      contentType: original.contentType,
+      rawBody: original.rawBody,
+      alert: original.alert,
+      replayOf: original.id,
+    });
+    res.status(status).json({ ...body, replayOf: original.id });
+  });
+
+  // Paper-trading endpoints answer 404 when PAPER_TRADING=false
+  function requirePaperTrading(req, res, next) {
+    if (!paperTrading) {
+      return res.status(404).json({ success: false, error: 'Paper trading is disabled' });
+    }
+    next();
+  }
+
+  /**
+   * GET /paper/positions
+   * Open paper positions with unrealized P&L at the last alert price
+   * Requires the "read-logs" scope
+   */
+  router.get('/paper/positions', requireScope('read-logs'), requirePaperTrading, (req, res) => {
+    res.status(200).json({ mode: paperMode, positions: paperLedger.positions() });
+  });
+
+  /**
+   * GET /paper/pnl
+   * Realized P&L in total and per ticker/indicator
+   * Query: period ("all" by default, or a duration like 1d, 7d, 4w)
+   * Requires the "read-logs" scope
+   */
+  router.get('/paper/pnl', requireScope('read-logs'), requirePaperTrading, (req, res) => {
+    const { period, error } = parsePeriod(req.query.period);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    res.status(200).json({ period: req.query.period || 'all', ...paperLedger.summary(period) });
+  });
+
+  /**
+   * GET /paper/trades
+   * Closed paper trades, oldest first
+   * Query: period (same as GET /paper/pnl)
+   * Requires the "read-logs" scope
+   */
+  router.get('/paper/trades', requireScope('read-logs'), requirePaperTrading, (req, res) => {
+    const { period, error } = parsePeriod(req.query.period);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    res.status(200).json({ period: req.query.period || 'all', trades: paperLedger.trades(period) });
+  });
+
+  /**
+   * GET /price-alerts
+   * Price alerts of all chats, with the last known price of each ticker
+   * Query: chatId (optional)
+   * Requires the "read-logs" scope
+   */
+  router.get('/price-alerts', requireScope('read-logs'), (req, res) => {
+    const alerts = priceAlerts.list(req.query.chatId).map(alert => ({
+      ...alert,
+      lastPrice: priceAlerts.lastPrice(alert.ticker),
+    }));
+    res.status(200).json({ feed: priceFeed ? priceFeed.describe() : null, alerts });
+  });
+
+  /**
+   * DELETE /price-alerts/:id
+   * Delete a chat's price alert
+   * Requires the "manage-subscribers" scope
+   */
+  router.delete('/price-alerts/:id', requireScope('manage-subscribers'), (req, res) => {
+    const removed = priceAlerts.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Price alert not found' });
+    }
+    addLog('PRICE', { message: `Price alert #${removed.id} of ${removed.chatId} deleted by ${req.admin.name}` });
+    res.status(200).json({ success: true, removed: removed.id });
+  });
+
+  /**
+   * GET /executor
+   * Executor mode and limits, today's order count and realized P&L, open
+   * positions and the latest executions
+   * Requires the "read-logs" scope
+   */
+  router.get('/executor', requireScope('read-logs'), (req, res) => {
+    if (!executor) {
+      return res.status(404).json({ success: false, error: 'Order executor is off (EXECUTOR_MODE=off)' });
+    }
+    res.status(200).json(executor.status());
+  });
+
+  return router;
+}
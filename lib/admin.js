@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import { safeEqual } from './auth.js';
+
+// What an admin token can be allowed to do
+export const ADMIN_SCOPES = ['read-logs', 'manage-subscribers', 'broadcast', 'manage-config'];
+
+export const SESSION_COOKIE = 'tvbot_session';
+export const ADMIN_TOKEN_HEADER = 'x-admin-token';
+
+/**
+ * Parse admin API tokens from the environment.
+ *
+ * ADMIN_TOKENS="ops:tok_abc:read-logs+broadcast,viewer:tok_def:read-logs:acme"
+ * Each entry is name:token:scopes[:tenants], with scopes and tenants joined
+ * by "+"; "*" grants every scope. Without tenants (or with "*") the token
+ * works for every bot. Throws on malformed entries and unknown scopes.
+ */
+export function loadAdminTokens(value = process.env.ADMIN_TOKENS) {
+  const tokens = [];
+  for (const entry of String(value || '').split(',')) {
+    if (!entry.trim()) continue;
+    const [name, token, scopeList, tenantList = '*'] = entry.split(':').map(part => part?.trim());
+    if (!name || !token || !scopeList || !tenantList) {
+      throw new Error(`Invalid admin token entry "${name || entry.trim()}" (expected name:token:scopes[:tenants])`);
+    }
+    const scopes = scopeList === '*' ? [...ADMIN_SCOPES] : scopeList.split('+').map(s => s.trim());
+    const unknown = scopes.filter(s => !ADMIN_SCOPES.includes(s));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope "${unknown.join(', ')}" for admin token "${name}" (expected ${ADMIN_SCOPES.join(', ')} or *)`);
+    }
+    const tenants = tenantList === '*' ? '*' : tenantList.split('+').map(t => t.trim()).filter(Boolean);
+    tokens.push({ name, token, scopes, tenants });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a Cookie header into an object.
+ */
+export function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator <= 0) continue;
+    const name = part.slice(0, separator).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(separator + 1).trim());
+    } catch (e) {
+      // Ignore malformed values
+    }
+  }
+  return cookies;
+}
+
+// Bearer token or x-admin-token header
+function tokenFromRequest(req) {
+  const authorization = req.headers.authorization || '';
+  if (/^bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^bearer\s+/i, '').trim();
+  }
+  return req.headers[ADMIN_TOKEN_HEADER] || null;
+}
+
+/**
+ * Admin authentication: API tokens with scopes, plus login sessions for the
+ * dashboard.
+ *
+ * - tokens: from loadAdminTokens()
+ * - password: ADMIN_PASSWORD, logs in with every scope
+ * - sessionTtlMs: how long a dashboard login lasts
+ * - secureCookies: mark the session cookie Secure (HTTPS only)
+ *
+ * Sessions are kept in memory, so a restart logs everyone out.
+ */
+export function createAdminAuth({ tokens = [], password, sessionTtlMs = 12 * 60 * 60 * 1000, secureCookies = false }) {
+  // session id -> { name, scopes, tenants, expiresAt }
+  const sessions = new Map();
+  const enabled = tokens.length > 0 || Boolean(password);
+
+  function prune(now) {
+    for (const [id, session] of sessions) {
+      if (session.expiresAt <= now) sessions.delete(id);
+    }
+  }
+
+  function findToken(value) {
+    if (!value) return null;
+    // Compare against every token so timing doesn't reveal which one matched
+    let match = null;
+    for (const entry of tokens) {
+      if (safeEqual(entry.token, value)) match = entry;
+    }
+    return match;
+  }
+
+  /**
+   * Who is making this request: { name, scopes, tenants, via } or null.
+   */
+  function authenticate(req) {
+    const token = findToken(tokenFromRequest(req));
+    if (token) {
+      return { name: token.name, scopes: token.scopes, tenants: token.tenants, via: 'token' };
+    }
+
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const now = Date.now();
+    prune(now);
+    const session = sessionId && sessions.get(sessionId);
+    if (session) {
+      return { name: session.name, scopes: session.scopes, tenants: session.tenants, via: 'session' };
+    }
+    return null;
+  }
+
+  /**
+   * Check a login secret: ADMIN_PASSWORD gives every scope on every bot, an
+   * API token gives that token's scopes and tenants.
+   * Returns { name, scopes, tenants } or null.
+   */
+  function checkCredentials(secret) {
+    if (password && safeEqual(password, String(secret || ''))) {
+      return { name: 'admin', scopes: [...ADMIN_SCOPES], tenants: '*' };
+    }
+    const token = findToken(String(secret || ''));
+    return token ? { name: token.name, scopes: token.scopes, tenants: token.tenants } : null;
+  }
+
+  function cookie(value, maxAgeSeconds) {
+    return [
+      `${SESSION_COOKIE}=${value}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Strict',
+      `Max-Age=${maxAgeSeconds}`,
+      ...(secureCookies ? ['Secure'] : []),
+    ].join('; ');
+  }
+
+  /**
+   * Start a dashboard session and set its cookie on the response.
+   */
+  function startSession(res, { name, scopes, tenants = '*' }) {
+    const id = crypto.randomBytes(32).toString('hex');
+    sessions.set(id, { name, scopes, tenants, expiresAt: Date.now() + sessionTtlMs });
+    res.setHeader('Set-Cookie', cookie(id, Math.floor(sessionTtlMs / 1000)));
+    return id;
+  }
+
+  function canAccessTenant(admin, tenant) {
+    return admin.tenants === '*' || admin.tenants.includes(tenant);
+  }
+
+  function endSession(req, res) {
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (sessionId) sessions.delete(sessionId);
+    res.setHeader('Set-Cookie', cookie('', 0));
+  }
+
+  /**
+   * Middleware that requires an admin token or session with `scope`, and
+   * with access to `tenant` when one is given.
+   * With redirectTo set, unauthenticated requests are redirected there
+   * (for pages opened in a browser) instead of getting a 401.
+   */
+  function requireScope(scope, { redirectTo, tenant } = {}) {
+    return (req, res, next) => {
+      if (!enabled) {
+        return res.status(503).json({
+          success: false,
+          error: 'Admin API disabled: set ADMIN_TOKENS or ADMIN_PASSWORD',
+        });
+      }
+
+      const admin = authenticate(req);
+      if (!admin) {
+        if (redirectTo) return res.redirect(302, redirectTo);
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ success: false, error: 'Unauthorized: admin token or login required' });
+      }
+      if (!admin.scopes.includes(scope)) {
+        return res.status(403).json({ success: false, error: `Forbidden: "${scope}" scope required` });
+      }
+      if (tenant && !canAccessTenant(admin, tenant)) {
+        // "*" guards server-wide routes: only admins of every bot get in
+        const error = tenant === '*' ? 'Forbidden: access to every bot required' : `Forbidden: no access to bot "${tenant}"`;
+        return res.status(403).json({ success: false, error });
+      }
+
+      req.admin = admin;
+      next();
+    };
+  }
+
+  return { enabled, authenticate, checkCredentials, startSession, endSession, canAccessTenant, requireScope };
+}
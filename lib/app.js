@@ -0,0 +1,442 @@
+import fs from 'fs';
+import express from 'express';
+import {
+  SECRET_HEADER,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  SOURCE_HEADER,
+} from './auth.js';
+import { createMetrics } from './metrics.js';
+import { loadAdminTokens, createAdminAuth, ADMIN_TOKEN_HEADER } from './admin.js';
+import { createBot, durationSetting } from './bot.js';
+import { loadTenants } from './tenants.js';
+import { loadConfig, describeConfig, CONFIG_SETTINGS } from './config.js';
+import { createRateLimiter, rateLimitRulesFromEnv } from './rate-limits.js';
+
+// TRUST_PROXY as Express wants it: true/false, a number of hops, or addresses
+function trustProxySetting(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * The web server: admin auth, shared middleware, the default bot and the
+ * tenant bots, health probes and metrics.
+ *
+ * Settings come from the environment and the config file (CONFIG_FILE or
+ * ./config.yaml, see lib/config.js); environment variables win.
+ *
+ * Creating the app has no side effects besides opening each bot's storage:
+ * nothing listens, polls or sends until start(). Invalid settings throw.
+ *
+ * Returns { app, bots, adminAuth, adminTokens, env, start(), reload(), close() };
+ * env holds the settings the server started with, reload() re-reads the
+ * config file and close() stops every bot and finishes its storage writes.
+ */
+export async function createApp({ env: baseEnv = process.env } = {}) {
+  const app = express();
+  let config = await loadConfig({ env: baseEnv });
+  let env = config.env;
+
+  // Admin API tokens (with scopes and bots) and dashboard login
+  let adminTokens = [];
+  try {
+    adminTokens = loadAdminTokens(env.ADMIN_TOKENS);
+  } catch (e) {
+    throw new Error(`ADMIN_TOKENS - ${e.message}`);
+  }
+  const adminAuth = createAdminAuth({
+    tokens: adminTokens,
+    password: env.ADMIN_PASSWORD,
+    sessionTtlMs: durationSetting(env, 'ADMIN_SESSION_TTL', '12h'),
+    secureCookies: env.NODE_ENV === 'production',
+  });
+  // Browser origins allowed to call admin routes (besides the dashboard itself)
+  let ADMIN_ORIGINS = [];
+
+  // Prometheus metrics (GET /metrics), shared by every bot and labelled by tenant
+  const metrics = createMetrics();
+  const botMetrics = {
+    webhooksReceived: metrics.counter('tvbot_webhooks_received_total', 'Alert webhooks received, by dialect and outcome', ['tenant', 'dialect', 'outcome']),
+    messagesSent: metrics.counter('tvbot_messages_total', 'Queued messages that were delivered or gave up, by channel', ['tenant', 'channel', 'status']),
+    messageRetries: metrics.counter('tvbot_message_retries_total', 'Failed delivery attempts that will be retried, by channel', ['tenant', 'channel']),
+    telegramApiDuration: metrics.histogram('tvbot_telegram_api_duration_seconds', 'Telegram Bot API request latency', ['tenant', 'method', 'ok']),
+    pollErrors: metrics.counter('tvbot_telegram_poll_errors_total', 'getUpdates calls that failed', ['tenant']),
+    orders: metrics.counter('tvbot_orders_total', 'Orders from the executor, by mode and status', ['tenant', 'mode', 'status']),
+  };
+  const rateLimitedRequests = metrics.counter('tvbot_rate_limited_total', 'Requests rejected by the rate limiter, by rule', ['rule']);
+
+  // The default bot (TELEGRAM_BOT_TOKEN & co.) and the tenant bots from TENANTS_FILE
+  const bots = [];
+  async function createBots() {
+    if (env.TELEGRAM_BOT_TOKEN) {
+      bots.push(await createBot({ env, adminAuth, metrics: botMetrics }));
+    }
+    for (const tenant of loadTenants({ env })) {
+      fs.mkdirSync(tenant.dataDir, { recursive: true });
+      try {
+        bots.push(await createBot({ id: tenant.id, env: tenant.env, adminAuth, metrics: botMetrics }));
+      } catch (e) {
+        throw new Error(`[${tenant.id}] ${e.message}`);
+      }
+    }
+    if (bots.length === 0) {
+      throw new Error('TELEGRAM_BOT_TOKEN environment variable is not set (and no tenants are configured)');
+    }
+  }
+  try {
+    await createBots();
+  } catch (e) {
+    // Let the bots that were created finish their storage writes
+    await Promise.allSettled(bots.map(bot => bot.close()));
+    throw e;
+  }
+  const defaultBot = bots.find(bot => bot.id === null) || null;
+  const tenantBots = bots.filter(bot => bot.id !== null);
+
+  // Per-bot gauges, read on every scrape
+  function botGauge(name, help, read) {
+    metrics.gauge(name, help, ['tenant'], () => bots.map(bot => ({ labels: { tenant: bot.name }, value: read(bot.gauges()) })));
+  }
+  botGauge('tvbot_queue_depth', 'Messages waiting in the delivery queue', g => g.queueDepth);
+  botGauge('tvbot_queue_dead_letters', 'Messages that gave up after every retry', g => g.deadLetters);
+  botGauge('tvbot_subscribers', 'Chats approved to receive alerts', g => g.subscribers);
+  botGauge('tvbot_telegram_last_poll_timestamp_seconds', 'Unix time of the last successful getUpdates',
+    g => (g.lastPollAt ? Math.floor(g.lastPollAt / 1000) : null));
+  metrics.gauge('process_uptime_seconds', 'Seconds since the server started', [], () => Math.floor(process.uptime()));
+
+  // Keep the raw body around for HMAC signature verification
+  function captureRawBody(req, res, buf) {
+    req.rawBody = buf.toString('utf8');
+  }
+
+  // Body parsers for a size limit (BODY_LIMIT)
+  function createBodyParsers(limit) {
+    const parsers = express.Router();
+    parsers.use(express.json({ limit, verify: captureRawBody }));
+    parsers.use(express.urlencoded({ limit, extended: false, verify: captureRawBody })); // Form-encoded alerts (screeners)
+    parsers.use(express.text({ limit, type: '*/*', verify: captureRawBody })); // Accept plain text from TradingView
+    return parsers;
+  }
+
+  // Server-wide settings a reload can change; requests already past the
+  // body parsers and the rate limiter keep the ones they started with
+  let bodyParsers = null;
+  let bodyLimit = null;
+  let rateLimiter = null;
+  let rateLimitRules = null;
+  function applyServerSettings() {
+    app.set('trust proxy', trustProxySetting(env.TRUST_PROXY));
+    ADMIN_ORIGINS = (env.ADMIN_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+    if (bodyLimit !== (env.BODY_LIMIT || '10kb')) {
+      bodyLimit = env.BODY_LIMIT || '10kb';
+      bodyParsers = createBodyParsers(bodyLimit);
+    }
+    // Counters are kept unless the rules change
+    const rules = rateLimitRulesFromEnv(env);
+    if (JSON.stringify(rules) !== JSON.stringify(rateLimitRules)) {
+      rateLimiter?.close();
+      rateLimitRules = rules;
+      rateLimiter = createRateLimiter(rules, { onLimited: rule => rateLimitedRequests.inc({ rule: rule.name }) });
+    }
+  }
+  applyServerSettings();
+
+  // Middleware
+  app.use((req, res, next) => bodyParsers(req, res, next));
+
+  // Endpoints anyone may call from a browser (alert senders, health checks),
+  // for the default bot and under /tenants/<id> for the others
+  function isPublicRoute(req) {
+    const path = req.path.replace(/^\/tenants\/[^/]+(?=\/|$)/, '') || '/';
+    return ['/tv-webhook', '/telegram-webhook', '/health', '/livez', '/readyz'].includes(path)
+      || path.startsWith('/hook/')
+      || path.startsWith('/tv-webhook/')
+      || (path === '/' && req.method !== 'GET');
+  }
+
+  // CORS middleware - webhooks accept any origin, admin routes only ADMIN_ORIGINS
+  app.use((req, res, next) => {
+    if (isPublicRoute(req)) {
+      res.header('Access-Control-Allow-Origin', '*');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.header('Access-Control-Allow-Headers', `Content-Type, ${SECRET_HEADER}, ${SIGNATURE_HEADER}, ${TIMESTAMP_HEADER}, ${SOURCE_HEADER}`);
+    } else if (req.headers.origin && ADMIN_ORIGINS.includes(req.headers.origin)) {
+      res.header('Access-Control-Allow-Origin', req.headers.origin);
+      res.header('Access-Control-Allow-Credentials', 'true');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Headers', `Content-Type, Authorization, ${ADMIN_TOKEN_HEADER}`);
+      res.header('Vary', 'Origin');
+    }
+    if (req.method === 'OPTIONS') {
+      return res.sendStatus(200);
+    }
+    next();
+  });
+
+  // Rate limits per route and for TradingView's addresses (see lib/rate-limits.js)
+  app.use((req, res, next) => rateLimiter(req, res, next));
+
+
+  /**
+   * GET /login
+   * Dashboard login page
+   */
+  app.get('/login', (req, res) => {
+    res.send(`
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <title>TradingView Bot - Login</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+      * { margin: 0; padding: 0; box-sizing: border-box; }
+      body { font-family: 'Monaco', 'Consolas', monospace; background: #0d1117; color: #c9d1d9; padding: 20px; display: flex; justify-content: center; }
+      form { background: #161b22; padding: 30px; border-radius: 8px; border: 1px solid #30363d; margin-top: 80px; width: 100%; max-width: 360px; }
+      h1 { color: #58a6ff; margin-bottom: 20px; font-size: 20px; }
+      input { width: 100%; padding: 10px; margin-bottom: 15px; border-radius: 6px; border: 1px solid #30363d; background: #0d1117; color: #c9d1d9; }
+      button { width: 100%; padding: 10px 20px; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; background: #238636; color: white; }
+      .error { color: #f85149; margin-bottom: 15px; min-height: 1em; font-size: 13px; }
+    </style>
+  </head>
+  <body>
+    <form id="login">
+      <h1>📡 TradingView Bot</h1>
+      <div class="error" id="error"></div>
+      <input type="password" id="password" placeholder="Admin password or API token" autocomplete="current-password" autofocus required>
+      <button type="submit">Log in</button>
+    </form>
+    <script>
+      // Back to the dashboard that sent us here (same site only)
+      const next = new URLSearchParams(window.location.search).get('next');
+      const safeNext = next && next.startsWith('/') && !next.startsWith('//') ? next : null;
+      document.getElementById('login').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const res = await fetch('/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ password: document.getElementById('password').value })
+        });
+        if (res.ok) {
+          const data = await res.json();
+          window.location.href = safeNext || data.home;
+        } else {
+          const data = await res.json().catch(() => ({}));
+          document.getElementById('error').textContent = data.error || 'Login failed';
+        }
+      });
+    </script>
+  </body>
+  </html>
+    `);
+  });
+
+  /**
+   * POST /login
+   * Start a dashboard session. Body: { "password": "..." } - the admin
+   * password, or an API token (the session gets that token's scopes and bots).
+   * `home` is the dashboard of the first bot the session can see.
+   */
+  app.post('/login', (req, res) => {
+    if (!adminAuth.enabled) {
+      return res.status(503).json({ success: false, error: 'Admin API disabled: set ADMIN_TOKENS or ADMIN_PASSWORD' });
+    }
+    const admin = adminAuth.checkCredentials(req.body?.password);
+    if (!admin) {
+      console.error(`❌ Failed dashboard login from ${req.ip || 'unknown'}`);
+      return res.status(401).json({ success: false, error: 'Invalid password or token' });
+    }
+    adminAuth.startSession(res, admin);
+    console.log(`🔑 Dashboard login: ${admin.name}`);
+    const home = bots.find(bot => adminAuth.canAccessTenant(admin, bot.name));
+    res.status(200).json({
+      success: true,
+      name: admin.name,
+      scopes: admin.scopes,
+      tenants: admin.tenants,
+      home: `${home ? home.basePath : ''}/`,
+    });
+  });
+
+  /**
+   * POST /logout
+   * End the dashboard session
+   */
+  app.post('/logout', (req, res) => {
+    adminAuth.endSession(req, res);
+    res.status(200).json({ success: true });
+  });
+
+
+  // Tenant bots live under /tenants/<id>; unknown ids get a 404
+  for (const bot of tenantBots) {
+    app.use(bot.basePath, bot.router);
+  }
+  app.use('/tenants/:tenant', (req, res) => {
+    res.status(404).json({ success: false, error: `Unknown tenant "${req.params.tenant}"` });
+  });
+
+  /**
+   * POST /tv-webhook/:tenant
+   * Alert webhook of a tenant bot (same as POST /tenants/<id>/tv-webhook)
+   */
+  for (const bot of tenantBots) {
+    app.post(`/tv-webhook/${bot.id}`, ...bot.webhookHandlers);
+  }
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.status(200).json({ 
+      status: 'ok', 
+      timestamp: new Date().toISOString(),
+      uptime: Math.floor(process.uptime()),
+      ...(defaultBot ? defaultBot.health() : {}),
+      tenants: Object.fromEntries(tenantBots.map(bot => [bot.id, bot.health()])),
+    });
+  });
+
+  /**
+   * GET /livez
+   * Liveness probe: the process is up and serving requests
+   */
+  app.get('/livez', (req, res) => {
+    res.status(200).json({ status: 'ok', uptime: Math.floor(process.uptime()) });
+  });
+
+  /**
+   * GET /readyz
+   * Readiness probe: checks every bot token with getMe and that updates are
+   * flowing (recent successful poll, or a webhook without recent errors).
+   * 200 when every check of every bot passes, 503 with status "degraded"
+   * otherwise. Tenant bots are listed under "tenants".
+   */
+  app.get('/readyz', async (req, res) => {
+    const [main, ...tenants] = await Promise.all([
+      defaultBot ? defaultBot.checkReadiness() : null,
+      ...tenantBots.map(bot => bot.checkReadiness()),
+    ]);
+    const all = [main, ...tenants].filter(Boolean);
+    const readiness = {
+      ...(main || { checkedAt: new Date().toISOString() }),
+      status: all.every(r => r.status === 'ok') ? 'ok' : 'degraded',
+      ...(tenantBots.length > 0 ? { tenants: Object.fromEntries(tenantBots.map((bot, i) => [bot.id, tenants[i]])) } : {}),
+    };
+    res.status(readiness.status === 'ok' ? 200 : 503).json(readiness);
+  });
+
+  /**
+   * GET /metrics
+   * Prometheus metrics (text exposition format), every bot labelled by tenant
+   * Requires the "read-logs" scope
+   */
+  app.get('/metrics', adminAuth.requireScope('read-logs'), (req, res) => {
+    res.type('text/plain; version=0.0.4').status(200).send(metrics.render());
+  });
+
+  /**
+   * GET /config
+   * The effective settings of the config file (secrets hidden), which file
+   * they came from and which ones a reload can change
+   * Requires the "manage-config" scope and access to every bot
+   */
+  app.get('/config', adminAuth.requireScope('manage-config', { tenant: '*' }), (req, res) => {
+    res.status(200).json({
+      success: true,
+      file: config.file,
+      loadedAt: config.loadedAt,
+      settings: describeConfig(env),
+      reloadable: config.reloadable,
+    });
+  });
+
+  /**
+   * POST /config/reload
+   * Re-read the config file, like SIGHUP. Responds with the settings that
+   * changed and those that need a restart; 400 with the schema errors when
+   * the file is invalid (the running settings are kept).
+   * Requires the "manage-config" scope and access to every bot
+   */
+  app.post('/config/reload', adminAuth.requireScope('manage-config', { tenant: '*' }), async (req, res) => {
+    try {
+      const result = await reload();
+      res.status(200).json({ success: true, ...result });
+    } catch (e) {
+      res.status(400).json({ success: false, error: e.message });
+    }
+  });
+
+  if (defaultBot) {
+    app.use(defaultBot.router);
+  } else {
+    // Only tenant bots: the first one's dashboard is the home page
+    app.get('/', (req, res) => res.redirect(302, `${tenantBots[0].basePath}/`));
+  }
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Not found. Use POST /tv-webhook to send alerts.',
+    });
+  });
+
+  // Start delivering, receiving Telegram updates and sending digests
+  function start() {
+    for (const bot of bots) {
+      bot.start();
+    }
+  }
+
+  // Reload the config file and apply what can change while running
+  async function applyReload() {
+    const next = await loadConfig({ env: baseEnv });
+    const changed = CONFIG_SETTINGS.map(s => s.env).filter(name => (env[name] ?? '') !== (next.env[name] ?? ''));
+
+    // Check every bot's new settings before changing anything
+    const tenantEnvs = new Map(loadTenants({ env: next.env }).map(tenant => [tenant.id, tenant.env]));
+    const switches = [];
+    for (const bot of bots) {
+      const botEnv = bot.id === null ? next.env : tenantEnvs.get(bot.id);
+      if (!botEnv) continue;
+      try {
+        switches.push(bot.prepareReload(botEnv));
+      } catch (e) {
+        throw new Error(bot.id ? `[${bot.id}] ${e.message}` : e.message);
+      }
+    }
+
+    for (const apply of switches) apply();
+    config = next;
+    env = next.env;
+    applyServerSettings();
+
+    const tenantsChanged = tenantBots.length !== tenantEnvs.size || tenantBots.some(bot => !tenantEnvs.has(bot.id));
+    const result = {
+      file: config.file,
+      changed: changed.filter(name => config.reloadable.includes(name)),
+      restartRequired: [
+        ...changed.filter(name => !config.reloadable.includes(name)),
+        ...(tenantsChanged ? ['TENANTS'] : []),
+      ],
+    };
+    console.log(`🔄 Config reloaded from ${config.file || 'the environment'}: ${result.changed.length > 0 ? result.changed.join(', ') : 'no changes'}`
+      + (result.restartRequired.length > 0 ? ` (restart to apply ${result.restartRequired.join(', ')})` : ''));
+    return result;
+  }
+
+  // Reloads run one at a time (SIGHUP and the endpoint can overlap)
+  let reloading = Promise.resolve();
+  function reload() {
+    const run = reloading.then(applyReload);
+    reloading = run.catch(() => {});
+    return run;
+  }
+
+  async function close() {
+    rateLimiter.close();
+    await Promise.allSettled(bots.map(bot => bot.close()));
+  }
+
+  return { app, bots, adminAuth, adminTokens, env, start, reload, close };
+}
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+
+// Headers used for authenticating webhook senders
+export const SECRET_HEADER = 'x-webhook-secret';
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+export const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+export const SOURCE_HEADER = 'x-webhook-source';
+
+/**
+ * Build the list of named webhook secrets from the environment.
+ *
+ * SHARED_SECRET is registered as the "default" source. WEBHOOK_SECRETS adds
+ * extra named sources so each TradingView alert source can be rotated on its
+ * own, e.g. WEBHOOK_SECRETS="crypto:abc123,nifty:def456"
+ */
+export function loadWebhookSecrets(env = process.env) {
+  const secrets = [];
+
+  if (env.SHARED_SECRET) {
+    secrets.push({ name: 'default', secret: env.SHARED_SECRET });
+  }
+
+  for (const entry of (env.WEBHOOK_SECRETS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) continue;
+    const name = entry.slice(0, separator).trim();
+    const secret = entry.slice(separator + 1).trim();
+    if (name && secret) {
+      secrets.push({ name, secret });
+    }
+  }
+
+  return secrets;
+}
+
+/**
+ * Constant-time string comparison.
+ * Both values are hashed first so differing lengths don't leak through timing.
+ */
+export function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Compute the HMAC-SHA256 signature for a request body.
+ * The signed payload is "<timestamp>.<raw body>".
+ */
+export function signPayload(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+}
+
+/**
+ * Pull the `secret` field out of a webhook body.
+ * TradingView posts JSON as text/plain, so string bodies are parsed too.
+ * Returns the secret (if any) and the body with the secret removed.
+ */
+export function extractBodySecret(body) {
+  let parsed = body;
+  if (typeof body === 'string') {
+    try {
+      parsed = JSON.parse(body);
+    } catch (e) {
+      return { secret: undefined, body };
+    }
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || !('secret' in parsed)) {
+    return { secret: undefined, body };
+  }
+
+  const { secret, ...rest } = parsed;
+  return { secret: typeof secret === 'string' ? secret : String(secret), body: rest };
+}
+
+// Body fields that must never be logged
+const SECRET_FIELDS = ['secret', 'password'];
+
+/**
+ * Mask secrets (webhook secret, login password) in a request body before it is logged.
+ */
+export function redactSecrets(body) {
+  if (typeof body === 'string') {
+    return body
+      .replace(/("(?:secret|password)"\s*:\s*)"(?:[^"\\]|\\.)*"/g, '$1"***"')
+      .replace(/(^|&)((?:secret|password)=)[^&]*/g, '$1$2***'); // form-encoded
+  }
+  if (body && typeof body === 'object' && !Array.isArray(body)) {
+    const masked = { ...body };
+    for (const field of SECRET_FIELDS) {
+      if (field in masked) masked[field] = '***';
+    }
+    return masked;
+  }
+  return body;
+}
+
+// Signatures already accepted inside the tolerance window (replay protection)
+const seenSignatures = new Map();
+
+function rememberSignature(signature, expiresAt) {
+  const now = Date.now();
+  for (const [key, expiry] of seenSignatures) {
+    if (expiry < now) seenSignatures.delete(key);
+  }
+  seenSignatures.set(signature, expiresAt);
+}
+
+/**
+ * Verify a webhook request against the configured secrets.
+ *
+ * Accepts either:
+ *  - an HMAC-SHA256 signature (x-webhook-signature + x-webhook-timestamp), or
+ *  - a plain secret in the x-webhook-secret header or the `secret` body field
+ *    (unless requireSignature is set).
+ *
+ * A specific source can be selected with the x-webhook-source header or the
+ * `source` query parameter; otherwise every configured secret is tried.
+ *
+ * Returns { ok, source, body } on success or { ok: false, status, error }.
+ */
+export function verifyWebhookRequest(req, secrets, options = {}) {
+  const { toleranceSeconds = 300, requireSignature = false } = options;
+  const { secret: bodySecret, body } = extractBodySecret(req.body);
+
+  if (secrets.length === 0) {
+    return { ok: true, source: null, body };
+  }
+
+  const requestedSource = req.headers[SOURCE_HEADER] || req.query?.source;
+  const candidates = requestedSource
+    ? secrets.filter(s => s.name === requestedSource)
+    : secrets;
+
+  if (candidates.length === 0) {
+    return { ok: false, status: 401, error: `Unauthorized: unknown source "${requestedSource}"` };
+  }
+
+  const signature = req.headers[SIGNATURE_HEADER];
+  if (signature) {
+    const timestamp = Number(req.headers[TIMESTAMP_HEADER]);
+    if (!Number.isFinite(timestamp)) {
+      return { ok: false, status: 401, error: 'Unauthorized: missing signature timestamp' };
+    }
+
+    // Accept both seconds and milliseconds
+    const timestampMs = timestamp > 1e12 ? timestamp : timestamp * 1000;
+    if (Math.abs(Date.now() - timestampMs) > toleranceSeconds * 1000) {
+      return { ok: false, status: 401, error: 'Unauthorized: signature timestamp outside allowed window' };
+    }
+
+    const provided = String(signature).replace(/^sha256=/, '');
+    if (seenSignatures.has(provided)) {
+      return { ok: false, status: 401, error: 'Unauthorized: signature already used' };
+    }
+
+    const rawBody = req.rawBody ?? (typeof req.body === 'string' ? req.body : JSON.stringify(req.body));
+    const match = candidates.find(s =>
+      safeEqual(signPayload(s.secret, req.headers[TIMESTAMP_HEADER], rawBody), provided)
+    );
+    if (!match) {
+      return { ok: false, status: 401, error: 'Unauthorized: invalid signature' };
+    }
+
+    rememberSignature(provided, timestampMs + toleranceSeconds * 1000);
+    return { ok: true, source: match.name, body };
+  }
+
+  if (requireSignature) {
+    return { ok: false, status: 401, error: 'Unauthorized: signature required' };
+  }
+
+  const provided = req.headers[SECRET_HEADER] || bodySecret;
+  if (!provided) {
+    return { ok: false, status: 401, error: 'Unauthorized: secret required' };
+  }
+
+  // Compare against every candidate so timing doesn't reveal which source matched
+  let match = null;
+  for (const s of candidates) {
+    if (safeEqual(s.secret, provided) && !match) {
+      match = s;
+    }
+  }
+  if (!match) {
+    return { ok: false, status: 401, error: 'Unauthorized: invalid secret' };
+  }
+
+  return { ok: true, source: match.name, body };
+}
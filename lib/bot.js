@@ -0,0 +1,1419 @@
+import express from 'express';
+import { EventEmitter } from 'events';
+import {
+  loadWebhookSecrets,
+  verifyWebhookRequest,
+  redactSecrets,
+  safeEqual,
+} from './auth.js';
+import {
+  createRoutingStore,
+  resolveRecipients,
+  stripRoutingFields,
+  FALLBACK_MODES,
+} from './routing.js';
+import {
+  parseDuration,
+  matchSubscription,
+  getSubscription,
+} from './subscriptions.js';
+import { createDeliveryQueue } from './queue.js';
+import { createDedupFilter, parseCooldownRules } from './dedup.js';
+import { createTemplateStore, renderDefault, formatDateTime } from './templates.js';
+import { escapeHtml } from './sanitize.js';
+import { createChannels, toDestination, validateDestination, destinationKey, withoutSecret } from './channels/index.js';
+import { createParserRegistry } from './parsers/index.js';
+import { createStorage, storageConfigFromEnv } from './storage/index.js';
+import { createAlertHistory, parseAlertQuery, MAX_PAGE_SIZE } from './history.js';
+import { createPaperLedger, PAPER_MODES } from './paper.js';
+import { createPriceAlerts, parsePrice } from './price-alerts.js';
+import { createPriceFeed, priceFeedConfigFromEnv } from './price-feed.js';
+import { createExecutor, executorConfigFromEnv, liveAuthError } from './executor.js';
+import { extractMedia, redactMedia } from './media.js';
+import { chartPoints, renderChartPng, CHART_MODES } from './charts.js';
+import { createAdminRouter } from './admin-routes.js';
+import { createCommandHandlers } from './commands.js';
+import {
+  parseDigestSchedule,
+  parseTimeOfDay,
+  getDigestSettings,
+  digestSlot,
+  failedDeliveries,
+  buildDigest,
+} from './digests.js';
+import { parseButtonList, buildAlertKeyboard } from './keyboards.js';
+import {
+  createUpdateDispatcher,
+  createOffsetStore,
+  startPolling,
+  webhookSecretToken,
+  TELEGRAM_MODES,
+  UPDATE_TYPES,
+  TELEGRAM_SECRET_HEADER,
+} from './updates.js';
+import {
+  subscriberStatus,
+  canReceiveAlerts,
+  loadOwnerIds,
+  createInviteStore,
+  APPROVAL_MODES,
+} from './subscribers.js';
+import { DEFAULT_TENANT } from './tenants.js';
+
+/**
+ * Read a duration setting like "30s", "15m" or "1h" ("0" turns it off).
+ * Throws when the value isn't a duration.
+ */
+export function durationSetting(env, name, fallback) {
+  const value = env[name] || fallback;
+  if (value === '0') return 0;
+  const ms = parseDuration(value);
+  if (!ms) {
+    throw new Error(`${name} must be a duration like 30s, 15m or 1h (got "${value}")`);
+  }
+  return ms;
+}
+
+/**
+ * The settings of a bot that can change while it runs: webhook security,
+ * routing, templates and display defaults, alert buttons, price charts and
+ * the size of the log buffer. Throws when one is invalid.
+ */
+function reloadableSettings(env) {
+  const ROUTING_FALLBACK = env.ROUTING_FALLBACK || 'all'; // all | default | none
+  if (!FALLBACK_MODES.includes(ROUTING_FALLBACK)) {
+    throw new Error(`ROUTING_FALLBACK must be one of ${FALLBACK_MODES.join(', ')}`);
+  }
+  // Inline buttons on alert messages (ack, mute, chart, history)
+  let alertButtons = [];
+  try {
+    alertButtons = parseButtonList(env.ALERT_BUTTONS ?? 'ack,mute,chart,history');
+  } catch (e) {
+    throw new Error(`ALERT_BUTTONS - ${e.message}`);
+  }
+  const MAX_LOGS = parseInt(env.MAX_LOGS || '100', 10);
+  if (!(MAX_LOGS > 0)) {
+    throw new Error(`MAX_LOGS must be a positive number (got "${env.MAX_LOGS}")`);
+  }
+  // Price charts on alerts: "on" attaches one to every alert with a price,
+  // "off" only to alerts that ask with "chart": true
+  const ALERT_CHARTS = env.ALERT_CHARTS || 'off';
+  if (!CHART_MODES.includes(ALERT_CHARTS)) {
+    throw new Error(`ALERT_CHARTS must be one of ${CHART_MODES.join(', ')}`);
+  }
+  const ALERT_CHART_POINTS = parseInt(env.ALERT_CHART_POINTS || '30', 10);
+  if (!(ALERT_CHART_POINTS >= 2 && ALERT_CHART_POINTS <= MAX_PAGE_SIZE)) {
+    throw new Error(`ALERT_CHART_POINTS must be a number from 2 to ${MAX_PAGE_SIZE} (got "${env.ALERT_CHART_POINTS}")`);
+  }
+  return {
+    SHARED_SECRET: env.SHARED_SECRET,
+    // Named webhook secrets (SHARED_SECRET + WEBHOOK_SECRETS)
+    WEBHOOK_SECRETS: loadWebhookSecrets(env),
+    SIGNATURE_TOLERANCE: parseInt(env.WEBHOOK_SIGNATURE_TOLERANCE || '300', 10), // seconds
+    REQUIRE_SIGNATURE: env.WEBHOOK_REQUIRE_SIGNATURE === 'true',
+    ROUTES_FILE: env.ROUTES_FILE || './routes.json',
+    ROUTING_FALLBACK,
+    TEMPLATES_DIR: env.TEMPLATES_DIR || './templates',
+    DEFAULT_TIMEZONE: env.DEFAULT_TIMEZONE || 'Asia/Kolkata',
+    DEFAULT_LOCALE: env.DEFAULT_LOCALE || 'en-IN',
+    alertButtons,
+    MAX_LOGS,
+    ALERT_CHARTS,
+    ALERT_CHART_POINTS,
+  };
+}
+
+// Settings of the channels besides Telegram, which keeps its bot token
+function channelSettings(env) {
+  return {
+    discord: { username: env.DISCORD_USERNAME || 'TradingView Bot' },
+    slack: {},
+    webhook: { secret: env.OUTBOUND_WEBHOOK_SECRET },
+    email: {
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT || '587', 10),
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.EMAIL_FROM,
+    },
+  };
+}
+
+// A template store, with syntax errors reported right away
+function loadTemplates(dir) {
+  const templates = createTemplateStore(dir);
+  for (const { error } of templates.validate()) {
+    console.error(`❌ Template error: ${error}`);
+  }
+  return templates;
+}
+
+/**
+ * One Telegram bot and everything that belongs to it: token, subscribers,
+ * webhook secrets, templates, routing, delivery queue, alert history, paper
+ * ledger and digests.
+ *
+ * - id: tenant id (see lib/tenants.js), or null for the bot configured
+ *   directly by the environment
+ * - env: the bot's settings, named like the environment variables
+ * - adminAuth: shared admin auth; admin routes also check the tenant
+ * - metrics: shared metric handles, labelled with the tenant name
+ * - priceFeed: a price feed to use instead of the one PRICE_FEED configures
+ *   (see lib/price-feed.js for the interface)
+ *
+ * Routes are registered on `router`, which the server mounts at basePath
+ * ("" for the default bot, /tenants/<id> for the others). Invalid settings
+ * throw. Nothing is sent or polled until start().
+ */
+export async function createBot({ id = null, env, adminAuth, metrics, priceFeed: customPriceFeed = null }) {
+  const name = id || DEFAULT_TENANT;
+  const basePath = id ? `/tenants/${id}` : '';
+  const router = express.Router();
+  const requireScope = (scope, options = {}) => adminAuth.requireScope(scope, { ...options, tenant: name });
+  // Console lines of tenant bots start with their id
+  const tag = id ? `[${id}] ` : '';
+
+  const TELEGRAM_BOT_TOKEN = env.TELEGRAM_BOT_TOKEN;
+  if (!TELEGRAM_BOT_TOKEN) {
+    throw new Error('TELEGRAM_BOT_TOKEN is not set');
+  }
+  let DEFAULT_CHAT_ID = env.DEFAULT_CHAT_ID;
+
+  // Webhook secrets, routing, templates, display defaults, alert buttons,
+  // charts and the log buffer - the settings a config reload changes (see prepareReload)
+  const settings = reloadableSettings(env);
+
+  // Subscriber approval: owners approve new chats (manual) or everyone is let in (open)
+  const OWNER_CHAT_IDS = loadOwnerIds(env.OWNER_CHAT_IDS);
+  const SUBSCRIBER_APPROVAL = env.SUBSCRIBER_APPROVAL || 'manual';
+  if (!APPROVAL_MODES.includes(SUBSCRIBER_APPROVAL)) {
+    throw new Error(`SUBSCRIBER_APPROVAL must be one of ${APPROVAL_MODES.join(', ')}`);
+  }
+  const INVITES_FILE = env.INVITES_FILE || './invites.json';
+  const invites = createInviteStore(INVITES_FILE);
+
+  // Routing rules (named channels + match rules), reloaded when the file changes
+  let routing = createRoutingStore(settings.ROUTES_FILE);
+
+  // Inbound payload dialects (TradingView, strategy alerts, TrendSpider, form posts)
+  const parsers = createParserRegistry();
+
+  // Message templates (templates/<name>.html)
+  let templates = loadTemplates(settings.TEMPLATES_DIR);
+
+  // Subscribers, the Telegram update offset and dedup state (JSON files, SQLite or Redis)
+  const storageConfig = storageConfigFromEnv(env);
+  if (storageConfig.error) {
+    throw new Error(storageConfig.error);
+  }
+  let storage;
+  try {
+    storage = await createStorage(storageConfig.config);
+  } catch (e) {
+    throw new Error(`Could not open ${storageConfig.config.backend} storage - ${e.message}`);
+  }
+
+  // Duplicate suppression and per ticker/action cooldowns
+  const DEDUP_WINDOW_MS = durationSetting(env, 'DEDUP_WINDOW', '5m');
+  const ALERT_COOLDOWN_MS = durationSetting(env, 'ALERT_COOLDOWN', '0');
+  let cooldownRules = [];
+  try {
+    cooldownRules = parseCooldownRules(env.ALERT_COOLDOWNS);
+  } catch (e) {
+    throw new Error(`ALERT_COOLDOWNS - ${e.message}`);
+  }
+  const dedup = createDedupFilter({
+    windowMs: DEDUP_WINDOW_MS,
+    defaultCooldownMs: ALERT_COOLDOWN_MS,
+    cooldownRules,
+    state: storage.get('dedup'),
+    onChange: state => storage.set('dedup', state),
+  });
+
+  // Price alerts set by chats (/alert BTCUSDT > 65000), checked against the
+  // price of every webhook alert and the optional price feed
+  const PRICE_ALERTS_MAX = parseInt(env.PRICE_ALERTS_MAX || '20', 10);
+  if (!(PRICE_ALERTS_MAX > 0)) {
+    throw new Error(`PRICE_ALERTS_MAX must be a positive number (got "${env.PRICE_ALERTS_MAX}")`);
+  }
+  const priceAlerts = createPriceAlerts({
+    maxPerChat: PRICE_ALERTS_MAX,
+    state: storage.get('priceAlerts'),
+    onChange: state => storage.set('priceAlerts', state),
+  });
+  let priceFeed = customPriceFeed;
+  if (!priceFeed) {
+    const priceFeedConfig = priceFeedConfigFromEnv(env);
+    if (priceFeedConfig.error) {
+      throw new Error(priceFeedConfig.error);
+    }
+    priceFeed = createPriceFeed(priceFeedConfig.config);
+  }
+
+  // Every received alert with its delivery outcome, kept on disk (JSONL)
+  const ALERT_HISTORY_FILE = env.ALERT_HISTORY_FILE || './alerts.jsonl';
+  const ALERT_HISTORY_RETENTION_MS = durationSetting(env, 'ALERT_HISTORY_RETENTION', '30d'); // 0 = keep forever
+  const alertHistory = createAlertHistory({ file: ALERT_HISTORY_FILE, retentionMs: ALERT_HISTORY_RETENTION_MS });
+  const HISTORY_PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+  // Paper trading: virtual positions opened and closed by BUY/SELL alerts
+  const PAPER_TRADING = env.PAPER_TRADING !== 'false';
+  const PAPER_FILE = env.PAPER_FILE || './paper_trades.json';
+  const PAPER_MODE = env.PAPER_MODE || 'flip';
+  const PAPER_QUANTITY = Number(env.PAPER_QUANTITY || '1');
+  if (!PAPER_MODES.includes(PAPER_MODE)) {
+    throw new Error(`PAPER_MODE must be one of ${PAPER_MODES.join(', ')} (got "${PAPER_MODE}")`);
+  }
+  if (!(PAPER_QUANTITY > 0)) {
+    throw new Error(`PAPER_QUANTITY must be a positive number (got "${env.PAPER_QUANTITY}")`);
+  }
+  const paperLedger = createPaperLedger({ file: PAPER_FILE, mode: PAPER_MODE, defaultQuantity: PAPER_QUANTITY });
+
+  // Order executor: BUY/SELL alerts become orders for a broker bridge, behind
+  // a risk guard. Results go to EXECUTOR_CHAT_IDS (the owners by default).
+  const executorConfig = executorConfigFromEnv(env);
+  if (executorConfig.error) {
+    throw new Error(executorConfig.error);
+  }
+  const executor = executorConfig.config.mode === 'off' ? null : createExecutor({
+    ...executorConfig.config,
+    state: storage.get('executor'),
+    onChange: state => storage.set('executor', state),
+  });
+  const EXECUTOR_CHAT_IDS = loadOwnerIds(env.EXECUTOR_CHAT_IDS);
+
+  // Digests: scheduled summaries for chats that don't want every alert in real time
+  const { schedule: DIGEST_SCHEDULE, error: digestScheduleError } = parseDigestSchedule(env.DIGEST_SCHEDULE || 'daily 18:00');
+  if (digestScheduleError) {
+    throw new Error(`DIGEST_SCHEDULE - ${digestScheduleError}`);
+  }
+  const DIGEST_SESSION_CLOSE = parseTimeOfDay(env.DIGEST_SESSION_CLOSE || '15:30');
+  if (!DIGEST_SESSION_CLOSE) {
+    throw new Error(`DIGEST_SESSION_CLOSE must be a time like 15:30 (got "${env.DIGEST_SESSION_CLOSE}")`);
+  }
+  const DIGEST_CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+  // Store request logs in memory (last MAX_LOGS requests)
+  const requestLogs = [];
+
+  // New logs ("log") and alert changes ("alert") for dashboard streams
+  const liveEvents = new EventEmitter();
+  liveEvents.setMaxListeners(0);
+
+  function addLog(type, data) {
+    const log = {
+      id: Date.now(),
+      timestamp: new Date().toISOString(),
+      type,
+      ...data
+    };
+    requestLogs.unshift(log); // Add to beginning
+    if (requestLogs.length > settings.MAX_LOGS) {
+      requestLogs.length = settings.MAX_LOGS; // Remove oldest
+    }
+    console.log(`📝 Log: ${type} - ${JSON.stringify(data)}`);
+    liveEvents.emit('log', log);
+    return log;
+  }
+
+  // Load saved chat IDs
+  const savedChatIds = storage.get('subscribers') || [];
+  console.log(`📋 ${tag}Loaded ${savedChatIds.length} saved chat IDs from ${storage.backend} storage`);
+
+  // Save chat IDs (and their subscriptions) to storage
+  function persistChatIds() {
+    storage.set('subscribers', savedChatIds);
+  }
+
+  // Owners approve subscribers and get the admin commands
+  function isOwner(chatId) {
+    return OWNER_CHAT_IDS.includes(chatId) || savedChatIds.find(c => c.id === chatId)?.role === 'owner';
+  }
+
+  // Auto-set the first approved chat as default if no default exists
+  function autoSetDefaultChat(chatId) {
+    if (!DEFAULT_CHAT_ID) {
+      DEFAULT_CHAT_ID = chatId;
+      console.log(`✅ Auto-set DEFAULT_CHAT_ID to: ${chatId}`);
+    }
+  }
+
+  // Add a chat entered through the admin API
+  function addChat(chat) {
+    savedChatIds.push(chat);
+    persistChatIds();
+    if (chat.status === 'approved') autoSetDefaultChat(chat.id);
+  }
+
+  // Remove a chat and its settings; returns the removed entry or null
+  function removeChat(chatId) {
+    const index = savedChatIds.findIndex(c => c.id === chatId);
+    if (index < 0) return null;
+    const [removed] = savedChatIds.splice(index, 1);
+    persistChatIds();
+    // Forget an auto-set default (one from the environment stays)
+    if (DEFAULT_CHAT_ID === removed.id && DEFAULT_CHAT_ID !== env.DEFAULT_CHAT_ID) {
+      DEFAULT_CHAT_ID = undefined;
+    }
+    return removed;
+  }
+
+  // Function to save chat ID
+  function saveChatId(chatId, username = 'unknown') {
+    const exists = savedChatIds.find(c => c.id === chatId);
+    if (!exists) {
+      const owner = OWNER_CHAT_IDS.includes(chatId);
+      const status = owner || SUBSCRIBER_APPROVAL === 'open' ? 'approved' : 'pending';
+      savedChatIds.push({
+        id: chatId,
+        username,
+        status,
+        role: owner ? 'owner' : 'subscriber',
+        addedAt: new Date().toISOString(),
+      });
+      persistChatIds();
+      console.log(`💾 Saved new chat ID: ${chatId} (${username}) - ${status}`);
+
+      if (status === 'approved') autoSetDefaultChat(chatId);
+      return true;
+    }
+    return false;
+  }
+
+  // Update top-level chat settings (timezone, locale...) and save them
+  function updateChat(chatId, changes) {
+    const chat = savedChatIds.find(c => c.id === chatId);
+    if (!chat) return null;
+    Object.assign(chat, changes);
+    persistChatIds();
+    return chat;
+  }
+
+  // Change a chat's approval status (approved, blocked...) and save it
+  function setChatStatus(chatId, status, reason = null) {
+    const chat = updateChat(chatId, { status, statusReason: reason, statusChangedAt: new Date().toISOString() });
+    if (chat && status === 'approved') autoSetDefaultChat(chatId);
+    return chat;
+  }
+
+  // Find a chat by id or @username
+  function findChat(idOrUsername) {
+    const value = String(idOrUsername || '').replace(/^@/, '');
+    return savedChatIds.find(c => c.id === value) || savedChatIds.find(c => c.username === value) || null;
+  }
+
+  // Timezone and locale a chat sees times in
+  function displaySettings(chat) {
+    return { timezone: chat?.timezone || settings.DEFAULT_TIMEZONE, locale: chat?.locale || settings.DEFAULT_LOCALE };
+  }
+
+  // Tell every owner about subscriber events (new requests, invites used)
+  async function notifyOwners(text) {
+    const owners = new Set([...OWNER_CHAT_IDS, ...savedChatIds.filter(c => c.role === 'owner').map(c => c.id)]);
+    await Promise.allSettled([...owners].map(id => sendTelegramMessage(id, text)));
+  }
+
+  // Update a chat's subscription settings and save them
+  function updateSubscription(chatId, changes) {
+    const chat = savedChatIds.find(c => c.id === chatId);
+    if (!chat) return null;
+    chat.subscriptions = { ...getSubscription(chat), ...changes };
+    persistChatIds();
+    return chat;
+  }
+
+  // Update a chat's digest settings (delivery mode, schedule) and save them
+  function updateDigest(chatId, changes) {
+    const chat = savedChatIds.find(c => c.id === chatId);
+    if (!chat) return null;
+    chat.digest = { ...getDigestSettings(chat), ...changes };
+    persistChatIds();
+    return chat;
+  }
+
+  // Polling health, for /readyz and /metrics
+  const polling = { startedAt: null, lastPollAt: null, lastError: null };
+  let poller = null;
+
+  // Notification channels (Telegram, Discord, Slack, generic webhook, email)
+  const telegramSettings = {
+    token: TELEGRAM_BOT_TOKEN,
+    // A local Bot API server, or the fake one in lib/fake-telegram.js
+    apiBase: (env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, ''),
+    onApiCall: ({ method, durationMs, ok }) => {
+      metrics.telegramApiDuration.observe({ tenant: name, method, ok: String(ok) }, durationMs / 1000);
+    },
+    onPlainTextFallback: (destination, description) => {
+      addLog('ERROR', { message: `HTML rejected for ${destination.id} (${description}) - resending as plain text` });
+    },
+    onMediaFallback: (destination, description) => {
+      addLog('ERROR', { message: `Photo rejected for ${destination.id} (${description}) - sending the alert as text` });
+    },
+  };
+  const channels = createChannels({ telegram: telegramSettings, ...channelSettings(env) });
+
+  // Send a command reply or notice right away (not through the queue), the
+  // same way as alerts: sanitized, split at the length limit and resent as
+  // plain text when Telegram can't parse the HTML
+  async function sendTelegramMessage(chatId, text, { replyMarkup = null } = {}) {
+    const destination = { type: 'telegram', id: String(chatId) };
+    let result;
+    for (const payload of channels.telegram.format({ html: text, keyboard: replyMarkup })) {
+      result = await channels.telegram.send(destination, payload);
+    }
+    return result;
+  }
+
+  // Signing secret of a webhook destination, from the subscriber or routing
+  // channel it belongs to. Queued jobs don't keep it: the queue file and
+  // GET /queue would show it.
+  function destinationSecret(key) {
+    const members = [...savedChatIds, ...Object.values(routing.get().channels).flatMap(m => [].concat(m))];
+    for (const member of members) {
+      if (!member || typeof member !== 'object') continue;
+      const destination = toDestination(member);
+      if (destination.secret && destinationKey(destination) === key) return destination.secret;
+    }
+    return undefined;
+  }
+
+  // Send a queued message through its channel. Jobs queued before channels
+  // existed only have chatId + text and go to Telegram.
+  function deliverQueuedMessage(job) {
+    const channel = channels[job.channel || 'telegram'];
+    let destination = job.destination || { type: 'telegram', id: job.chatId };
+    if (destination.type === 'webhook' && !destination.secret) {
+      destination = { ...destination, secret: destinationSecret(job.chatId) };
+    }
+    return channel.send(destination, job.payload || { text: job.text });
+  }
+
+  // Queue a message for each recipient. Recipients are chat entries or
+  // destination objects; each channel formats the rendered HTML its own way
+  // (Telegram messages are sanitized and split at the length limit).
+  function enqueueMessages(recipients, { alert = null, alertId, htmlFor, keyboard = null, media = null }) {
+    const messages = [];
+    for (const recipient of recipients) {
+      const destination = toDestination(recipient);
+      const error = validateDestination(destination);
+      if (error) {
+        addLog('ERROR', { message: `Skipping recipient ${recipient.id || JSON.stringify(recipient)}: ${error}` });
+        continue;
+      }
+
+      const payloads = channels[destination.type].format({ alert, html: htmlFor(recipient), keyboard, media });
+      payloads.forEach((payload, index) => {
+        messages.push({
+          chatId: destinationKey(destination),
+          channel: destination.type,
+          destination: destination.type === 'telegram' ? { type: 'telegram', id: destination.id } : withoutSecret(destination),
+          username: recipient.username,
+          ...(alertId ? { alertId } : {}),
+          payload,
+          ...(payloads.length > 1 ? { part: index + 1, parts: payloads.length } : {}),
+        });
+      });
+    }
+    const jobs = deliveryQueue.enqueue(messages);
+    for (const job of jobs) {
+      if (job.alertId) recordDelivery(job, 'pending');
+    }
+    return jobs;
+  }
+
+  // Save the state of one queued message in the alert history
+  function recordDelivery(job, status, error) {
+    if (!job.alertId) return;
+    alertHistory.recordDelivery(job.alertId, {
+      jobId: job.id,
+      chatId: job.chatId,
+      channel: job.channel || 'telegram',
+      status,
+      attempts: job.attempts,
+      ...(job.parts ? { part: job.part, parts: job.parts } : {}),
+      ...(error ? { error } : {}),
+    });
+    liveEvents.emit('alert', alertHistory.get(job.alertId));
+  }
+
+  // Outbound delivery queue - persisted so queued alerts survive restarts
+  const QUEUE_FILE = env.QUEUE_FILE || './outbox.json';
+  const deliveryQueue = createDeliveryQueue({
+    file: QUEUE_FILE,
+    send: deliverQueuedMessage,
+    globalRatePerSecond: parseInt(env.TELEGRAM_GLOBAL_RATE || '25', 10), // Telegram allows ~30 msg/s
+    perChatIntervalMs: parseInt(env.TELEGRAM_CHAT_INTERVAL_MS || '1000', 10),
+    maxAttempts: parseInt(env.QUEUE_MAX_ATTEMPTS || '8', 10),
+    maxRateLimits: parseInt(env.QUEUE_MAX_RATE_LIMITS || '20', 10),
+    onDelivered: job => {
+      recordDelivery(job, 'delivered');
+      metrics.messagesSent.inc({ tenant: name, channel: job.channel || 'telegram', status: 'delivered' });
+      if ((job.channel || 'telegram') === 'telegram') {
+        addLog('TELEGRAM', { message: `✅ Sent to ${job.username || 'unknown'} (${job.chatId})` });
+      } else {
+        addLog('CHANNEL', { message: `✅ Sent via ${job.channel} to ${job.chatId}` });
+      }
+    },
+    onRetry: (job, error, delayMs) => {
+      recordDelivery(job, 'pending', error);
+      metrics.messageRetries.inc({ tenant: name, channel: job.channel || 'telegram' });
+      addLog('ERROR', { message: `Retrying ${job.chatId} in ${Math.round(delayMs / 1000)}s: ${error}` });
+    },
+    onDead: (job, error) => {
+      recordDelivery(job, 'failed', error);
+      metrics.messagesSent.inc({ tenant: name, channel: job.channel || 'telegram', status: 'failed' });
+      // "Forbidden: bot was blocked by the user" - stop sending to this chat
+      const chat = savedChatIds.find(c => c.id === job.chatId);
+      if ((job.channel || 'telegram') === 'telegram' && job.lastErrorCode === 403 && chat && canReceiveAlerts(chat)) {
+        setChatStatus(chat.id, 'inactive', error);
+        addLog('ERROR', { message: `Deactivated ${chat.username || 'unknown'} (${chat.id}): ${error}` });
+      }
+      addLog('ERROR', { message: `❌ Gave up on ${job.chatId} after ${job.attempts} attempt(s): ${error}` });
+    },
+  });
+
+  // Commands, button presses and chat membership changes (lib/commands.js)
+  const { processMessage, processCallbackQuery, processChatMemberUpdate, formatPriceAlertMessage } = createCommandHandlers({
+    settings,
+    savedChatIds,
+    saveChatId,
+    updateChat,
+    setChatStatus,
+    updateSubscription,
+    updateDigest,
+    findChat,
+    isOwner,
+    displaySettings,
+    sendTelegramMessage,
+    notifyOwners,
+    addLog,
+    telegram: channels.telegram,
+    invites,
+    alertHistory,
+    priceAlerts,
+    paperLedger,
+    paperTrading: PAPER_TRADING,
+    digestSchedule: DIGEST_SCHEDULE,
+    digestSessionClose: DIGEST_SESSION_CLOSE,
+    currentDigestSlot,
+    sendDigest,
+  });
+
+  // One dispatcher for updates from polling and from the webhook
+  const TELEGRAM_MODE = env.TELEGRAM_MODE || 'polling';
+  if (!TELEGRAM_MODES.includes(TELEGRAM_MODE)) {
+    throw new Error(`TELEGRAM_MODE must be one of ${TELEGRAM_MODES.join(', ')}`);
+  }
+  const TELEGRAM_WEBHOOK_URL = env.TELEGRAM_WEBHOOK_URL
+    || (env.RENDER_EXTERNAL_URL ? `${env.RENDER_EXTERNAL_URL}${basePath}/telegram-webhook` : null);
+  const TELEGRAM_SECRET_TOKEN = webhookSecretToken(env.TELEGRAM_WEBHOOK_SECRET, TELEGRAM_BOT_TOKEN);
+  // Pause between getUpdates calls (and after a failed one)
+  const TELEGRAM_POLL_INTERVAL_MS = durationSetting(env, 'TELEGRAM_POLL_INTERVAL', '1s');
+  const updateOffsets = createOffsetStore(storage);
+
+  const dispatchUpdate = createUpdateDispatcher({
+    offsets: updateOffsets,
+    handlers: {
+      message: processMessage,
+      // Only commands - ordinary channel posts are not meant for the bot
+      channel_post: post => ((post.text || '').startsWith('/') ? processMessage(post) : null),
+      callback_query: processCallbackQuery,
+      my_chat_member: processChatMemberUpdate,
+    },
+    onError: (error, update) => {
+      addLog('ERROR', { message: `Telegram update ${update.update_id} failed: ${error.message}` });
+    },
+  });
+
+  // Register (webhook mode) or remove (polling mode) the Telegram webhook, then start receiving updates
+  async function startTelegramUpdates() {
+    if (TELEGRAM_MODE === 'webhook') {
+      if (!TELEGRAM_WEBHOOK_URL) {
+        console.error(`❌ ${tag}TELEGRAM_MODE=webhook needs TELEGRAM_WEBHOOK_URL (or RENDER_EXTERNAL_URL)`);
+        return;
+      }
+      const data = await channels.telegram.call('setWebhook', {
+        url: TELEGRAM_WEBHOOK_URL,
+        secret_token: TELEGRAM_SECRET_TOKEN,
+        allowed_updates: UPDATE_TYPES,
+        // One update at a time, in order (Telegram's default is 40 in parallel)
+        max_connections: 1,
+      });
+      console.log(data.ok
+        ? `🔗 ${tag}Telegram webhook set to ${TELEGRAM_WEBHOOK_URL}`
+        : `❌ ${tag}setWebhook failed: ${data.description}`);
+      return;
+    }
+
+    // getUpdates doesn't work while a webhook is set
+    const data = await channels.telegram.call('deleteWebhook', {});
+    if (!data.ok) {
+      console.error(`❌ ${tag}deleteWebhook failed: ${data.description}`);
+    }
+    console.log(`🔄 ${tag}Starting Telegram polling from update ${updateOffsets.get() + 1}...`);
+    polling.startedAt = Date.now();
+    poller = startPolling({
+      telegram: channels.telegram,
+      dispatch: dispatchUpdate,
+      offsets: updateOffsets,
+      retryDelayMs: TELEGRAM_POLL_INTERVAL_MS,
+      onPoll: () => {
+        polling.lastPollAt = Date.now();
+        polling.lastError = null;
+      },
+      onError: error => {
+        metrics.pollErrors.inc({ tenant: name });
+        polling.lastError = error.message;
+        console.error(`${tag}Polling error:`, error.message);
+      },
+    });
+  }
+
+  // Log all incoming requests
+  function logRequest(req, res, next) {
+    if (req.method !== 'OPTIONS' && !req.path.includes('/logs') && !['/health', '/livez', '/readyz', '/metrics'].includes(req.path)) {
+      addLog('REQUEST', {
+        method: req.method,
+        path: req.path,
+        ip: req.ip || req.headers['x-forwarded-for'] || 'unknown',
+        userAgent: req.headers['user-agent']?.substring(0, 50) || 'unknown',
+        body: req.method === 'POST' ? JSON.stringify(redactMedia(redactSecrets(req.body))).substring(0, 500) : null
+      });
+    }
+    next();
+  }
+  router.use(logRequest);
+
+  /**
+   * Format TradingView alert into beautiful Telegram message
+   *
+   * Alerts with action/ticker (or an explicit template) are rendered with a
+   * template: the payload's `template` field, then options.template, then
+   * "default". timezone and locale control dates and number formatting.
+   */
+  function formatTelegramMessage(data, options = {}) {
+    const timezone = options.timezone || settings.DEFAULT_TIMEZONE;
+    const locale = options.locale || settings.DEFAULT_LOCALE;
+
+    // If it's a string, try to parse as JSON
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        // Not JSON, return as-is with timestamp
+        return `📢 <b>TradingView Alert</b>\n\n${data}\n\n⏰ ${formatDateTime(new Date(), { timezone, locale })}`;
+      }
+    }
+
+    // If it has action, ticker, etc. - format with a template
+    const templateName = data.template || options.template;
+    if (templateName || data.action || data.ticker) {
+      try {
+        return templates.render(templateName || 'default', data, { timezone, locale });
+      } catch (e) {
+        addLog('ERROR', { message: `Template "${templateName || 'default'}" failed, using built-in layout: ${e.message}` });
+        return renderDefault(data, { timezone, locale });
+      }
+    }
+
+    // If it has text field, use that
+    if (data.text) {
+      return data.text;
+    }
+
+    // Fallback - stringify the object
+    return `📢 <b>Alert</b>\n\n<code>${escapeHtml(JSON.stringify(data, null, 2))}</code>`;
+  }
+
+  /**
+   * Webhook authentication middleware
+   * Checks the shared secret (header or body) or HMAC signature when secrets
+   * are configured, and strips the `secret` field from the payload.
+   */
+  function requireWebhookAuth(req, res, next) {
+    const result = verifyWebhookRequest(req, settings.WEBHOOK_SECRETS, {
+      toleranceSeconds: settings.SIGNATURE_TOLERANCE,
+      requireSignature: settings.REQUIRE_SIGNATURE,
+    });
+
+    if (!result.ok) {
+      addLog('ERROR', { message: `Rejected ${req.path}: ${result.error}`, ip: req.ip || 'unknown' });
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    req.body = result.body;
+    req.webhookSource = result.source;
+    next();
+  }
+
+  /**
+   * Inline keyboard for an alert. The payload's `buttons` field ("ack,chart",
+   * a list, or "none") overrides ALERT_BUTTONS.
+   */
+  function alertKeyboard(alert, alertId) {
+    let buttons = settings.alertButtons;
+    if (alert && typeof alert === 'object' && alert.buttons !== undefined) {
+      try {
+        buttons = parseButtonList(alert.buttons);
+      } catch (e) {
+        addLog('ERROR', { message: `Ignoring buttons field: ${e.message}` });
+      }
+    }
+    return buildAlertKeyboard(stripRoutingFields(alert), { alertId, buttons });
+  }
+
+  // The digest schedule point a chat is in now (see digestSlot)
+  function currentDigestSlot(chat, schedule, now = Date.now()) {
+    return digestSlot(schedule, { now, timezone: chat.timezone || settings.DEFAULT_TIMEZONE, sessionClose: DIGEST_SESSION_CLOSE });
+  }
+
+  // Queue a digest of the chat's alerts since its last one. Owners also see
+  // every delivery failure, other chats only their own. Returns the jobs queued.
+  function sendDigest(chat, { slot = null, now = Date.now() } = {}) {
+    const digest = getDigestSettings(chat);
+    const schedule = digest.schedule || DIGEST_SCHEDULE;
+    const since = digest.lastSentAt ? Date.parse(digest.lastSentAt) : now - 24 * 60 * 60 * 1000;
+
+    const { filters } = parseAlertQuery({ from: since, to: now });
+    const { alerts: all } = alertHistory.query(filters, { paginate: false });
+    const alerts = alertHistory.query({ ...filters, chatId: chat.id }, { paginate: false }).alerts;
+    const failures = isOwner(chat.id) ? failedDeliveries(all) : failedDeliveries(alerts, chat.id);
+
+    updateDigest(chat.id, { lastSentAt: new Date(now).toISOString(), ...(slot ? { lastSlot: slot } : {}) });
+    const html = buildDigest({
+      schedule,
+      alerts,
+      failures,
+      since,
+      timezone: chat.timezone || settings.DEFAULT_TIMEZONE,
+      locale: chat.locale || settings.DEFAULT_LOCALE,
+    });
+    if (!html) return [];
+
+    addLog('DIGEST', { message: `Digest for ${chat.id}: ${alerts.length} alert(s), ${failures.length} failure(s)` });
+    return enqueueMessages([chat], { htmlFor: () => html });
+  }
+
+  // Send every digest that is due (runs every DIGEST_CHECK_INTERVAL)
+  function sendDueDigests(now = Date.now()) {
+    for (const chat of savedChatIds.filter(canReceiveAlerts)) {
+      const digest = getDigestSettings(chat);
+      if (digest.mode === 'realtime') continue;
+      try {
+        const slot = currentDigestSlot(chat, digest.schedule || DIGEST_SCHEDULE, now);
+        if (slot === digest.lastSlot) continue;
+        if (!digest.lastSlot) {
+          // Turned on through the API - start the schedule from now
+          updateDigest(chat.id, { lastSlot: slot, lastSentAt: digest.lastSentAt || new Date(now).toISOString() });
+          continue;
+        }
+        sendDigest(chat, { slot, now });
+      } catch (e) {
+        addLog('ERROR', { message: `Digest for ${chat.id} failed: ${e.message}` });
+      }
+    }
+  }
+
+  // Store a received alert in the history and count it for /metrics
+  function recordAlert(entry) {
+    // Uploaded images are kept as their size only
+    const record = alertHistory.record({ ...entry, alert: redactMedia(entry.alert), rawBody: redactMedia(entry.rawBody) });
+    metrics.webhooksReceived.inc({ tenant: name, dialect: entry.dialect || 'tradingview', outcome: entry.outcome || 'queued' });
+    liveEvents.emit('alert', record);
+    return record;
+  }
+
+  // Update the paper-trading ledger with an accepted alert
+  function trackPaperTrade(alert, alertId) {
+    if (!PAPER_TRADING) return;
+    const result = paperLedger.applyAlert(alert, { alertId });
+    if (!result) return;
+    if (result.closed) {
+      const { ticker, side, entryPrice, exitPrice, pnl, pnlPercent } = result.closed;
+      addLog('PAPER', { message: `Closed ${side} ${ticker} ${entryPrice} → ${exitPrice}: P&L ${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)` });
+    }
+    if (result.opened) {
+      const { ticker, side, entryPrice, quantity } = result.opened;
+      addLog('PAPER', { message: `Opened ${side} ${quantity} ${ticker} @ ${entryPrice}` });
+    }
+  }
+
+  // Turn an accepted alert into an order, and report the result to the
+  // executor chats (EXECUTOR_CHAT_IDS, else the owners, else DEFAULT_CHAT_ID)
+  function executeAlert(alert, alertId) {
+    if (!executor) return;
+    executor.execute(alert, { alertId }).then(result => {
+      if (!result) return;
+      const { order, status, reason } = result;
+      metrics.orders.inc({ tenant: name, mode: executor.mode, status });
+      addLog('ORDER', {
+        message: `${status}: ${order.side.toUpperCase()} ${order.quantity} ${order.symbol}${reason ? ` - ${reason}` : ''}`,
+        alertId,
+        clientOrderId: order.clientOrderId,
+      });
+      if (status === 'skipped') return;
+      const chatIds = EXECUTOR_CHAT_IDS.length > 0 ? EXECUTOR_CHAT_IDS
+        : OWNER_CHAT_IDS.length > 0 ? OWNER_CHAT_IDS
+          : DEFAULT_CHAT_ID ? [DEFAULT_CHAT_ID] : [];
+      const chats = chatIds.map(chatId => savedChatIds.find(c => c.id === chatId) || { id: chatId, username: 'unknown' });
+      enqueueMessages(chats, { htmlFor: chat => formatExecution(result, chat) });
+    }).catch(error => {
+      addLog('ERROR', { message: `Order execution failed: ${error.message}`, alertId });
+    });
+  }
+
+  const EXECUTION_TITLES = {
+    filled: '✅ <b>Order placed</b>',
+    'dry-run': '🧪 <b>Dry run - order not sent</b>',
+    rejected: '⛔ <b>Order rejected</b>',
+    failed: '❌ <b>Order failed</b>',
+  };
+
+  // Telegram message for an executed (or blocked) order
+  function formatExecution({ order, status, reason, fillPrice, position, response }, chat) {
+    const number = new Intl.NumberFormat(chat.locale || settings.DEFAULT_LOCALE, { maximumFractionDigits: 8 });
+    return `${EXECUTION_TITLES[status]}\n\n` +
+      `${order.side === 'buy' ? '🟢' : '🔴'} ${order.side.toUpperCase()} ${number.format(order.quantity)} <b>${escapeHtml(order.symbol)}</b>` +
+      ` @ ${number.format(fillPrice ?? order.referencePrice)}\n` +
+      `🎯 Signal: ${order.signal}${order.strategy ? ` (${escapeHtml(order.strategy)})` : ''} · position ${number.format(order.currentPosition)}` +
+      (position !== undefined ? ` → ${number.format(position)}` : `, target ${number.format(order.targetPosition)}`) + `\n` +
+      (response?.orderId ? `🧾 Broker order: <code>${escapeHtml(String(response.orderId))}</code>\n` : '') +
+      (reason ? `⚠️ ${escapeHtml(reason)}\n` : '') +
+      `🆔 <code>${escapeHtml(order.clientOrderId)}</code>`;
+  }
+
+  // Check the chats' price alerts against a price from a webhook or the feed,
+  // and notify the chats whose alerts it triggers
+  function checkPriceAlerts(ticker, price, source) {
+    if (!ticker || price === null) return;
+    for (const triggered of priceAlerts.check(ticker, price)) {
+      const chat = savedChatIds.find(c => c.id === triggered.chatId);
+      const summary = `#${triggered.id} ${triggered.ticker} ${triggered.condition} ${triggered.level} at ${price} (${source})`;
+      if (!chat || !canReceiveAlerts(chat)) {
+        addLog('PRICE', { message: `Price alert ${summary} not sent: chat ${triggered.chatId} is ${chat ? subscriberStatus(chat) : 'unknown'}` });
+        continue;
+      }
+      addLog('PRICE', { message: `Price alert ${summary} triggered for ${chat.username} (${chat.id})` });
+      enqueueMessages([chat], { htmlFor: () => formatPriceAlertMessage(triggered, chat) });
+    }
+  }
+
+  // The ticker's last `limit` alert prices from the history, oldest first
+  function tickerChartPoints(ticker, limit) {
+    const { filters, error } = parseAlertQuery({ ticker: String(ticker) });
+    if (error) throw new Error(error);
+    return chartPoints(alertHistory.query(filters, { paginate: false }).alerts).slice(-limit);
+  }
+
+  // A PNG chart of the recent prices of an alert's ticker, when the alert
+  // asks for one ("chart": true or a number of points) or ALERT_CHARTS=on.
+  // Needs a price on the alert and at least two prices in the history.
+  function alertChart(alert, chart) {
+    const wanted = chart === null ? settings.ALERT_CHARTS === 'on' : chart !== false;
+    if (!wanted || !alert || typeof alert !== 'object' || !alert.ticker || parsePrice(alert.price) === null) {
+      return null;
+    }
+    try {
+      const points = tickerChartPoints(alert.ticker, typeof chart === 'number' ? Math.min(chart, MAX_PAGE_SIZE) : settings.ALERT_CHART_POINTS);
+      if (points.length < 2) return null;
+      return {
+        data: renderChartPng(points).toString('base64'),
+        mimeType: 'image/png',
+        filename: `${String(alert.ticker).replace(/[^\w.-]+/g, '_')}.png`,
+      };
+    } catch (e) {
+      addLog('ERROR', { message: `Chart for ${alert.ticker} failed: ${e.message}` });
+      return null;
+    }
+  }
+
+  /**
+   * Webhook handler function
+   * Accepts TradingView webhook alerts and forwards them to the chats picked by
+   * the routing rules (explicit chat_id, named route, match rules, fallback).
+   * Requests are authenticated by requireWebhookAuth when secrets are configured.
+   *
+   * The body is parsed with the dialect named in the URL (/hook/:dialect) or
+   * the one that recognizes it, into the normalized alert everything below
+   * (formatting, dedup, routing, history) works on.
+   */
+  async function handleWebhook(req, res) {
+    try {
+      const { body, headers } = req;
+
+      // Log raw request for debugging
+      addLog('WEBHOOK', {
+        message: 'Webhook received',
+        source: req.webhookSource,
+        dialect: req.params.dialect || null,
+        contentType: headers['content-type'],
+        rawBody: redactMedia(typeof body === 'string' ? body : JSON.stringify(body)),
+        bodyType: typeof body
+      });
+
+      const parsed = parsers.parse(body, { dialect: req.params.dialect, contentType: headers['content-type'] || '' });
+      const alert = parsed.alert;
+
+      // Everything needed to store this alert in the history
+      const entry = {
+        source: req.webhookSource,
+        dialect: parsed.dialect,
+        contentType: headers['content-type'],
+        rawBody: redactSecrets(req.rawBody ?? (typeof body === 'string' ? body : JSON.stringify(body))),
+        alert: alert ?? null,
+      };
+
+      if (parsed.error) {
+        addLog('ERROR', { message: `Unparseable ${parsed.dialect} alert: ${parsed.error}` });
+        const record = recordAlert({ ...entry, outcome: 'rejected', reason: parsed.error });
+        return res.status(400).json({
+          success: false,
+          error: parsed.error,
+          dialect: parsed.dialect,
+          alertId: record.id,
+        });
+      }
+
+      const { status, body: response } = processAlert(alert, entry);
+      res.status(status).json(response);
+    } catch (error) {
+      addLog('ERROR', { message: `Webhook error: ${error.message}` });
+      console.error('❌ Error processing webhook:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        details: error.message,
+      });
+    }
+  }
+
+  /**
+   * Format, dedup, route and queue a normalized alert, and store it in the
+   * history. Used for webhooks and for replays from the dashboard; replays
+   * (entry.replayOf) skip duplicate suppression and paper trading.
+   * Returns { status, body } for the HTTP response.
+   */
+  function processAlert(payload, entry) {
+    const respond = (status, body) => ({ status, body });
+    const replay = Boolean(entry.replayOf);
+
+    // Image fields and "chart" become a photo on the message, not text
+    const { alert, media: attachedMedia, chart, error: mediaError } = extractMedia(payload);
+    if (mediaError) {
+      addLog('ERROR', { message: `Alert image ignored: ${mediaError}` });
+    }
+
+    // Format the message
+    const text = formatTelegramMessage(stripRoutingFields(alert));
+
+    // If text is empty or just "{}", treat as no message
+    if (!text || text === '{}' || text === '""') {
+      addLog('ERROR', { message: 'Empty or invalid message received' });
+      recordAlert({ ...entry, outcome: 'rejected', reason: 'No message content received' });
+      return respond(400, {
+        success: false,
+        error: 'No message content received',
+      });
+    }
+
+    console.log(`📨 Webhook received - Message: ${text.substring(0, 100)}`);
+
+    // Every price that comes in counts for price alerts, duplicates included
+    if (!replay && alert && typeof alert === 'object') {
+      checkPriceAlerts(alert.ticker, parsePrice(alert.price), 'webhook');
+    }
+
+    // Drop repeated fires and alerts still in cooldown
+    const dedupResult = replay ? { accepted: true } : dedup.check(alert);
+    if (!dedupResult.accepted) {
+      addLog('SUPPRESSED', { message: `Alert dropped: ${dedupResult.reason}`, key: dedupResult.key });
+      const record = recordAlert({ ...entry, outcome: 'suppressed', reason: dedupResult.reason });
+      return respond(200, {
+        success: true,
+        suppressed: true,
+        message: 'Alert suppressed',
+        reason: dedupResult.reason,
+        alertId: record.id,
+      });
+    }
+
+    // Pick destinations
+    const route = resolveRecipients(alert, {
+      config: routing.get(),
+      fallback: settings.ROUTING_FALLBACK,
+      defaultChatId: DEFAULT_CHAT_ID,
+      allChatIds: savedChatIds.filter(canReceiveAlerts).map(c => c.id),
+    });
+
+    if (route.unknownRoutes.length > 0) {
+      addLog('ERROR', { message: `Unknown route(s): ${route.unknownRoutes.join(', ')}` });
+    }
+
+    if (route.chatIds.length === 0 && route.endpoints.length === 0) {
+      if (route.reason === 'default') {
+        addLog('ERROR', { message: 'Missing chat_id and no DEFAULT_CHAT_ID configured' });
+        recordAlert({ ...entry, outcome: 'rejected', route: route.reason, reason: 'Missing chat_id and no DEFAULT_CHAT_ID configured' });
+        return respond(400, {
+          success: false,
+          error: 'Missing chat_id and no DEFAULT_CHAT_ID configured',
+        });
+      }
+      addLog('WEBHOOK', { message: `No recipients (${route.reason}) - alert not forwarded` });
+      const record = recordAlert({ ...entry, outcome: 'unrouted', route: route.reason, reason: 'No matching recipients' });
+      if (!replay) {
+        trackPaperTrade(stripRoutingFields(alert), record.id);
+        executeAlert(stripRoutingFields(alert), record.id);
+      }
+      return respond(200, {
+        success: true,
+        message: 'No matching recipients',
+        alertId: record.id,
+        route: route.reason,
+        rules: route.rules,
+        queued: 0,
+        skipped: 0,
+        jobs: [],
+      });
+    }
+
+    // Apply each chat's approval status, subscriptions, filters and mute.
+    // Chats in digest mode get the alert in their next digest instead.
+    const recipients = [];
+    const digestChatIds = [];
+    const skipped = [];
+    for (const id of route.chatIds) {
+      const chat = savedChatIds.find(c => c.id === id) || { id, username: 'unknown' };
+      if (!canReceiveAlerts(chat)) {
+        skipped.push({ chatId: id, reason: subscriberStatus(chat) });
+        continue;
+      }
+      // A broken subscription only costs its own chat the alert
+      let match;
+      try {
+        match = matchSubscription(chat, alert);
+      } catch (e) {
+        addLog('ERROR', { message: `Subscription check failed for ${chat.id}: ${e.message}` });
+        match = { deliver: false, reason: 'subscription error' };
+      }
+      const { deliver, reason } = match;
+      if (deliver) {
+        const { mode } = getDigestSettings(chat);
+        if (mode !== 'realtime') digestChatIds.push(id);
+        if (mode !== 'digest') recipients.push(chat);
+      } else {
+        skipped.push({ chatId: id, reason });
+      }
+    }
+    // Named channels can also point at Discord, Slack, webhooks and email
+    recipients.push(...route.endpoints);
+    if (skipped.length > 0) {
+      addLog('WEBHOOK', { message: `Skipped ${skipped.length} chat(s): ${skipped.map(s => `${s.chatId} (${s.reason})`).join(', ')}` });
+    }
+
+    // Render once per timezone/locale combination
+    const rendered = new Map();
+    const htmlFor = chat => {
+      const timezone = chat.timezone || settings.DEFAULT_TIMEZONE;
+      const locale = chat.locale || settings.DEFAULT_LOCALE;
+      const key = `${timezone}|${locale}`;
+      if (!rendered.has(key)) {
+        rendered.set(key, formatTelegramMessage(stripRoutingFields(alert), { template: route.template, timezone, locale }));
+      }
+      return rendered.get(key);
+    };
+
+    // Queue for every routed chat - delivery happens in the background so
+    // TradingView gets its response right away
+    const record = recordAlert({
+      ...entry,
+      route: route.reason,
+      digestChatIds,
+      ...(recipients.length === 0 && digestChatIds.length === 0
+        ? { outcome: 'unrouted', reason: 'All recipients skipped by subscription' }
+        : {}),
+    });
+    if (!replay) {
+      trackPaperTrade(stripRoutingFields(alert), record.id);
+      executeAlert(stripRoutingFields(alert), record.id);
+    }
+    const jobs = enqueueMessages(recipients, {
+      alert: stripRoutingFields(alert),
+      alertId: record.id,
+      htmlFor,
+      keyboard: alertKeyboard(alert, record.id),
+      media: attachedMedia || alertChart(alert, chart),
+    });
+
+    console.log(`📬 Alert queued for ${recipients.length} users, ${jobs.length} message(s) (${route.reason})` +
+      (digestChatIds.length > 0 ? `, held for ${digestChatIds.length} digest(s)` : ''));
+    return respond(202, {
+      success: true,
+      message: 'Alert queued for delivery',
+      alertId: record.id,
+      route: route.reason,
+      rules: route.rules,
+      queued: recipients.length,
+      digest: digestChatIds.length,
+      skipped: skipped.length,
+      jobs: jobs.map(job => ({ id: job.id, chatId: job.chatId })),
+    });
+  }
+
+  // Handle POST to /tv-webhook
+  router.post('/tv-webhook', requireWebhookAuth, handleWebhook);
+
+  // Also handle POST to / (root) for TradingView webhooks
+  router.post('/', requireWebhookAuth, handleWebhook);
+
+  // Unknown dialects are rejected before authentication
+  function requireKnownDialect(req, res, next) {
+    if (!parsers.has(req.params.dialect)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown alert dialect "${req.params.dialect}" (expected ${parsers.names().join(', ')})`,
+      });
+    }
+    next();
+  }
+
+  /**
+   * POST /hook/:dialect
+   * Same as /tv-webhook, with the payload dialect given by the URL instead of
+   * sniffed: /hook/tradingview, /hook/strategy, /hook/trendspider, /hook/form
+   */
+  router.post('/hook/:dialect', requireKnownDialect, requireWebhookAuth, handleWebhook);
+
+  /**
+   * POST /telegram-webhook
+   * Receives updates from Telegram when TELEGRAM_MODE=webhook
+   * Requests must carry the secret token registered with setWebhook
+   */
+  router.post('/telegram-webhook', async (req, res) => {
+    if (TELEGRAM_MODE !== 'webhook') {
+      return res.status(409).json({ ok: false, error: 'Bot is in polling mode (TELEGRAM_MODE=polling)' });
+    }
+    if (!safeEqual(req.headers[TELEGRAM_SECRET_HEADER] || '', TELEGRAM_SECRET_TOKEN)) {
+      addLog('ERROR', { message: 'Rejected /telegram-webhook: invalid secret token', ip: req.ip || 'unknown' });
+      return res.status(401).json({ ok: false, error: 'Invalid secret token' });
+    }
+
+    try {
+      await dispatchUpdate(req.body);
+    } catch (error) {
+      console.error('❌ Error processing Telegram webhook:', error.message);
+    }
+    res.status(200).json({ ok: true }); // Always return 200 to Telegram
+  });
+
+  // Admin API and dashboard (lib/admin-routes.js)
+  router.use(createAdminRouter({
+    id,
+    basePath,
+    settings,
+    requireScope,
+    savedChatIds,
+    defaultChatId: () => DEFAULT_CHAT_ID,
+    addChat,
+    removeChat,
+    updateChat,
+    updateSubscription,
+    updateDigest,
+    setChatStatus,
+    requestLogs,
+    liveEvents,
+    addLog,
+    invites,
+    deliveryQueue,
+    enqueueMessages,
+    recordDelivery,
+    alertHistory,
+    tickerChartPoints,
+    processAlert,
+    paperTrading: PAPER_TRADING,
+    paperMode: PAPER_MODE,
+    paperLedger,
+    priceAlerts,
+    priceFeed,
+    executor,
+  }));
+
+  // Readiness checks hit the Bot API, so results are reused for a few seconds
+  const READINESS_CACHE_MS = 15 * 1000;
+  // Long polls return at least every 30s; longer than this means polling is stuck
+  const POLL_STALE_MS = 2 * 60 * 1000;
+  // A webhook delivery error newer than this marks webhook mode as degraded
+  const WEBHOOK_ERROR_WINDOW_MS = 10 * 60 * 1000;
+  let lastReadiness = null;
+
+  // Telegram: is the bot token valid and the API reachable?
+  async function checkTelegram() {
+    const startedAt = Date.now();
+    try {
+      const data = await channels.telegram.call('getMe');
+      return data.ok
+        ? { ok: true, bot: data.result.username, latencyMs: Date.now() - startedAt }
+        : { ok: false, error: data.description || 'getMe failed', latencyMs: Date.now() - startedAt };
+    } catch (e) {
+      return { ok: false, error: e.message, latencyMs: Date.now() - startedAt };
+    }
+  }
+
+  // Updates: has polling succeeded recently / is Telegram able to reach the webhook?
+  async function checkUpdates() {
+    if (TELEGRAM_MODE === 'polling') {
+      const since = polling.lastPollAt || polling.startedAt;
+      return {
+        ok: since !== null && Date.now() - since < POLL_STALE_MS,
+        mode: 'polling',
+        lastPollAt: polling.lastPollAt ? new Date(polling.lastPollAt).toISOString() : null,
+        ...(polling.lastError ? { error: polling.lastError } : {}),
+      };
+    }
+    try {
+      const data = await channels.telegram.call('getWebhookInfo');
+      if (!data.ok) return { ok: false, mode: 'webhook', error: data.description || 'getWebhookInfo failed' };
+      const info = data.result;
+      const lastErrorAt = info.last_error_date ? info.last_error_date * 1000 : null;
+      const recentError = lastErrorAt !== null && Date.now() - lastErrorAt < WEBHOOK_ERROR_WINDOW_MS;
+      return {
+        ok: Boolean(info.url) && !recentError,
+        mode: 'webhook',
+        url: info.url || null,
+        pendingUpdates: info.pending_update_count,
+        ...(recentError ? { error: info.last_error_message, lastErrorAt: new Date(lastErrorAt).toISOString() } : {}),
+      };
+    } catch (e) {
+      return { ok: false, mode: 'webhook', error: e.message };
+    }
+  }
+
+  async function checkReadiness() {
+    if (lastReadiness && Date.now() - Date.parse(lastReadiness.checkedAt) < READINESS_CACHE_MS) {
+      return lastReadiness;
+    }
+    const [telegram, updates] = await Promise.all([checkTelegram(), checkUpdates()]);
+    const checks = { telegram, updates, queue: { ok: true, ...deliveryQueue.stats() } };
+    lastReadiness = {
+      status: Object.values(checks).every(check => check.ok) ? 'ok' : 'degraded',
+      checkedAt: new Date().toISOString(),
+      checks,
+    };
+    return lastReadiness;
+  }
+
+  // Counts for /health
+  function health() {
+    return {
+      registeredChats: savedChatIds.length,
+      storage: storage.backend,
+      defaultChatId: DEFAULT_CHAT_ID || null,
+      ready: lastReadiness ? lastReadiness.status : null,
+      queue: deliveryQueue.stats(),
+      alerts: alertHistory.stats(),
+      priceAlerts: priceAlerts.list().length,
+      executor: executor ? executor.mode : 'off',
+    };
+  }
+
+  // Values of the tenant-labelled gauges in /metrics
+  function gauges() {
+    return {
+      queueDepth: deliveryQueue.stats().pending,
+      deadLetters: deliveryQueue.stats().dead,
+      subscribers: savedChatIds.filter(canReceiveAlerts).length,
+      lastPollAt: polling.lastPollAt,
+    };
+  }
+
+  function logStartup() {
+    const webhookPath = id ? `/tv-webhook/${id}` : '/tv-webhook';
+    console.log(`📍 ${tag}POST ${env.NODE_ENV === 'production' ? 'https' : 'http'}://your-domain${webhookPath}`);
+    console.log(`📍 ${tag}Telegram updates: ${TELEGRAM_MODE === 'webhook' ? `webhook ${TELEGRAM_WEBHOOK_URL || '(no URL set)'}` : 'polling'}`);
+    console.log(`✅ ${tag}DEFAULT_CHAT_ID: ${DEFAULT_CHAT_ID || 'will auto-set when first user messages bot'}`);
+    console.log(`✅ ${tag}SHARED_SECRET: ${settings.SHARED_SECRET ? 'enabled' : 'disabled'}`);
+    console.log(`🔐 ${tag}Webhook sources: ${settings.WEBHOOK_SECRETS.length > 0 ? settings.WEBHOOK_SECRETS.map(s => s.name).join(', ') : 'none (open)'}${settings.REQUIRE_SIGNATURE ? ' - signature required' : ''}`);
+    console.log(`📋 ${tag}Registered chat IDs: ${savedChatIds.length}`);
+    console.log(`💾 ${tag}Storage: ${storage.backend} (${storage.describe()})`);
+    console.log(`🗂️ ${tag}Alert history: ${alertHistory.stats().total} alerts in ${ALERT_HISTORY_FILE}`);
+    console.log(`📋 ${tag}Digests: ${savedChatIds.filter(c => getDigestSettings(c).mode !== 'realtime').length} chat(s), default schedule ${DIGEST_SCHEDULE}`);
+    console.log(`🎯 ${tag}Price alerts: ${priceAlerts.list().length} active, feed: ${priceFeed ? `${priceFeed.type} (${priceFeed.describe()})` : 'none'}`);
+    console.log(`🏦 ${tag}Order executor: ${executor ? executor.describe() : 'off'}`);
+    console.log(`📒 ${tag}Paper trading: ${PAPER_TRADING ? `${PAPER_MODE} mode, ${paperLedger.positions().length} open position(s)` : 'disabled'}`);
+    console.log(`🧩 ${tag}Templates: ${templates.list().join(', ')} (${settings.DEFAULT_TIMEZONE}, ${settings.DEFAULT_LOCALE})`);
+    console.log(`🧭 ${tag}Routing: ${routing.get().rules.length} rules from ${settings.ROUTES_FILE}, fallback "${routing.get().fallback || settings.ROUTING_FALLBACK}"`);
+  }
+
+  /**
+   * Check new settings after a config reload and return a function that
+   * switches to them, so the server can check every bot before changing
+   * any. Only the settings of reloadableSettings() and the non-Telegram
+   * channels change; requests being handled finish with the old values.
+   * Throws when a setting is invalid.
+   */
+  function prepareReload(nextEnv) {
+    const next = reloadableSettings(nextEnv);
+    // Webhook secrets are reloadable; live orders must stay behind them
+    const authError = executor?.mode === 'live' && liveAuthError(nextEnv);
+    if (authError) throw new Error(authError);
+    const nextTemplates = loadTemplates(next.TEMPLATES_DIR);
+    const nextRouting = createRoutingStore(next.ROUTES_FILE);
+    // The Telegram channel stays: its token and API URL need a restart
+    const { telegram, ...nextChannels } = createChannels({ telegram: telegramSettings, ...channelSettings(nextEnv) });
+    return () => {
+      Object.assign(settings, next);
+      routing = nextRouting;
+      templates = nextTemplates;
+      Object.assign(channels, nextChannels);
+      if (requestLogs.length > settings.MAX_LOGS) requestLogs.length = settings.MAX_LOGS;
+      console.log(`🔄 ${tag}Settings reloaded`);
+    };
+  }
+
+  // Drop alerts that have outlived ALERT_HISTORY_RETENTION
+  function pruneHistory() {
+    const dropped = alertHistory.prune();
+    if (dropped > 0) console.log(`🗂️ ${tag}Dropped ${dropped} alert(s) older than the history retention`);
+  }
+
+  // Start delivering, receiving Telegram updates and prices, sending digests
+  // and pruning the alert history
+  let digestTimer = null;
+  let historyTimer = null;
+  function start() {
+    deliveryQueue.start();
+    startTelegramUpdates().catch(error => console.error(`❌ ${tag}Telegram setup failed:`, error.message));
+    priceFeed?.start(({ ticker, price }) => checkPriceAlerts(ticker, parsePrice(price), `${priceFeed.type} feed`));
+    digestTimer = setInterval(sendDueDigests, DIGEST_CHECK_INTERVAL);
+    if (ALERT_HISTORY_RETENTION_MS > 0) historyTimer = setInterval(pruneHistory, HISTORY_PRUNE_INTERVAL);
+  }
+
+  // Stop timers, polling and the price feed, then finish pending storage writes
+  async function close() {
+    clearInterval(digestTimer);
+    clearInterval(historyTimer);
+    poller?.stop();
+    priceFeed?.stop();
+    await executor?.idle();
+    deliveryQueue.stop();
+    alertHistory.flush();
+    await storage.close();
+  }
+
+  return {
+    id,
+    name,
+    basePath,
+    router,
+    // Alert webhook for the /tv-webhook/<id> shortcut
+    webhookHandlers: [logRequest, requireWebhookAuth, handleWebhook],
+    formatTelegramMessage,
+    health,
+    gauges,
+    checkReadiness,
+    logStartup,
+    prepareReload,
+    start,
+    close,
+  };
+}
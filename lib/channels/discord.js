@@ -0,0 +1,45 @@
+import { classifyAction } from '../templates.js';
+import { htmlToMarkdown } from './markdown.js';
+import { postJson, truncate } from './http.js';
+
+// Embed colours for BUY / SELL / other alerts
+const COLORS = { BUY: 0x238636, SELL: 0xda3633, OTHER: 0x1f6feb };
+
+/**
+ * Discord incoming webhook channel.
+ * Destination: { type: "discord", url: "https://discord.com/api/webhooks/..." }
+ */
+export function createDiscordChannel({ username = 'TradingView Bot' } = {}) {
+  return {
+    type: 'discord',
+
+    // Linked images go in the embed; uploaded ones (charts) aren't sent
+    format({ alert, html, media }) {
+      const description = truncate(htmlToMarkdown(html), 4096);
+      const image = media?.url ? { image: { url: media.url } } : {};
+      if (!alert || typeof alert !== 'object' || !(alert.ticker || alert.action)) {
+        return [{
+          username,
+          content: truncate(description, 2000),
+          ...(media?.url ? { embeds: [image] } : {}),
+        }];
+      }
+
+      const { isBuy, isSell, emoji, actionText } = classifyAction(alert.action);
+      return [{
+        username,
+        embeds: [{
+          title: truncate(`${emoji} ${alert.ticker || ''} ${actionText}`.trim(), 256),
+          description,
+          color: isBuy ? COLORS.BUY : isSell ? COLORS.SELL : COLORS.OTHER,
+          ...image,
+          timestamp: new Date().toISOString(),
+        }],
+      }];
+    },
+
+    send(destination, payload) {
+      return postJson(destination.url, payload);
+    },
+  };
+}
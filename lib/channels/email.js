@@ -0,0 +1,78 @@
+import nodemailer from 'nodemailer';
+import { classifyAction } from '../templates.js';
+import { escapeHtml, htmlToPlainText, sanitizeTelegramHtml } from '../sanitize.js';
+
+// SMTP reply codes that will never succeed on retry
+const PERMANENT_SMTP_CODES = [550, 551, 552, 553, 554];
+
+// Content id of an uploaded image, referenced from the HTML body
+const IMAGE_CID = 'alert-image';
+
+/**
+ * SMTP email channel.
+ * Destination: { type: "email", to: "desk@example.com" }
+ */
+export function createEmailChannel({ host, port = 587, secure = false, user, pass, from }) {
+  let transport = null;
+
+  function getTransport() {
+    if (!host) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+    if (!transport) {
+      transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user ? { auth: { user, pass } } : {}),
+      });
+    }
+    return transport;
+  }
+
+  return {
+    type: 'email',
+
+    // Images are attached and shown below the message
+    format({ alert, html, media }) {
+      let subject = 'TradingView Alert';
+      if (alert && typeof alert === 'object' && (alert.ticker || alert.action)) {
+        const { emoji, actionText } = classifyAction(alert.action);
+        subject = `${emoji} ${alert.indicator || 'Signal'} ${actionText}${alert.ticker ? ` - ${alert.ticker}` : ''}`;
+      }
+      // Alert text can carry raw HTML (e.g. {{text|raw}}); keep only the tags Telegram allows
+      const body = sanitizeTelegramHtml(html);
+      const image = media ? `<br><img src="${media.url ? escapeHtml(media.url) : `cid:${IMAGE_CID}`}" alt="Alert image">` : '';
+      return [{
+        subject,
+        text: htmlToPlainText(body),
+        html: `<div style="font-family: sans-serif; white-space: pre-wrap">${body}</div>${image}`,
+        ...(media && !media.url
+          ? { attachments: [{ filename: media.filename, content: media.data, encoding: 'base64', contentType: media.mimeType, cid: IMAGE_CID }] }
+          : {}),
+      }];
+    },
+
+    async send(destination, payload) {
+      try {
+        const info = await getTransport().sendMail({
+          from: from || user,
+          to: destination.to,
+          subject: payload.subject,
+          text: payload.text,
+          html: payload.html,
+          ...(payload.attachments ? { attachments: payload.attachments } : {}),
+        });
+        return { ok: true, messageId: info.messageId };
+      } catch (e) {
+        const code = e.responseCode || null;
+        return {
+          ok: false,
+          // Map permanent SMTP failures onto a code the queue treats as permanent
+          error_code: PERMANENT_SMTP_CODES.includes(code) ? 400 : code,
+          description: e.message,
+        };
+      }
+    },
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * POST a JSON body and normalize the result into the Telegram-style response
+ * the delivery queue understands: { ok, error_code, description, parameters }.
+ * A Retry-After header (or retry_after in the body) becomes parameters.retry_after.
+ */
+export async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+
+  if (response.ok) {
+    return { ok: true, status: response.status };
+  }
+
+  const text = await response.text();
+  let retryAfter = parseFloat(response.headers.get('retry-after'));
+  if (Number.isNaN(retryAfter)) {
+    try {
+      retryAfter = parseFloat(JSON.parse(text).retry_after);
+    } catch (e) {
+      // Not JSON
+    }
+  }
+
+  return {
+    ok: false,
+    error_code: response.status,
+    description: `HTTP ${response.status}: ${text.substring(0, 200)}`,
+    ...(Number.isFinite(retryAfter) ? { parameters: { retry_after: Math.ceil(retryAfter) } } : {}),
+  };
+}
+
+/**
+ * Cut text to a maximum length, ending with "…" when shortened.
+ */
+export function truncate(text, max) {
+  return text.length <= max ? text : `${text.substring(0, max - 1)}…`;
+}
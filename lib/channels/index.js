@@ -0,0 +1,76 @@
+import { createTelegramChannel } from './telegram.js';
+import { createDiscordChannel } from './discord.js';
+import { createSlackChannel } from './slack.js';
+import { createWebhookChannel } from './webhook.js';
+import { createEmailChannel } from './email.js';
+
+export const CHANNEL_TYPES = ['telegram', 'discord', 'slack', 'webhook', 'email'];
+
+/**
+ * Create every channel adapter.
+ *
+ * Each adapter has the same shape:
+ *   type                               channel name
+ *   format({ alert, html, keyboard, media })
+ *                                      -> array of payloads (one message each;
+ *                                      only Telegram uses the inline keyboard).
+ *                                      media is an image: { url } or
+ *                                      { data (base64), mimeType, filename }
+ *   send(destination, payload)         -> { ok, error_code, description, parameters }
+ */
+export function createChannels({ telegram, discord, slack, webhook, email }) {
+  return {
+    telegram: createTelegramChannel(telegram),
+    discord: createDiscordChannel(discord),
+    slack: createSlackChannel(slack),
+    webhook: createWebhookChannel(webhook),
+    email: createEmailChannel(email),
+  };
+}
+
+/**
+ * Normalize a destination: a plain string is a Telegram chat id, objects
+ * name their channel with `type`.
+ */
+export function toDestination(value) {
+  if (value && typeof value === 'object') {
+    return { ...value, type: value.type || 'telegram' };
+  }
+  return { type: 'telegram', id: String(value) };
+}
+
+/**
+ * Check that a destination has what its channel needs.
+ * Returns an error message or null.
+ */
+export function validateDestination(destination) {
+  if (!CHANNEL_TYPES.includes(destination.type)) {
+    return `unknown channel type "${destination.type}"`;
+  }
+  if (destination.type === 'telegram' && !destination.id) return 'telegram destination needs an "id"';
+  if (['discord', 'slack', 'webhook'].includes(destination.type) && !/^https?:\/\//.test(destination.url || '')) {
+    return `${destination.type} destination needs an http(s) "url"`;
+  }
+  if (destination.type === 'email' && !/^[^@\s]+@[^@\s]+$/.test(destination.to || '')) {
+    return 'email destination needs a "to" address';
+  }
+  return null;
+}
+
+/**
+ * Key used to pace and order messages per recipient.
+ */
+export function destinationKey(destination) {
+  if (destination.type === 'telegram') return destination.id;
+  return `${destination.type}:${destination.url || destination.to || destination.id}`;
+}
+
+/**
+ * A destination without its signing secret, for what is stored or shown
+ * (queued jobs, GET /queue).
+ */
+export function withoutSecret(destination) {
+  if (!destination || !('secret' in destination)) return destination;
+  const { secret, ...rest } = destination;
+  return rest;
+}
@@ -0,0 +1,39 @@
+import { htmlToPlainText } from '../sanitize.js';
+
+function decode(text) {
+  return htmlToPlainText(text);
+}
+
+/**
+ * Convert Telegram HTML into Discord-flavoured Markdown.
+ */
+export function htmlToMarkdown(html) {
+  return decode(String(html ?? '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, '[$2]($1)')
+    .replace(/<\/?(b|strong)>/gi, '**')
+    .replace(/<\/?(i|em)>/gi, '*')
+    .replace(/<\/?(u|ins)>/gi, '__')
+    .replace(/<\/?(s|strike|del)>/gi, '~~')
+    .replace(/<\/?(tg-spoiler|span[^>]*)>/gi, '||')
+    .replace(/<pre>([\s\S]*?)<\/pre>/gi, '```\n$1\n```')
+    .replace(/<\/?code[^>]*>/gi, '`'));
+}
+
+/**
+ * Convert Telegram HTML into Slack mrkdwn.
+ */
+export function htmlToSlackMrkdwn(html) {
+  const escapeSlack = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const placeholders = [];
+  const keep = value => `\u0000${placeholders.push(value) - 1}\u0000`;
+
+  const converted = String(html ?? '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, (m, href, text) => keep(`<${decode(href)}|${escapeSlack(decode(text))}>`))
+    .replace(/<\/?(b|strong)>/gi, '*')
+    .replace(/<\/?(i|em)>/gi, '_')
+    .replace(/<\/?(s|strike|del)>/gi, '~')
+    .replace(/<pre>([\s\S]*?)<\/pre>/gi, '```$1```')
+    .replace(/<\/?code[^>]*>/gi, '`');
+
+  return escapeSlack(decode(converted)).replace(/\u0000(\d+)\u0000/g, (m, i) => placeholders[i]);
+}
@@ -0,0 +1,28 @@
+import { htmlToSlackMrkdwn } from './markdown.js';
+import { postJson, truncate } from './http.js';
+
+/**
+ * Slack incoming webhook channel.
+ * Destination: { type: "slack", url: "https://hooks.slack.com/services/..." }
+ */
+export function createSlackChannel() {
+  return {
+    type: 'slack',
+
+    // Linked images become an image block; uploaded ones (charts) aren't sent
+    format({ html, media }) {
+      const text = htmlToSlackMrkdwn(html);
+      return [{
+        text: truncate(text, 3000),
+        blocks: [
+          { type: 'section', text: { type: 'mrkdwn', text: truncate(text, 3000) } },
+          ...(media?.url ? [{ type: 'image', image_url: media.url, alt_text: 'Alert image' }] : []),
+        ],
+      }];
+    },
+
+    send(destination, payload) {
+      return postJson(destination.url, payload);
+    },
+  };
+}
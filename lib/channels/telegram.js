@@ -0,0 +1,113 @@
+import { htmlToPlainText, prepareTelegramHtml, TELEGRAM_CAPTION_LIMIT } from '../sanitize.js';
+
+const isParseError = data => data.error_code === 400 && /can't parse entities/i.test(data.description || '');
+
+/**
+ * Telegram Bot API channel.
+ * Messages are Telegram HTML, sanitized and split to fit the 4096 char limit.
+ * Alerts with media go out as a photo with the start of the message as its
+ * caption (1024 chars); the rest follows as text messages.
+ */
+export function createTelegramChannel({
+  token,
+  apiBase = 'https://api.telegram.org',
+  onPlainTextFallback = () => {},
+  onMediaFallback = () => {},
+  onApiCall = () => {},
+}) {
+  // onApiCall({ method, durationMs, ok, errorCode }) is told about every Bot API request.
+  // params may be FormData for file uploads
+  async function call(method, params = {}) {
+    const startedAt = Date.now();
+    const upload = params instanceof FormData;
+    try {
+      const response = await fetch(`${apiBase}/bot${token}/${method}`, {
+        method: 'POST',
+        ...(upload ? { body: params } : { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(params) }),
+      });
+      const data = await response.json();
+      onApiCall({ method, durationMs: Date.now() - startedAt, ok: Boolean(data.ok), errorCode: data.error_code });
+      return data;
+    } catch (e) {
+      onApiCall({ method, durationMs: Date.now() - startedAt, ok: false, errorCode: 'network' });
+      throw e;
+    }
+  }
+
+  function sendMessage(chatId, text, { parseMode = 'HTML', replyMarkup } = {}) {
+    return call('sendMessage', {
+      chat_id: chatId,
+      text,
+      ...(parseMode ? { parse_mode: parseMode } : {}),
+      ...(replyMarkup ? { reply_markup: replyMarkup } : {}),
+    });
+  }
+
+  // photo: { url } or { data (base64), mimeType, filename } - data is uploaded
+  function sendPhoto(chatId, photo, { caption, parseMode = 'HTML', replyMarkup } = {}) {
+    const params = {
+      chat_id: chatId,
+      ...(caption ? { caption } : {}),
+      ...(caption && parseMode ? { parse_mode: parseMode } : {}),
+      ...(replyMarkup ? { reply_markup: replyMarkup } : {}),
+    };
+    if (photo.url) return call('sendPhoto', { ...params, photo: photo.url });
+
+    const form = new FormData();
+    for (const [key, value] of Object.entries(params)) {
+      form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+    form.append('photo', new Blob([Buffer.from(photo.data, 'base64')], { type: photo.mimeType }), photo.filename || 'image');
+    return call('sendPhoto', form);
+  }
+
+  async function sendText(destination, text, replyMarkup) {
+    const data = await sendMessage(destination.id, text, { replyMarkup });
+    if (!data.ok && isParseError(data)) {
+      onPlainTextFallback(destination, data.description);
+      return sendMessage(destination.id, htmlToPlainText(text), { parseMode: null, replyMarkup });
+    }
+    return data;
+  }
+
+  async function sendMedia(destination, payload) {
+    const replyMarkup = payload.reply_markup;
+    let data = await sendPhoto(destination.id, payload.photo, { caption: payload.caption, replyMarkup });
+    if (!data.ok && isParseError(data)) {
+      onPlainTextFallback(destination, data.description);
+      data = await sendPhoto(destination.id, payload.photo, { caption: htmlToPlainText(payload.caption), parseMode: null, replyMarkup });
+    }
+    // Telegram refused the image itself (bad link, unsupported or too big) -
+    // the alert still goes out as text. Retryable errors are left to the queue.
+    if (!data.ok && [400, 413].includes(data.error_code) && !isParseError(data)) {
+      onMediaFallback(destination, data.description);
+      return sendText(destination, payload.caption || '📷', replyMarkup);
+    }
+    return data;
+  }
+
+  return {
+    type: 'telegram',
+    call,
+    sendMessage,
+    sendPhoto,
+
+    // One message per part; an inline keyboard goes on the last part.
+    // With media the first part is a photo captioned with the start of the text
+    format({ html, keyboard, media }) {
+      const parts = media
+        ? prepareTelegramHtml(html, undefined, TELEGRAM_CAPTION_LIMIT).map((text, i) => (i === 0 ? { photo: media, caption: text } : { text }))
+        : prepareTelegramHtml(html).map(text => ({ text }));
+      if (keyboard) parts[parts.length - 1].reply_markup = keyboard;
+      return parts;
+    },
+
+    // If Telegram can't parse the HTML, resend it as plain text; if it
+    // rejects the photo, send the caption on its own. A photo whose data was
+    // dropped (a requeued dead letter) goes out as its caption too.
+    send(destination, payload) {
+      if (payload.photo?.url || payload.photo?.data) return sendMedia(destination, payload);
+      return sendText(destination, payload.text ?? payload.caption ?? '📷', payload.reply_markup);
+    },
+  };
+}
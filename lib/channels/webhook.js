@@ -0,0 +1,41 @@
+import { signPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } from '../auth.js';
+import { htmlToPlainText } from '../sanitize.js';
+import { postJson } from './http.js';
+
+/**
+ * Generic outgoing JSON webhook channel.
+ * Destination: { type: "webhook", url: "https://...", secret: "optional" }
+ *
+ * When a secret is set (on the destination or as the channel default), the
+ * request is signed the same way incoming webhooks are verified:
+ * x-webhook-signature = HMAC-SHA256("<timestamp>.<body>").
+ */
+export function createWebhookChannel({ secret: defaultSecret } = {}) {
+  return {
+    type: 'webhook',
+
+    // media is { url } or { data (base64), mimeType, filename }
+    format({ alert, html, media }) {
+      return [{
+        source: 'trading-viewbot',
+        alert,
+        text: htmlToPlainText(html),
+        html,
+        ...(media ? { media } : {}),
+        sentAt: new Date().toISOString(),
+      }];
+    },
+
+    send(destination, payload) {
+      const body = JSON.stringify(payload);
+      const secret = destination.secret || defaultSecret;
+      const headers = {};
+      if (secret) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        headers[TIMESTAMP_HEADER] = String(timestamp);
+        headers[SIGNATURE_HEADER] = `sha256=${signPayload(secret, timestamp, body)}`;
+      }
+      return postJson(destination.url, body, headers);
+    },
+  };
+}
@@ -0,0 +1,180 @@
+import zlib from 'zlib';
+import { parsePrice } from './price-alerts.js';
+import { classifyAction } from './templates.js';
+import { escapeHtml } from './sanitize.js';
+
+// ALERT_CHARTS values
+export const CHART_MODES = ['off', 'on'];
+
+// Dashboard colours
+const COLORS = {
+  background: [0x0d, 0x11, 0x17],
+  grid: [0x30, 0x36, 0x3d],
+  line: [0x58, 0xa6, 0xff],
+  buy: [0x23, 0x86, 0x36],
+  sell: [0xda, 0x36, 0x33],
+  other: [0xc9, 0xd1, 0xd9],
+};
+
+const hex = ([r, g, b]) => `#${[r, g, b].map(c => c.toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Chart points from alert history records (newest first, as
+ * alertHistory.query returns them): [{ time, price, side }], oldest first.
+ * Records without a price are left out; side is "buy", "sell" or null.
+ */
+export function chartPoints(records) {
+  const points = [];
+  for (const record of records) {
+    const price = parsePrice(record.alert?.price ?? record.alert?.close);
+    if (price === null) continue;
+    const { isBuy, isSell } = classifyAction(record.action || record.alert?.action);
+    points.push({ time: record.receivedAt, price, side: isBuy ? 'buy' : isSell ? 'sell' : null });
+  }
+  return points.reverse();
+}
+
+// Pixel positions of the points: evenly spaced, prices scaled to the height
+function layout(points, width, height, padding) {
+  const prices = points.map(p => p.price);
+  let min = Math.min(...prices);
+  let max = Math.max(...prices);
+  if (min === max) {
+    // A flat line goes through the middle
+    min -= 1;
+    max += 1;
+  }
+  const margin = (max - min) * 0.1;
+  min -= margin;
+  max += margin;
+  const step = points.length > 1 ? (width - 2 * padding) / (points.length - 1) : 0;
+  return {
+    min,
+    max,
+    coords: points.map((p, i) => ({
+      ...p,
+      x: padding + i * step,
+      y: padding + (1 - (p.price - min) / (max - min)) * (height - 2 * padding),
+    })),
+  };
+}
+
+function markerColor(side) {
+  return side === 'buy' ? COLORS.buy : side === 'sell' ? COLORS.sell : COLORS.other;
+}
+
+/**
+ * A mini price chart as SVG: the line of prices, BUY/SELL markers, the
+ * price range and an optional title.
+ */
+export function renderChartSvg(points, { width = 600, height = 300, title = '' } = {}) {
+  const padding = 30;
+  const { min, max, coords } = layout(points, width, height, padding);
+  const format = value => Number(value.toPrecision(6)).toString();
+  const grid = [0, 1, 2, 3, 4].map(i => {
+    const y = padding + (i / 4) * (height - 2 * padding);
+    return `<line x1="${padding}" y1="${y}" x2="${width - padding}" y2="${y}" stroke="${hex(COLORS.grid)}" stroke-width="1"/>`;
+  });
+  const line = coords.map(c => `${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' ');
+  const markers = coords.map(c => `<circle cx="${c.x.toFixed(1)}" cy="${c.y.toFixed(1)}" r="${c.side ? 5 : 3}" fill="${hex(markerColor(c.side))}"/>`);
+  const text = (x, y, value, anchor = 'start') => `<text x="${x}" y="${y}" fill="${hex(COLORS.other)}" font-family="monospace" font-size="12" text-anchor="${anchor}">${escapeHtml(value)}</text>`;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="${hex(COLORS.background)}"/>`,
+    ...grid,
+    `<polyline points="${line}" fill="none" stroke="${hex(COLORS.line)}" stroke-width="2" stroke-linejoin="round"/>`,
+    ...markers,
+    title ? text(padding, 20, title) : '',
+    text(width - padding, 20, format(max - (max - min) / 12), 'end'),
+    text(width - padding, height - 10, format(min + (max - min) / 12), 'end'),
+    '</svg>',
+  ].filter(Boolean).join('\n');
+}
+
+// CRC-32 of PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGB pixels (3 bytes per pixel, row by row) as a PNG file.
+ */
+export function encodePng(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bits per channel
+  header[9] = 2; // RGB
+  // Every row starts with filter type 0 (none)
+  const rows = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(rows, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * The same chart as renderChartSvg, as a PNG (without text - the message
+ * caption carries the ticker and prices). Returns a Buffer.
+ */
+export function renderChartPng(points, { width = 600, height = 300 } = {}) {
+  const padding = 20;
+  const pixels = Buffer.alloc(width * height * 3);
+
+  const setPixel = (x, y, color) => {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    pixels[(y * width + x) * 3] = color[0];
+    pixels[(y * width + x) * 3 + 1] = color[1];
+    pixels[(y * width + x) * 3 + 2] = color[2];
+  };
+  const dot = (cx, cy, radius, color) => {
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dy * dy <= radius * radius) setPixel(cx + dx, cy + dy, color);
+      }
+    }
+  };
+
+  for (let i = 0; i < width * height; i++) COLORS.background.forEach((c, k) => { pixels[i * 3 + k] = c; });
+  for (let i = 0; i <= 4; i++) {
+    const y = padding + (i / 4) * (height - 2 * padding);
+    for (let x = padding; x <= width - padding; x++) setPixel(x, y, COLORS.grid);
+  }
+
+  const { coords } = layout(points, width, height, padding);
+  for (let i = 1; i < coords.length; i++) {
+    const from = coords[i - 1];
+    const to = coords[i];
+    const steps = Math.max(Math.abs(to.x - from.x), Math.abs(to.y - from.y), 1);
+    for (let s = 0; s <= steps; s++) {
+      dot(from.x + ((to.x - from.x) * s) / steps, from.y + ((to.y - from.y) * s) / steps, 1, COLORS.line);
+    }
+  }
+  for (const c of coords) dot(c.x, c.y, c.side ? 5 : 3, markerColor(c.side));
+
+  return encodePng(width, height, pixels);
+}
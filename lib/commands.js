@@ -0,0 +1,644 @@
+import { escapeHtml, TELEGRAM_CAPTION_LIMIT } from './sanitize.js';
+import {
+  parseDuration,
+  parseFilterArgs,
+  checkPatterns,
+  describeSubscription,
+  getSubscription,
+  MUTE_FOREVER,
+} from './subscriptions.js';
+import { formatDateTime, classifyAction } from './templates.js';
+import { parseAlertQuery } from './history.js';
+import { parsePeriod } from './paper.js';
+import { parsePriceAlert } from './price-alerts.js';
+import { DELIVERY_MODES, parseDigestSchedule, getDigestSettings } from './digests.js';
+import { parseCallbackData, withoutAckButton, TICKER_MUTE_MS } from './keyboards.js';
+import { subscriberStatus, canReceiveAlerts, SUBSCRIBER_STATUSES } from './subscribers.js';
+
+// Subscriber management commands, only for owner chats
+const OWNER_COMMANDS = ['/approve', '/block', '/users', '/invite'];
+
+// Signed amounts for paper-trading reports, e.g. "🟢 +1,250.5"
+function signedNumber(value, locale) {
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: 2, signDisplay: 'exceptZero' }).format(value);
+}
+
+function formatPnlAmount(value, locale) {
+  return `${value > 0 ? '🟢' : value < 0 ? '🔴' : '⚪'} ${signedNumber(value, locale)}`;
+}
+
+/**
+ * Handlers for what chats send the bot: commands and other messages, inline
+ * button presses on alerts, and the bot being added to or removed from a
+ * chat. createBot wires them to the Telegram update dispatcher.
+ *
+ * `bot` holds the bot's state and helpers:
+ * - settings: the reloadable settings (read on every update)
+ * - savedChatIds and the chat helpers saveChatId, updateChat, setChatStatus,
+ *   updateSubscription, updateDigest, findChat, isOwner, displaySettings
+ * - sendTelegramMessage, notifyOwners, addLog
+ * - telegram: the Telegram channel, for Bot API calls
+ * - invites, alertHistory, priceAlerts, paperLedger, paperTrading
+ * - digestSchedule, digestSessionClose, currentDigestSlot, sendDigest
+ *
+ * formatPriceAlertMessage is returned too, for triggered price alerts.
+ */
+export function createCommandHandlers(bot) {
+  const {
+    settings,
+    savedChatIds,
+    saveChatId,
+    updateChat,
+    setChatStatus,
+    updateSubscription,
+    updateDigest,
+    findChat,
+    isOwner,
+    displaySettings,
+    sendTelegramMessage,
+    notifyOwners,
+    addLog,
+    telegram,
+    invites,
+    alertHistory,
+    priceAlerts,
+    paperLedger,
+    paperTrading,
+    digestSchedule,
+    digestSessionClose,
+    currentDigestSlot,
+    sendDigest,
+  } = bot;
+
+  // Greet a newly registered chat and tell owners about pending requests
+  async function welcomeNewChat(chat) {
+    if (canReceiveAlerts(chat)) {
+      await sendTelegramMessage(chat.id, 
+        `✅ <b>Welcome!</b>\n\n` +
+        `Your chat ID: <code>${chat.id}</code>\n\n` +
+        `You will now receive TradingView alerts here! 🎯`
+      );
+      return;
+    }
+    await sendTelegramMessage(chat.id,
+      `👋 <b>Welcome!</b>\n\n` +
+      `Your chat ID: <code>${chat.id}</code>\n\n` +
+      `⏳ Your request to receive alerts is waiting for approval.\n` +
+      `Have an invite code? Send <code>/join CODE</code>`
+    );
+    await notifyOwners(
+      `🆕 <b>New subscriber request</b>\n\n` +
+      `@${escapeHtml(chat.username)} (<code>${chat.id}</code>)\n\n` +
+      `/approve ${chat.id} or /block ${chat.id}`
+    );
+  }
+
+  // Process incoming Telegram message (or channel post)
+  async function processMessage(message) {
+    if (!message || !message.chat) return;
+
+    const chatId = String(message.chat.id);
+    const username = message.from?.username || message.from?.first_name || message.chat.username || message.chat.title || 'unknown';
+    const text = message.text || '';
+
+    console.log(`📩 Message from ${username} (${chatId}): ${text}`);
+
+    // Save the chat ID
+    const isNew = saveChatId(chatId, username);
+    const chat = savedChatIds.find(c => c.id === chatId);
+
+    // Split "/command@botname arg1 arg2" into command and args
+    const [rawCommand = '', ...args] = text.trim().split(/\s+/);
+    const command = rawCommand.split('@')[0].toLowerCase();
+
+    // Chats blocked by an owner are ignored
+    if (subscriberStatus(chat) === 'blocked') return;
+
+    // The user blocked the bot earlier and is back - resume alerts
+    if (subscriberStatus(chat) === 'inactive') {
+      setChatStatus(chatId, 'approved');
+      addLog('TELEGRAM', { message: `Reactivated ${username} (${chatId})` });
+    }
+
+    // Invite codes: "/join CODE" or the t.me/<bot>?start=CODE deep link
+    if (command === '/join' || (command === '/start' && args.length > 0)) {
+      if (args.length === 0) {
+        await sendTelegramMessage(chatId, `Usage: <code>/join INVITE_CODE</code>`);
+      } else if (canReceiveAlerts(chat)) {
+        await sendTelegramMessage(chatId, `✅ You are already approved to receive alerts.`);
+      } else if (!invites.redeem(args[0], chatId)) {
+        await sendTelegramMessage(chatId, `❌ Invalid or expired invite code.`);
+      } else {
+        setChatStatus(chatId, 'approved', `invite ${args[0]}`);
+        addLog('TELEGRAM', { message: `${username} (${chatId}) joined with invite ${args[0]}` });
+        await sendTelegramMessage(chatId,
+          `✅ <b>Welcome!</b>\n\n` +
+          `Your chat ID: <code>${chatId}</code>\n\n` +
+          `You will now receive TradingView alerts here! 🎯`
+        );
+        await notifyOwners(`🎟 @${escapeHtml(username)} (<code>${chatId}</code>) joined with invite <code>${escapeHtml(args[0])}</code>`);
+      }
+      return;
+    }
+
+    // Respond based on command
+    if (isNew) {
+      await welcomeNewChat(chat);
+    } else if (subscriberStatus(chat) === 'pending' && command !== '/chatid' && !isOwner(chatId)) {
+      await sendTelegramMessage(chatId,
+        `⏳ Your request to receive alerts is still waiting for approval.\n\n` +
+        `Have an invite code? Send <code>/join CODE</code>`
+      );
+    } else if (OWNER_COMMANDS.includes(command)) {
+      await handleOwnerCommand(chatId, command, args);
+    } else if (command === '/start') {
+      await sendTelegramMessage(chatId,
+        `👋 <b>Hello ${escapeHtml(username)}!</b>\n\n` +
+        `Your chat ID: <code>${chatId}</code>\n\n` +
+        `✅ You are registered to receive alerts.\n\n` +
+        `Commands:\n` +
+        `/start - Show this message\n` +
+        `/chatid - Get your chat ID\n` +
+        `/status - Check bot status\n` +
+        `/subscribe BTCUSDT - Only get alerts for these tickers\n` +
+        `/unsubscribe NIFTY - Stop alerts for a ticker (or "all")\n` +
+        `/subscriptions - Show your subscriptions\n` +
+        `/filter action=BUY interval=15 - Filter alerts (or "clear")\n` +
+        `/mute 2h - Pause alerts\n` +
+        `/unmute - Resume alerts\n` +
+        `/timezone Europe/London - Set your timezone\n` +
+        `/locale en-US - Set number and date format\n` +
+        `/positions - Open paper-trading positions\n` +
+        `/delivery digest - Realtime alerts, digests or both\n` +
+        `/digest daily 18:00 - Digest schedule (hourly, daily, session)\n` +
+        `/pnl [7d] - Paper-trading P&L (or "all")\n` +
+        `/alert BTCUSDT > 65000 - Price alert (&gt;, &lt;, crosses, crosses above/below)\n` +
+        `/alerts - Your price alerts\n` +
+        `/editalert 3 crosses 64000 - Change a price alert\n` +
+        `/delalert 3 - Delete a price alert (or "all")` +
+        (isOwner(chatId)
+          ? `\n\nOwner commands:\n` +
+            `/users [pending] - List subscribers\n` +
+            `/approve 123456 - Approve a chat (id or @username)\n` +
+            `/block 123456 - Block a chat\n` +
+            `/invite [uses] [expiry] - Create an invite code`
+          : '')
+      );
+    } else if (command === '/chatid') {
+      await sendTelegramMessage(chatId, `📋 Your chat ID: <code>${chatId}</code>`);
+    } else if (command === '/status') {
+      await sendTelegramMessage(chatId,
+        `🤖 <b>Bot Status</b>\n\n` +
+        `✅ Bot is running\n` +
+        `📋 Registered users: ${savedChatIds.filter(canReceiveAlerts).length}\n` +
+        `🔐 Webhook security: ${settings.WEBHOOK_SECRETS.length > 0 ? 'Enabled' : 'Disabled'}`
+      );
+    } else if (command === '/subscribe') {
+      if (args.length === 0) {
+        await sendTelegramMessage(chatId, `Usage: <code>/subscribe BTCUSDT NIFTY</code>`);
+        return;
+      }
+      const patternError = checkPatterns(args);
+      if (patternError) {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(patternError)}`);
+        return;
+      }
+      const tickers = [...new Set([...getSubscription(chat).tickers, ...args.map(t => t.toUpperCase())])];
+      updateSubscription(chatId, { tickers });
+      await sendTelegramMessage(chatId, `✅ Subscribed to: ${escapeHtml(tickers.join(', '))}\n\nYou will only receive alerts for these tickers.`);
+    } else if (command === '/unsubscribe') {
+      if (args.length === 0) {
+        await sendTelegramMessage(chatId, `Usage: <code>/unsubscribe NIFTY</code> or <code>/unsubscribe all</code>`);
+        return;
+      }
+      const remove = args.map(t => t.toUpperCase());
+      const tickers = remove.includes('ALL')
+        ? []
+        : getSubscription(chat).tickers.filter(t => !remove.includes(t.toUpperCase()));
+      updateSubscription(chatId, { tickers });
+      await sendTelegramMessage(chatId, tickers.length > 0
+        ? `🗑 Unsubscribed. Still subscribed to: ${escapeHtml(tickers.join(', '))}`
+        : `🗑 Ticker subscriptions cleared. You will receive alerts for all tickers.`);
+    } else if (command === '/subscriptions') {
+      await sendTelegramMessage(chatId, `📋 <b>Your Subscriptions</b>\n\n${describeSubscription(chat, displaySettings(chat))}`);
+    } else if (command === '/filter') {
+      if (args.length === 0) {
+        await sendTelegramMessage(chatId, `Usage: <code>/filter action=BUY interval=15</code> or <code>/filter clear</code>`);
+        return;
+      }
+      if (args[0].toLowerCase() === 'clear') {
+        updateSubscription(chatId, { filters: {} });
+        await sendTelegramMessage(chatId, `🧹 Filters cleared.`);
+        return;
+      }
+      const { filters, error } = parseFilterArgs(args);
+      if (error) {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(error)}`);
+        return;
+      }
+      updateSubscription(chatId, { filters: { ...getSubscription(chat).filters, ...filters } });
+      await sendTelegramMessage(chatId, `✅ Filters updated.\n\n${describeSubscription(chat, displaySettings(chat))}`);
+    } else if (command === '/mute') {
+      let mutedUntil = MUTE_FOREVER;
+      if (args.length > 0) {
+        const duration = parseDuration(args[0]);
+        if (!duration) {
+          await sendTelegramMessage(chatId, `Usage: <code>/mute 30m</code>, <code>/mute 2h</code>, <code>/mute 1d</code>`);
+          return;
+        }
+        mutedUntil = new Date(Date.now() + duration).toISOString();
+      }
+      updateSubscription(chatId, { mutedUntil });
+      await sendTelegramMessage(chatId, mutedUntil === MUTE_FOREVER
+        ? `🔕 Alerts muted until you send /unmute`
+        : `🔕 Alerts muted until ${formatDateTime(new Date(mutedUntil), displaySettings(chat))}`);
+    } else if (command === '/unmute') {
+      updateSubscription(chatId, { mutedUntil: null, mutedTickers: {} });
+      await sendTelegramMessage(chatId, `🔔 Alerts resumed.`);
+    } else if (command === '/timezone') {
+      if (args.length === 0) {
+        await sendTelegramMessage(chatId,
+          `🌍 Your timezone: <code>${escapeHtml(chat.timezone || settings.DEFAULT_TIMEZONE)}</code>\n\n` +
+          `Change it with <code>/timezone Europe/London</code>`);
+        return;
+      }
+      try {
+        formatDateTime(new Date(), { timezone: args[0], locale: chat.locale || settings.DEFAULT_LOCALE });
+      } catch (e) {
+        await sendTelegramMessage(chatId, `❌ Unknown timezone "${escapeHtml(args[0])}". Use an IANA name like <code>America/New_York</code>`);
+        return;
+      }
+      updateChat(chatId, { timezone: args[0] });
+      await sendTelegramMessage(chatId, `✅ Timezone set to <code>${escapeHtml(args[0])}</code>\n⏰ ${formatDateTime(new Date(), { timezone: args[0], locale: chat.locale || settings.DEFAULT_LOCALE })}`);
+    } else if (command === '/locale') {
+      if (args.length === 0) {
+        await sendTelegramMessage(chatId,
+          `🔤 Your locale: <code>${escapeHtml(chat.locale || settings.DEFAULT_LOCALE)}</code>\n\n` +
+          `Change it with <code>/locale en-US</code>`);
+        return;
+      }
+      let locale;
+      try {
+        [locale] = Intl.getCanonicalLocales(args[0]);
+      } catch (e) {
+        await sendTelegramMessage(chatId, `❌ Invalid locale "${escapeHtml(args[0])}". Use a tag like <code>en-US</code> or <code>de-DE</code>`);
+        return;
+      }
+      updateChat(chatId, { locale });
+      await sendTelegramMessage(chatId, `✅ Locale set to <code>${escapeHtml(locale)}</code>\n💰 ${new Intl.NumberFormat(locale).format(65432.1)}`);
+    } else if (command === '/delivery') {
+      const digest = getDigestSettings(chat);
+      const schedule = digest.schedule || digestSchedule;
+      if (args.length === 0) {
+        await sendTelegramMessage(chatId,
+          `📬 Delivery: <b>${digest.mode}</b>${digest.mode !== 'realtime' ? ` (digest ${schedule})` : ''}\n\n` +
+          `Change it with <code>/delivery realtime</code>, <code>/delivery digest</code> or <code>/delivery both</code>`);
+        return;
+      }
+      const mode = args[0].toLowerCase();
+      if (!DELIVERY_MODES.includes(mode)) {
+        await sendTelegramMessage(chatId, `❌ Unknown delivery mode "${escapeHtml(args[0])}". Use ${DELIVERY_MODES.join(', ')}`);
+        return;
+      }
+      // Start the digest schedule from now, so the first digest isn't sent right away
+      const restart = digest.mode === 'realtime' && mode !== 'realtime';
+      updateDigest(chatId, {
+        mode,
+        ...(restart ? { lastSlot: currentDigestSlot(chat, schedule), lastSentAt: new Date().toISOString() } : {}),
+      });
+      await sendTelegramMessage(chatId,
+        mode === 'realtime' ? `✅ You will get every alert as it arrives.`
+          : mode === 'digest' ? `✅ You will only get digests (${schedule}).`
+            : `✅ You will get every alert and digests (${schedule}).`);
+    } else if (command === '/digest') {
+      const digest = getDigestSettings(chat);
+      const schedule = digest.schedule || digestSchedule;
+      if (args.length === 0) {
+        await sendTelegramMessage(chatId,
+          `📋 Digest schedule: <code>${schedule}</code> (${chat.timezone || settings.DEFAULT_TIMEZONE})\n` +
+          `📬 Delivery: <b>${digest.mode}</b>\n\n` +
+          `Change it with <code>/digest hourly</code>, <code>/digest daily 18:00</code> or <code>/digest session</code> ` +
+          `(market close, ${digestSessionClose} on weekdays). <code>/digest now</code> sends one right away.`);
+        return;
+      }
+      if (args[0].toLowerCase() === 'now') {
+        const jobs = sendDigest(chat);
+        if (jobs.length === 0) await sendTelegramMessage(chatId, `📋 No alerts since your last digest.`);
+        return;
+      }
+      const parsed = parseDigestSchedule(args.join(' '));
+      if (parsed.error) {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(parsed.error)}`);
+        return;
+      }
+      updateDigest(chatId, { schedule: parsed.schedule, lastSlot: currentDigestSlot(chat, parsed.schedule) });
+      await sendTelegramMessage(chatId,
+        `✅ Digest schedule set to <code>${parsed.schedule}</code>` +
+        (digest.mode === 'realtime' ? `\n\nDigests are off - turn them on with <code>/delivery digest</code> or <code>/delivery both</code>` : ''));
+    } else if (command === '/positions') {
+      await sendTelegramMessage(chatId, formatPositions(paperLedger.positions(), chat.locale || settings.DEFAULT_LOCALE));
+    } else if (command === '/pnl') {
+      const { period, error } = parsePeriod(args[0]);
+      if (error) {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(error)}`);
+        return;
+      }
+      await sendTelegramMessage(chatId, formatPnl(paperLedger.summary(period), args[0] || 'all', chat.locale || settings.DEFAULT_LOCALE));
+    } else if (command === '/alert') {
+      if (args.length === 0) {
+        await sendTelegramMessage(chatId,
+          `Usage: <code>/alert BTCUSDT &gt; 65000</code> or <code>/alert NIFTY crosses 22500</code>\n\n` +
+          `Conditions: &gt;, &gt;=, &lt;, &lt;=, crosses, crosses above, crosses below. ` +
+          `Anything after the price is kept as a note.`);
+        return;
+      }
+      const parsed = parsePriceAlert(args);
+      if (parsed.error) {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(parsed.error)}`);
+        return;
+      }
+      const { alert, error } = priceAlerts.add(chatId, parsed.alert);
+      if (error) {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(error)}`);
+        return;
+      }
+      addLog('PRICE', { message: `${username} (${chatId}) set price alert #${alert.id}: ${alert.ticker} ${alert.condition} ${alert.level}` });
+      await sendTelegramMessage(chatId, `✅ Price alert set\n\n${formatPriceAlertLine(alert, chat.locale || settings.DEFAULT_LOCALE)}`);
+    } else if (command === '/alerts') {
+      await sendTelegramMessage(chatId, formatPriceAlertList(priceAlerts.list(chatId), chat.locale || settings.DEFAULT_LOCALE));
+    } else if (command === '/editalert') {
+      if (args.length < 3) {
+        await sendTelegramMessage(chatId, `Usage: <code>/editalert 3 &gt; 66000</code> (the number is from /alerts)`);
+        return;
+      }
+      const existing = priceAlerts.get(args[0].replace(/^#/, ''));
+      if (!existing || existing.chatId !== chatId) {
+        await sendTelegramMessage(chatId, `❌ You have no price alert #${escapeHtml(args[0].replace(/^#/, ''))}. See /alerts`);
+        return;
+      }
+      const parsed = parsePriceAlert([existing.ticker, ...args.slice(1)]);
+      if (parsed.error) {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(parsed.error)}`);
+        return;
+      }
+      const { condition, level, note } = parsed.alert;
+      const alert = priceAlerts.update(existing.id, { condition, level, ...(note ? { note } : {}) });
+      addLog('PRICE', { message: `${username} (${chatId}) changed price alert #${alert.id}: ${alert.ticker} ${alert.condition} ${alert.level}` });
+      await sendTelegramMessage(chatId, `✅ Price alert updated\n\n${formatPriceAlertLine(alert, chat.locale || settings.DEFAULT_LOCALE)}`);
+    } else if (command === '/delalert') {
+      if (args.length === 0) {
+        await sendTelegramMessage(chatId, `Usage: <code>/delalert 3</code> or <code>/delalert all</code>`);
+        return;
+      }
+      if (args[0].toLowerCase() === 'all') {
+        const count = priceAlerts.removeChat(chatId);
+        await sendTelegramMessage(chatId, `🗑 Deleted ${count} price alert(s).`);
+        return;
+      }
+      const existing = priceAlerts.get(args[0].replace(/^#/, ''));
+      if (!existing || existing.chatId !== chatId) {
+        await sendTelegramMessage(chatId, `❌ You have no price alert #${escapeHtml(args[0].replace(/^#/, ''))}. See /alerts`);
+        return;
+      }
+      priceAlerts.remove(existing.id);
+      await sendTelegramMessage(chatId, `🗑 Deleted price alert #${existing.id} (${escapeHtml(existing.ticker)}).`);
+    } else {
+      await sendTelegramMessage(chatId, 
+        `👋 Hi! I received: "${escapeHtml(text)}"\n\n` +
+        `I'm a TradingView alert bot. Send /start for help.`
+      );
+    }
+  }
+
+  function formatPositions(positions, locale) {
+    if (!paperTrading) return `📒 Paper trading is disabled.`;
+    if (positions.length === 0) return `📒 No open paper positions.`;
+    const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 8 });
+    const lines = positions.map(p =>
+      `<b>${escapeHtml(p.ticker)}</b>${p.indicator ? ` (${escapeHtml(p.indicator)})` : ''} ${p.side.toUpperCase()} ${number.format(p.quantity)}\n` +
+      `   ${number.format(p.entryPrice)} → ${number.format(p.lastPrice)} · ${formatPnlAmount(p.unrealizedPnl, locale)} (${signedNumber(p.unrealizedPnlPercent, locale)}%)`
+    );
+    return `📒 <b>Open paper positions</b>\n\n${lines.join('\n')}`;
+  }
+
+  function formatPnl({ total, strategies }, label, locale) {
+    if (!paperTrading) return `📒 Paper trading is disabled.`;
+    const title = `📊 <b>Paper P&amp;L (${escapeHtml(label)})</b>`;
+    if (total.trades === 0) return `${title}\n\nNo closed trades in this period.`;
+    const percent = new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 0 });
+    const lines = strategies.map(s =>
+      `<b>${escapeHtml(s.ticker)}</b>${s.indicator ? ` (${escapeHtml(s.indicator)})` : ''}: ${formatPnlAmount(s.pnl, locale)}` +
+      ` · ${s.trades} trades · ${percent.format(s.winRate)} wins`
+    );
+    return `${title}\n\n` +
+      `Total: ${formatPnlAmount(total.pnl, locale)} · ${total.trades} trades · ${percent.format(total.winRate)} wins\n\n` +
+      lines.join('\n');
+  }
+
+  // "#3 BTCUSDT > 65,000 (last 64,210.5) - note" for /alerts and confirmations
+  function formatPriceAlertLine(alert, locale) {
+    const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 8 });
+    const last = priceAlerts.lastPrice(alert.ticker);
+    return `#${alert.id} <b>${escapeHtml(alert.ticker)}</b> ${escapeHtml(alert.condition)} ${number.format(alert.level)}` +
+      (last ? ` (last ${number.format(last.price)})` : '') +
+      (alert.note ? ` - ${escapeHtml(alert.note)}` : '');
+  }
+
+  function formatPriceAlertList(alerts, locale) {
+    if (alerts.length === 0) return `🎯 No price alerts. Set one with <code>/alert BTCUSDT &gt; 65000</code>`;
+    return `🎯 <b>Your price alerts</b>\n\n${alerts.map(a => formatPriceAlertLine(a, locale)).join('\n')}`;
+  }
+
+  // Message for a triggered price alert, in the chat's locale and timezone
+  function formatPriceAlertMessage(alert, chat) {
+    const locale = chat.locale || settings.DEFAULT_LOCALE;
+    const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 8 });
+    const moved = alert.previous !== null ? ` (from ${number.format(alert.previous)})` : '';
+    return `🎯 <b>Price alert: ${escapeHtml(alert.ticker)}</b>\n\n` +
+      `${escapeHtml(alert.pricedTicker)} is at <b>${number.format(alert.price)}</b>${moved}\n` +
+      `Condition: ${escapeHtml(alert.condition)} ${number.format(alert.level)}\n` +
+      (alert.note ? `📝 ${escapeHtml(alert.note)}\n` : '') +
+      `⏰ ${formatDateTime(new Date(alert.triggeredAt), { timezone: chat.timezone || settings.DEFAULT_TIMEZONE, locale })}`;
+  }
+
+  // Subscriber management commands, only for owner chats
+  async function handleOwnerCommand(chatId, command, args) {
+    if (!isOwner(chatId)) {
+      await sendTelegramMessage(chatId, `⛔ Only bot owners can use ${command}.`);
+      return;
+    }
+
+    if (command === '/users') {
+      const status = args[0]?.toLowerCase();
+      if (status && !SUBSCRIBER_STATUSES.includes(status)) {
+        await sendTelegramMessage(chatId, `Usage: <code>/users</code> or <code>/users ${SUBSCRIBER_STATUSES.join('|')}</code>`);
+        return;
+      }
+      const chats = savedChatIds.filter(c => !status || subscriberStatus(c) === status);
+      const counts = SUBSCRIBER_STATUSES
+        .map(s => `${s}: ${savedChatIds.filter(c => subscriberStatus(c) === s).length}`)
+        .join(' · ');
+      const lines = chats.slice(0, 50).map(c =>
+        `• @${escapeHtml(c.username || 'unknown')} <code>${escapeHtml(c.id)}</code> - ${subscriberStatus(c)}${c.role === 'owner' ? ' 👑' : ''}`
+      );
+      await sendTelegramMessage(chatId,
+        `👥 <b>Subscribers</b>\n${counts}\n\n` +
+        (lines.length > 0 ? lines.join('\n') : 'None') +
+        (chats.length > lines.length ? `\n… and ${chats.length - lines.length} more` : '')
+      );
+    } else if (command === '/approve' || command === '/block') {
+      if (args.length === 0) {
+        await sendTelegramMessage(chatId, `Usage: <code>${command} 123456789</code> or <code>${command} @username</code>`);
+        return;
+      }
+      const target = findChat(args[0]);
+      if (!target) {
+        await sendTelegramMessage(chatId, `❌ No chat "${escapeHtml(args[0])}". See /users`);
+        return;
+      }
+      if (command === '/block' && isOwner(target.id)) {
+        await sendTelegramMessage(chatId, `❌ Owners can't be blocked.`);
+        return;
+      }
+
+      const status = command === '/approve' ? 'approved' : 'blocked';
+      setChatStatus(target.id, status, `${command.slice(1)} by ${chatId}`);
+      addLog('TELEGRAM', { message: `${target.username || 'unknown'} (${target.id}) ${status} by ${chatId}` });
+      await sendTelegramMessage(chatId, `${status === 'approved' ? '✅' : '🚫'} @${escapeHtml(target.username || 'unknown')} (<code>${escapeHtml(target.id)}</code>) is now ${status}.`);
+      if (status === 'approved') {
+        await sendTelegramMessage(target.id, `✅ <b>You're approved!</b>\n\nYou will now receive TradingView alerts here! 🎯`);
+      }
+    } else if (command === '/invite') {
+      const { invite, error } = invites.create({ maxUses: args[0] ?? 1, expiresIn: args[1], createdBy: chatId });
+      if (error) {
+        await sendTelegramMessage(chatId, `❌ ${escapeHtml(error)}\n\nUsage: <code>/invite [uses] [expiry]</code>, e.g. <code>/invite 5 7d</code> (0 uses = unlimited)`);
+        return;
+      }
+      await sendTelegramMessage(chatId,
+        `🎟 <b>Invite created</b>\n\n` +
+        `Code: <code>${invite.code}</code>\n` +
+        `Uses: ${invite.maxUses === 0 ? 'unlimited' : invite.maxUses}\n` +
+        `Expires: ${invite.expiresAt ? formatDateTime(new Date(invite.expiresAt), { timezone: settings.DEFAULT_TIMEZONE, locale: settings.DEFAULT_LOCALE }) : 'never'}\n\n` +
+        `Send <code>/join ${invite.code}</code> to the bot, or open t.me/&lt;your_bot&gt;?start=${invite.code}`
+      );
+    }
+  }
+
+  // Inline keyboard button presses on alert messages
+  async function processCallbackQuery(query) {
+    const chatId = query.message?.chat ? String(query.message.chat.id) : null;
+    const user = query.from?.username ? `@${query.from.username}` : query.from?.first_name || 'unknown';
+    const answer = (text) => telegram.call('answerCallbackQuery', {
+      callback_query_id: query.id,
+      ...(text ? { text } : {}),
+    });
+    console.log(`🔘 Button "${query.data}" pressed by ${user} in ${chatId}`);
+
+    const chat = savedChatIds.find(c => c.id === chatId);
+    const button = parseCallbackData(query.data);
+    const alert = button && alertHistory.get(button.alertId);
+    if (!chat || !canReceiveAlerts(chat)) {
+      await answer('⛔ This chat is not approved');
+      return;
+    }
+    if (!alert) {
+      await answer('This alert is no longer available');
+      return;
+    }
+
+    const timezone = chat.timezone || settings.DEFAULT_TIMEZONE;
+    const locale = chat.locale || settings.DEFAULT_LOCALE;
+
+    if (button.action === 'ack') {
+      const at = formatDateTime(new Date(), { timezone, locale });
+      alertHistory.recordAck(alert.id, { chatId, by: user });
+      addLog('TELEGRAM', { message: `Alert ${alert.id} acknowledged by ${user} in ${chatId}` });
+
+      // Keep the original formatting: append to the text (or a photo's
+      // caption) and reuse its entities
+      const message = query.message;
+      const acknowledged = `\n\n✅ Acknowledged by ${user} · ${at}`;
+      let result = null;
+      if (message.text) {
+        result = await telegram.call('editMessageText', {
+          chat_id: chatId,
+          message_id: message.message_id,
+          text: `${message.text}${acknowledged}`,
+          entities: message.entities || [],
+          reply_markup: withoutAckButton(message.reply_markup),
+        });
+      } else if (message.photo || message.caption !== undefined) {
+        const caption = `${message.caption || ''}${acknowledged}`.trimStart();
+        result = caption.length <= TELEGRAM_CAPTION_LIMIT
+          ? await telegram.call('editMessageCaption', {
+            chat_id: chatId,
+            message_id: message.message_id,
+            caption,
+            caption_entities: message.caption_entities || [],
+            reply_markup: withoutAckButton(message.reply_markup),
+          })
+          // No room left in the caption - just take the button off
+          : await telegram.call('editMessageReplyMarkup', {
+            chat_id: chatId,
+            message_id: message.message_id,
+            reply_markup: withoutAckButton(message.reply_markup),
+          });
+      }
+      if (result && !result.ok) {
+        addLog('ERROR', { message: `Could not mark alert ${alert.id} as acknowledged: ${result.description}` });
+      }
+      await answer('✅ Acknowledged');
+    } else if (button.action === 'mute') {
+      const mutedTickers = { ...getSubscription(chat).mutedTickers, [alert.ticker]: new Date(Date.now() + TICKER_MUTE_MS).toISOString() };
+      updateSubscription(chatId, { mutedTickers });
+      addLog('TELEGRAM', { message: `${alert.ticker} muted for 1h in ${chatId} by ${user}` });
+      await answer(`🔕 ${alert.ticker} muted for 1 hour`);
+    } else if (button.action === 'history') {
+      const { filters } = parseAlertQuery({ ticker: alert.ticker, limit: 5 });
+      const { alerts } = alertHistory.query(filters);
+      const lines = alerts.map(a => {
+        const fields = a.alert && typeof a.alert === 'object' ? a.alert : {};
+        const { emoji, actionText } = classifyAction(fields.action);
+        return `${emoji} <b>${escapeHtml(actionText)}</b>` +
+          (fields.price !== undefined ? ` @ ${escapeHtml(fields.price)}` : '') +
+          ` · ${formatDateTime(new Date(a.receivedAt), { timezone, locale })} · ${a.status}`;
+      });
+      await answer();
+      await sendTelegramMessage(chatId, `🕘 <b>Last ${lines.length} alerts for ${escapeHtml(alert.ticker)}</b>\n\n${lines.join('\n')}`);
+    }
+  }
+
+  // The bot was added to, removed from or blocked in a chat
+  async function processChatMemberUpdate(update) {
+    const chatId = String(update.chat.id);
+    const status = update.new_chat_member?.status;
+    const chat = savedChatIds.find(c => c.id === chatId);
+
+    if (status === 'kicked' || status === 'left') {
+      if (chat && canReceiveAlerts(chat)) {
+        setChatStatus(chatId, 'inactive', `bot ${status}`);
+        addLog('TELEGRAM', { message: `Deactivated ${chat.username || 'unknown'} (${chatId}): bot ${status}` });
+      }
+      return;
+    }
+    if (status !== 'member' && status !== 'administrator') return;
+
+    if (chat && subscriberStatus(chat) === 'inactive') {
+      setChatStatus(chatId, 'approved');
+      addLog('TELEGRAM', { message: `Reactivated ${chat.username || 'unknown'} (${chatId})` });
+    } else if (!chat && update.chat.type !== 'private') {
+      // Private chats register with their first message; groups and channels
+      // may never send a command, so register them when the bot is added
+      const name = update.chat.username || update.chat.title || 'unknown';
+      saveChatId(chatId, name);
+      await welcomeNewChat(savedChatIds.find(c => c.id === chatId));
+    }
+  }
+
+  return {
+    processMessage,
+    processCallbackQuery,
+    processChatMemberUpdate,
+    formatPriceAlertMessage,
+  };
+}
@@ -0,0 +1,376 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDuration } from './subscriptions.js';
+import { FALLBACK_MODES } from './routing.js';
+import { parseButtonList } from './keyboards.js';
+import { parseIpRange } from './rate-limits.js';
+import { CHART_MODES } from './charts.js';
+import { MAX_PAGE_SIZE } from './history.js';
+
+// Files looked for when CONFIG_FILE isn't set
+export const DEFAULT_CONFIG_FILES = ['./config.yaml', './config.yml', './config.json'];
+
+/**
+ * The config file, section by section. Every setting stands for the
+ * environment variable `env` (a variable that is set wins over the file),
+ * so the rest of the server only ever reads settings by their env name.
+ * `reload` marks the settings a reload (SIGHUP, POST /config/reload)
+ * applies while the server runs; the others need a restart.
+ */
+export const CONFIG_SCHEMA = {
+  server: {
+    port: { env: 'PORT', type: 'port' },
+    publicUrl: { env: 'RENDER_EXTERNAL_URL', type: 'url' },
+    trustProxy: { env: 'TRUST_PROXY', type: 'trustProxy', reload: true },
+    bodyLimit: { env: 'BODY_LIMIT', type: 'size', reload: true },
+    logBuffer: { env: 'MAX_LOGS', type: 'integer', min: 1, reload: true },
+    pollInterval: { env: 'TELEGRAM_POLL_INTERVAL', type: 'duration' },
+    keepAliveInterval: { env: 'KEEP_ALIVE_INTERVAL', type: 'duration' },
+  },
+  security: {
+    sharedSecret: { env: 'SHARED_SECRET', type: 'string', secret: true, reload: true },
+    webhookSecrets: { env: 'WEBHOOK_SECRETS', type: 'secrets', secret: true, reload: true },
+    requireSignature: { env: 'WEBHOOK_REQUIRE_SIGNATURE', type: 'boolean', reload: true },
+    signatureTolerance: { env: 'WEBHOOK_SIGNATURE_TOLERANCE', type: 'seconds', reload: true },
+    adminOrigins: { env: 'ADMIN_ORIGINS', type: 'list', reload: true },
+    adminSessionTtl: { env: 'ADMIN_SESSION_TTL', type: 'duration' },
+    rateLimits: {
+      default: {
+        window: { env: 'RATE_LIMIT_WINDOW', type: 'duration', reload: true },
+        max: { env: 'RATE_LIMIT_MAX', type: 'integer', min: 0, reload: true },
+      },
+      tradingview: {
+        window: { env: 'TRADINGVIEW_RATE_LIMIT_WINDOW', type: 'duration', reload: true },
+        max: { env: 'TRADINGVIEW_RATE_LIMIT_MAX', type: 'integer', min: 0, reload: true },
+        ips: { env: 'TRADINGVIEW_IPS', type: 'ipList', reload: true },
+      },
+      routes: { env: 'RATE_LIMIT_ROUTES', type: 'routeLimits', reload: true },
+    },
+  },
+  routing: {
+    file: { env: 'ROUTES_FILE', type: 'string', reload: true },
+    fallback: { env: 'ROUTING_FALLBACK', type: 'enum', values: FALLBACK_MODES, reload: true },
+  },
+  templates: {
+    dir: { env: 'TEMPLATES_DIR', type: 'string', reload: true },
+    timezone: { env: 'DEFAULT_TIMEZONE', type: 'timezone', reload: true },
+    locale: { env: 'DEFAULT_LOCALE', type: 'locale', reload: true },
+    buttons: { env: 'ALERT_BUTTONS', type: 'buttons', reload: true },
+    charts: { env: 'ALERT_CHARTS', type: 'enum', values: CHART_MODES, reload: true },
+    chartPoints: { env: 'ALERT_CHART_POINTS', type: 'integer', min: 2, max: MAX_PAGE_SIZE, reload: true },
+  },
+  channels: {
+    telegram: {
+      apiUrl: { env: 'TELEGRAM_API_URL', type: 'url' },
+      globalRate: { env: 'TELEGRAM_GLOBAL_RATE', type: 'integer', min: 1 },
+      chatIntervalMs: { env: 'TELEGRAM_CHAT_INTERVAL_MS', type: 'integer', min: 0 },
+    },
+    discord: {
+      username: { env: 'DISCORD_USERNAME', type: 'string', reload: true },
+    },
+    webhook: {
+      secret: { env: 'OUTBOUND_WEBHOOK_SECRET', type: 'string', secret: true, reload: true },
+    },
+    email: {
+      host: { env: 'SMTP_HOST', type: 'string', reload: true },
+      port: { env: 'SMTP_PORT', type: 'port', reload: true },
+      secure: { env: 'SMTP_SECURE', type: 'boolean', reload: true },
+      user: { env: 'SMTP_USER', type: 'string', reload: true },
+      pass: { env: 'SMTP_PASS', type: 'string', secret: true, reload: true },
+      from: { env: 'EMAIL_FROM', type: 'string', reload: true },
+    },
+  },
+};
+
+const isSetting = node => typeof node.type === 'string';
+
+// Every setting with its dotted path in the file
+function flattenSchema(node = CONFIG_SCHEMA, prefix = '') {
+  return Object.entries(node).flatMap(([key, child]) => (isSetting(child)
+    ? [{ ...child, path: `${prefix}${key}` }]
+    : flattenSchema(child, `${prefix}${key}.`)));
+}
+
+export const CONFIG_SETTINGS = flattenSchema();
+
+const DURATION_EXAMPLE = 'a duration like 30s, 15m or 1h';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Scalars as the env string they stand for
+function scalar(value) {
+  return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean' ? String(value).trim() : null;
+}
+
+// Lists are YAML/JSON arrays or comma-separated strings
+function listItems(value) {
+  if (Array.isArray(value)) return value.every(v => scalar(v) !== null) ? value.map(v => String(v).trim()) : null;
+  const text = scalar(value);
+  return text === null ? null : text.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Check one setting's value (from the file or the environment). Returns
+ * { value } with the env string it stands for, or { error }.
+ */
+function checkSetting(setting, raw, { fromEnv = false } = {}) {
+  switch (setting.type) {
+    case 'string': {
+      const value = scalar(raw);
+      return value === null ? { error: 'must be a string' } : { value };
+    }
+    case 'integer':
+    case 'port': {
+      const value = Number(scalar(raw));
+      const min = setting.type === 'port' ? 1 : setting.min;
+      const max = setting.type === 'port' ? 65535 : setting.max ?? Infinity;
+      if (scalar(raw) === '' || !Number.isInteger(value) || value < min || value > max) {
+        if (setting.type === 'port') return { error: 'must be a port number (1-65535)' };
+        return { error: max === Infinity ? `must be a whole number of at least ${min}` : `must be a whole number from ${min} to ${max}` };
+      }
+      return { value: String(value) };
+    }
+    case 'boolean': {
+      const value = scalar(raw);
+      return ['true', 'false'].includes(value) ? { value } : { error: 'must be true or false' };
+    }
+    case 'duration':
+    case 'seconds': {
+      const value = scalar(raw);
+      if (value === '0') return { value };
+      // Environment variables keep their old unit (minutes, or seconds for
+      // WEBHOOK_SIGNATURE_TOLERANCE); in the file a bare number is an error
+      if (fromEnv && /^\d+$/.test(value)) return { value };
+      if (value === null || !/[a-z]$/i.test(value) || !parseDuration(value)) return { error: `must be ${DURATION_EXAMPLE}` };
+      return { value: setting.type === 'seconds' ? String(Math.round(parseDuration(value) / 1000)) : value };
+    }
+    case 'size': {
+      const value = scalar(raw);
+      return /^\d+(\.\d+)?\s*(b|kb|mb)?$/i.test(value || '') ? { value } : { error: 'must be a size like 10kb or 1mb' };
+    }
+    case 'url': {
+      const value = scalar(raw);
+      try {
+        if (!['http:', 'https:'].includes(new URL(value).protocol)) throw new Error();
+      } catch (e) {
+        return { error: 'must be an http(s) URL' };
+      }
+      return { value: value.replace(/\/+$/, '') };
+    }
+    case 'enum': {
+      const value = scalar(raw);
+      return setting.values.includes(value) ? { value } : { error: `must be one of ${setting.values.join(', ')}` };
+    }
+    case 'list': {
+      const items = listItems(raw);
+      return items === null ? { error: 'must be a list' } : { value: items.join(',') };
+    }
+    case 'buttons': {
+      const items = raw === 'none' || raw === false ? [] : listItems(raw);
+      if (items === null) return { error: 'must be a list of buttons' };
+      try {
+        parseButtonList(items.join(','));
+      } catch (e) {
+        return { error: e.message };
+      }
+      return { value: items.length > 0 ? items.join(',') : 'none' };
+    }
+    case 'timezone': {
+      const value = scalar(raw);
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+      } catch (e) {
+        return { error: 'must be an IANA timezone like Asia/Kolkata or Europe/London' };
+      }
+      return { value };
+    }
+    case 'locale': {
+      const value = scalar(raw);
+      try {
+        Intl.getCanonicalLocales(value);
+      } catch (e) {
+        return { error: 'must be a locale like en-IN or de-DE' };
+      }
+      return { value };
+    }
+    case 'trustProxy': {
+      // true/false, a number of proxies, or addresses/subnets of trusted proxies
+      const items = listItems(raw);
+      if (items === null || items.length === 0) return { error: 'must be true, false, a number of proxies or a list of addresses' };
+      return { value: items.join(',') };
+    }
+    case 'ipList': {
+      const items = listItems(raw);
+      if (items === null) return { error: 'must be a list of addresses or subnets' };
+      const invalid = items.filter(item => !parseIpRange(item));
+      return invalid.length > 0 ? { error: `invalid address "${invalid[0]}"` } : { value: items.join(',') };
+    }
+    case 'secrets': {
+      // { tradingview: "...", trendspider: "..." } or "name:secret,name:secret"
+      if (isPlainObject(raw)) {
+        const entries = Object.entries(raw);
+        const bad = entries.find(([name, secret]) => !scalar(secret) || /[,:]/.test(name));
+        if (bad) return { error: `invalid secret "${bad[0]}"` };
+        return { value: entries.map(([name, secret]) => `${name}:${scalar(secret)}`).join(',') };
+      }
+      const value = scalar(raw);
+      return value === null ? { error: 'must map source names to secrets' } : { value };
+    }
+    case 'routeLimits': {
+      // { "/tv-webhook": { window: 1m, max: 120 }, "/hook/*": { max: 60 } }
+      const value = typeof raw === 'string' ? parseJson(raw) : raw;
+      if (!isPlainObject(value)) return { error: 'must map paths to { window, max }' };
+      for (const [route, limit] of Object.entries(value)) {
+        const error = checkRouteLimit(route, limit);
+        if (error) return { error: `"${route}" ${error}` };
+      }
+      return { value: JSON.stringify(value) };
+    }
+    default:
+      return { error: `unknown type ${setting.type}` };
+  }
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+function checkRouteLimit(route, limit) {
+  if (!route.startsWith('/')) return 'must be a path starting with /';
+  if (!isPlainObject(limit)) return 'must be { window, max }';
+  const unknown = Object.keys(limit).filter(key => !['window', 'max'].includes(key));
+  if (unknown.length > 0) return `has unknown setting "${unknown[0]}" (expected window, max)`;
+  if (limit.max === undefined) return 'needs a max';
+  const max = checkSetting({ type: 'integer', min: 0 }, limit.max);
+  if (max.error) return `max ${max.error}`;
+  if (limit.window !== undefined && checkSetting({ type: 'duration' }, limit.window).error) return `window must be ${DURATION_EXAMPLE}`;
+  return null;
+}
+
+/**
+ * Walk the parsed file against the schema. Returns { values, errors }:
+ * values maps env names to strings, errors are "path: message" lines.
+ */
+function readSection(node, data, prefix, values, errors) {
+  if (!isPlainObject(data)) {
+    errors.push(`${prefix || '(top level)'}: must be a mapping of settings`);
+    return;
+  }
+  for (const [key, raw] of Object.entries(data)) {
+    const path = `${prefix}${prefix ? '.' : ''}${key}`;
+    const child = node[key];
+    if (!child) {
+      errors.push(`${path}: unknown setting (expected ${Object.keys(node).join(', ')})`);
+    } else if (raw === null || raw === undefined) {
+      // An empty entry keeps the default
+    } else if (isSetting(child)) {
+      const result = checkSetting(child, raw);
+      if (result.error) errors.push(`${path}: ${result.error} (got ${JSON.stringify(raw)})`);
+      else values[child.env] = result.value;
+    } else {
+      readSection(child, raw, path, values, errors);
+    }
+  }
+}
+
+/**
+ * The config file to use: CONFIG_FILE, or the first of DEFAULT_CONFIG_FILES
+ * that exists. Returns null when there is none ("none" turns the lookup off).
+ */
+export function findConfigFile(env = process.env) {
+  if (env.CONFIG_FILE === 'none') return null;
+  if (env.CONFIG_FILE) return env.CONFIG_FILE;
+  return DEFAULT_CONFIG_FILES.find(file => fs.existsSync(file)) || null;
+}
+
+// Parse a YAML or JSON file; YAML needs the optional "yaml" package
+async function parseConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new Error(`Could not read config file ${file} - ${e.message}`);
+  }
+  if (path.extname(file).toLowerCase() === '.json') {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Invalid JSON in config file ${file} - ${e.message}`);
+    }
+  }
+  let YAML;
+  try {
+    YAML = (await import('yaml')).default;
+  } catch (e) {
+    throw new Error(`YAML config files need the "yaml" package (npm install yaml), or use ${file.replace(/\.ya?ml$/i, '.json')}`);
+  }
+  try {
+    return YAML.parse(text) ?? {};
+  } catch (e) {
+    throw new Error(`Invalid YAML in config file ${file} - ${e.message}`);
+  }
+}
+
+/**
+ * Load the config file (if any) and merge it under the environment.
+ *
+ * Returns { file, env, reloadable, loadedAt } where env is the environment
+ * with the file's settings filled in and reloadable lists the env names a
+ * reload can change. Throws one error listing every problem in the file
+ * and in the environment values the schema knows about.
+ */
+export async function loadConfig({ env = process.env } = {}) {
+  const file = findConfigFile(env);
+  const values = {};
+  const errors = [];
+
+  if (file) {
+    readSection(CONFIG_SCHEMA, await parseConfigFile(file), '', values, errors);
+  }
+  for (const setting of CONFIG_SETTINGS) {
+    const raw = env[setting.env];
+    if (raw === undefined || raw === '') continue;
+    const result = checkSetting(setting, raw, { fromEnv: true });
+    if (result.error) errors.push(`${setting.env}: ${result.error} (got ${JSON.stringify(raw)})`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid settings${file ? ` (config file ${file})` : ''}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  const merged = { ...env };
+  for (const [name, value] of Object.entries(values)) {
+    if (merged[name] === undefined || merged[name] === '') merged[name] = value;
+  }
+  return {
+    file,
+    env: merged,
+    reloadable: CONFIG_SETTINGS.filter(s => s.reload).map(s => s.env),
+    loadedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * The effective value of every config setting, by its path in the file,
+ * with secrets hidden. For GET /config.
+ */
+export function describeConfig(env) {
+  const out = {};
+  for (const setting of CONFIG_SETTINGS) {
+    let value = env[setting.env];
+    if (value === undefined || value === '') continue;
+    if (setting.secret) value = '***';
+    else if (setting.type === 'routeLimits') value = JSON.parse(value);
+    const keys = setting.path.split('.');
+    let node = out;
+    for (const key of keys.slice(0, -1)) node = node[key] ||= {};
+    node[keys[keys.length - 1]] = value;
+  }
+  return out;
+}
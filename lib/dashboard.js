@@ -0,0 +1,370 @@
+import { escapeHtml } from './sanitize.js';
+
+/**
+ * The live dashboard page of a bot: stats, the request log and the alert
+ * history with details and replay, kept current by GET /logs/stream.
+ *
+ * - id: tenant id, or null for the default bot
+ * - basePath: where the bot's routes are mounted ("" or /tenants/<id>)
+ * - loginPath: where to send the browser when the session has expired
+ *
+ * Every value is rendered with textContent, never as HTML, since log entries
+ * and alerts contain whatever webhook senders post.
+ */
+export function renderDashboard({ id, basePath, loginPath }) {
+  return `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <title>TradingView Bot${id ? ` (${escapeHtml(id)})` : ''} - Live Dashboard</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+      * { margin: 0; padding: 0; box-sizing: border-box; }
+      body { font-family: 'Monaco', 'Consolas', monospace; background: #0d1117; color: #c9d1d9; padding: 20px; }
+      h1 { color: #58a6ff; margin-bottom: 10px; font-size: 24px; }
+      .subtitle { color: #8b949e; margin-bottom: 20px; }
+      .stats { display: flex; gap: 20px; margin-bottom: 20px; flex-wrap: wrap; }
+      .stat { background: #161b22; padding: 15px 20px; border-radius: 8px; border: 1px solid #30363d; }
+      .stat-value { font-size: 24px; color: #58a6ff; font-weight: bold; }
+      .stat-label { color: #8b949e; font-size: 12px; }
+      .controls, .filters { margin-bottom: 20px; display: flex; gap: 10px; flex-wrap: wrap; align-items: center; }
+      button { padding: 10px 20px; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; }
+      input, select { background: #0d1117; color: #c9d1d9; border: 1px solid #30363d; border-radius: 6px; padding: 8px 10px; font-family: inherit; }
+      .btn-refresh { background: #238636; color: white; }
+      .btn-clear { background: #da3633; color: white; }
+      .btn-test { background: #1f6feb; color: white; }
+      .btn-small { padding: 4px 10px; font-size: 12px; }
+      .auto-refresh { display: flex; align-items: center; gap: 10px; color: #8b949e; }
+      .panels { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 20px; }
+      .logs { background: #161b22; border-radius: 8px; border: 1px solid #30363d; overflow: hidden; margin-bottom: 20px; }
+      .log-header { background: #21262d; padding: 10px 15px; border-bottom: 1px solid #30363d; font-weight: bold; display: flex; justify-content: space-between; align-items: center; }
+      .log-list { max-height: 500px; overflow-y: auto; }
+      .log-item { padding: 12px 15px; border-bottom: 1px solid #21262d; }
+      .log-item:hover { background: #1c2128; }
+      .alert-item { cursor: pointer; }
+      .alert-item.selected { background: #1c2128; border-left: 3px solid #58a6ff; }
+      .log-time { color: #8b949e; font-size: 12px; }
+      .log-type { display: inline-block; padding: 2px 8px; border-radius: 4px; font-size: 11px; font-weight: bold; margin-left: 10px; background: #30363d; color: white; }
+      .log-type.REQUEST { background: #1f6feb; }
+      .log-type.WEBHOOK, .log-type.delivered { background: #238636; }
+      .log-type.ERROR, .log-type.failed, .log-type.rejected { background: #da3633; }
+      .log-type.TELEGRAM { background: #8957e5; }
+      .log-type.SUPPRESSED, .log-type.suppressed, .log-type.partial, .log-type.pending { background: #9e6a03; }
+      .log-type.CHANNEL, .log-type.digest { background: #bf4b8a; }
+      .log-body { margin-top: 8px; background: #0d1117; padding: 10px; border-radius: 4px; font-size: 12px; word-break: break-all; white-space: pre-wrap; }
+      .no-logs { padding: 40px; text-align: center; color: #8b949e; }
+      .detail { padding: 15px; font-size: 13px; }
+      .detail h3 { color: #58a6ff; margin: 15px 0 8px; font-size: 14px; }
+      .detail table { width: 100%; border-collapse: collapse; font-size: 12px; }
+      .detail th, .detail td { text-align: left; padding: 6px; border-bottom: 1px solid #21262d; vertical-align: top; }
+      .detail th { color: #8b949e; }
+      .live-dot { display: inline-block; width: 8px; height: 8px; background: #238636; border-radius: 50%; margin-right: 8px; animation: pulse 2s infinite; }
+      .live-dot.offline { background: #da3633; animation: none; }
+      @keyframes pulse { 0%, 100% { opacity: 1; } 50% { opacity: 0.5; } }
+      .webhook-url { background: #161b22; padding: 15px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #30363d; }
+      .webhook-url code { background: #0d1117; padding: 8px 12px; border-radius: 4px; display: block; margin-top: 8px; color: #7ee787; word-break: break-all; }
+    </style>
+  </head>
+  <body>
+    <h1>📡 TradingView Bot${id ? ` (${escapeHtml(id)})` : ''} - Live Dashboard</h1>
+    <p class="subtitle"><span class="live-dot offline" id="liveDot"></span><span id="connection">Connecting...</span></p>
+
+    <div class="webhook-url">
+      <strong>📍 Your Webhook URL:</strong>
+      <code id="webhookUrl"></code>
+    </div>
+
+    <div class="stats">
+      <div class="stat">
+        <div class="stat-value" id="alertCount">0</div>
+        <div class="stat-label">Alerts Received</div>
+      </div>
+      <div class="stat">
+        <div class="stat-value" id="deliveredCount">0</div>
+        <div class="stat-label">Delivered</div>
+      </div>
+      <div class="stat">
+        <div class="stat-value" id="failedCount">0</div>
+        <div class="stat-label">Failed / Partial</div>
+      </div>
+      <div class="stat">
+        <div class="stat-value" id="queueCount">0</div>
+        <div class="stat-label">Queued Messages</div>
+      </div>
+    </div>
+
+    <div class="controls">
+      <button class="btn-test" id="sendTest">📤 Send Test</button>
+      <button class="btn-clear" id="logout">🚪 Log out</button>
+      <div class="auto-refresh">
+        <input type="checkbox" id="paused">
+        <label for="paused">Pause live updates</label>
+      </div>
+    </div>
+
+    <div class="filters">
+      <select id="typeFilter"><option value="">All log types</option></select>
+      <input id="tickerFilter" placeholder="Ticker (e.g. BTC)">
+      <input id="actionFilter" placeholder="Action (e.g. BUY)">
+    </div>
+
+    <div class="panels">
+      <div>
+        <div class="logs">
+          <div class="log-header">🔔 Alerts</div>
+          <div class="log-list" id="alertList"><div class="no-logs">Loading alerts...</div></div>
+        </div>
+        <div class="logs">
+          <div class="log-header"><span>🔎 Alert Details</span><button class="btn-refresh btn-small" id="replay" hidden>🔁 Replay</button></div>
+          <div class="detail" id="alertDetail"><div class="no-logs">Select an alert to see its deliveries</div></div>
+        </div>
+      </div>
+      <div class="logs">
+        <div class="log-header">📋 Request Logs (Last 100)</div>
+        <div class="log-list" id="logList"><div class="no-logs">Loading logs...</div></div>
+      </div>
+    </div>
+
+    <script>
+      // API paths of this bot ("" for the default bot, /tenants/<id> for the others)
+      const BASE = ${JSON.stringify(basePath)};
+      const LOGIN = ${JSON.stringify(loginPath)};
+      const LOG_TYPES = ['REQUEST', 'WEBHOOK', 'TELEGRAM', 'CHANNEL', 'SUPPRESSED', 'ERROR', 'PAPER', 'PRICE', 'ORDER', 'DIGEST'];
+      const MAX_ITEMS = 100;
+      let logs = [];
+      let alerts = [];
+      let selectedId = null;
+
+      // Build DOM nodes; strings always become text nodes, never HTML
+      function el(tag, props, children) {
+        const node = document.createElement(tag);
+        Object.assign(node, props || {});
+        for (const child of [].concat(children || [])) {
+          if (child === null || child === undefined || child === false) continue;
+          node.append(child instanceof Node ? child : document.createTextNode(String(child)));
+        }
+        return node;
+      }
+
+      function show(container, nodes, emptyText) {
+        container.replaceChildren(...(nodes.length > 0 ? nodes : [el('div', { className: 'no-logs' }, emptyText)]));
+      }
+
+      function formatTime(value) {
+        return value ? new Date(value).toLocaleString() : '';
+      }
+
+      function filters() {
+        return {
+          type: document.getElementById('typeFilter').value,
+          ticker: document.getElementById('tickerFilter').value.trim().toUpperCase(),
+          action: document.getElementById('actionFilter').value.trim().toUpperCase(),
+        };
+      }
+
+      function logMatches(log, f) {
+        if (f.type && log.type !== f.type) return false;
+        const text = JSON.stringify(log).toUpperCase();
+        return (!f.ticker || text.includes(f.ticker)) && (!f.action || text.includes(f.action));
+      }
+
+      function alertMatches(alert, f) {
+        return (!f.ticker || (alert.ticker || '').includes(f.ticker))
+          && (!f.action || (alert.action || '').includes(f.action));
+      }
+
+      function renderLogs() {
+        const f = filters();
+        show(document.getElementById('logList'), logs.filter(log => logMatches(log, f)).map(log => el('div', { className: 'log-item' }, [
+          el('span', { className: 'log-time' }, formatTime(log.timestamp)),
+          el('span', { className: 'log-type ' + log.type }, log.type),
+          ' ',
+          el('strong', {}, [log.method || '', ' ', log.path || '']),
+          log.body ? el('div', { className: 'log-body' }, log.body) : null,
+          log.message ? el('div', { className: 'log-body' }, log.message) : null,
+          log.rawBody ? el('div', { className: 'log-body' }, log.rawBody) : null,
+        ])), 'No logs match. Waiting for TradingView webhooks...');
+      }
+
+      function alertSummary(alert) {
+        if (alert.ticker || alert.action) return [alert.action, alert.ticker].filter(Boolean).join(' ');
+        return typeof alert.alert === 'string' ? alert.alert.slice(0, 80) : (alert.rawBody || '').slice(0, 80);
+      }
+
+      function renderAlerts() {
+        const f = filters();
+        show(document.getElementById('alertList'), alerts.filter(alert => alertMatches(alert, f)).map(alert => el('div', {
+          className: 'log-item alert-item' + (alert.id === selectedId ? ' selected' : ''),
+          onclick: () => selectAlert(alert.id),
+        }, [
+          el('span', { className: 'log-time' }, formatTime(alert.receivedAt)),
+          el('span', { className: 'log-type ' + alert.status }, alert.status),
+          ' ',
+          el('strong', {}, alertSummary(alert)),
+          alert.replayOf ? el('span', { className: 'log-time' }, '  (replay)') : null,
+        ])), 'No alerts match.');
+      }
+
+      function table(headers, rows) {
+        return el('table', {}, [
+          el('tr', {}, headers.map(h => el('th', {}, h))),
+          ...rows.map(row => el('tr', {}, row.map(cell => el('td', {}, cell ?? '')))),
+        ]);
+      }
+
+      function renderDetail(alert) {
+        const container = document.getElementById('alertDetail');
+        document.getElementById('replay').hidden = !alert || alert.alert === null;
+        if (!alert) {
+          show(container, [], 'Select an alert to see its deliveries');
+          return;
+        }
+        const fields = alert.alert && typeof alert.alert === 'object'
+          ? Object.entries(alert.alert).map(([key, value]) => [key, typeof value === 'object' ? JSON.stringify(value) : value])
+          : [['text', alert.alert]];
+        show(container, [
+          el('div', {}, [el('span', { className: 'log-type ' + alert.status }, alert.status), ' ', alert.id]),
+          el('div', { className: 'log-time' }, [
+            formatTime(alert.receivedAt),
+            ' · source: ', alert.source || '-',
+            ' · dialect: ', alert.dialect || '-',
+            ' · route: ', alert.route || '-',
+            alert.reason ? ' · ' + alert.reason : '',
+            alert.replayOf ? ' · replay of ' + alert.replayOf : '',
+          ]),
+          el('h3', {}, 'Fields'),
+          table(['Field', 'Value'], fields),
+          el('h3', {}, 'Deliveries'),
+          alert.deliveries.length > 0
+            ? table(['Recipient', 'Channel', 'Status', 'Attempts', 'Error', 'Updated'], alert.deliveries.map(d => [
+              d.chatId + (d.parts ? ' (' + d.part + '/' + d.parts + ')' : ''), d.channel, d.status, d.attempts, d.error, formatTime(d.updatedAt),
+            ]))
+            : el('div', { className: 'log-time' }, alert.digestChatIds ? 'Held for digests: ' + alert.digestChatIds.join(', ') : 'No deliveries'),
+          alert.acks && alert.acks.length > 0 ? el('h3', {}, 'Acknowledged') : null,
+          alert.acks && alert.acks.length > 0 ? table(['By', 'Chat', 'At'], alert.acks.map(a => [a.by, a.chatId, formatTime(a.at)])) : null,
+          el('h3', {}, 'Raw body'),
+          el('div', { className: 'log-body' }, alert.rawBody || ''),
+        ]);
+      }
+
+      async function api(path, options) {
+        const res = await fetch(BASE + path, options);
+        if (res.status === 401) {
+          window.location.href = LOGIN;
+          throw new Error('Not logged in');
+        }
+        return res.json();
+      }
+
+      async function selectAlert(id) {
+        selectedId = id;
+        renderAlerts();
+        try {
+          const alert = await api('/alerts/' + encodeURIComponent(id));
+          renderDetail(alert.id ? alert : null);
+        } catch (e) {
+          console.error('Error loading alert:', e);
+        }
+      }
+
+      async function replay() {
+        if (!selectedId || !confirm('Send this alert again to its recipients?')) return;
+        try {
+          const data = await api('/alerts/' + encodeURIComponent(selectedId) + '/replay', { method: 'POST' });
+          alert(data.success ? '✅ Replayed as ' + data.alertId : '❌ Failed: ' + data.error);
+          if (data.alertId) selectAlert(data.alertId);
+        } catch (e) {
+          alert('❌ Error: ' + e.message);
+        }
+      }
+
+      function renderStats(stats) {
+        document.getElementById('alertCount').textContent = stats.alerts.total;
+        document.getElementById('deliveredCount').textContent = stats.alerts.delivered;
+        document.getElementById('failedCount').textContent = stats.alerts.failed + stats.alerts.partial;
+        document.getElementById('queueCount').textContent = stats.queue.pending;
+      }
+
+      function upsertAlert(alert) {
+        alerts = [alert, ...alerts.filter(a => a.id !== alert.id)]
+          .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))
+          .slice(0, MAX_ITEMS);
+        renderAlerts();
+        if (alert.id === selectedId) renderDetail(alert);
+      }
+
+      function setConnected(connected) {
+        document.getElementById('liveDot').className = 'live-dot' + (connected ? '' : ' offline');
+        document.getElementById('connection').textContent = connected ? 'Live - streaming updates' : 'Reconnecting...';
+      }
+
+      function connect() {
+        const stream = new EventSource(BASE + '/logs/stream');
+        const paused = () => document.getElementById('paused').checked;
+        stream.onopen = () => setConnected(true);
+        stream.onerror = () => setConnected(false);
+        stream.addEventListener('snapshot', event => {
+          const data = JSON.parse(event.data);
+          logs = data.logs;
+          renderLogs();
+          renderStats(data.stats);
+        });
+        stream.addEventListener('log', event => {
+          if (paused()) return;
+          logs = [JSON.parse(event.data), ...logs].slice(0, MAX_ITEMS);
+          renderLogs();
+        });
+        stream.addEventListener('alert', event => {
+          if (!paused()) upsertAlert(JSON.parse(event.data));
+        });
+        stream.addEventListener('stats', event => renderStats(JSON.parse(event.data)));
+      }
+
+      async function loadAlerts() {
+        try {
+          const data = await api('/alerts?limit=' + MAX_ITEMS);
+          alerts = data.alerts || [];
+          renderAlerts();
+        } catch (e) {
+          console.error('Error loading alerts:', e);
+        }
+      }
+
+      async function sendTest() {
+        try {
+          const data = await api('/broadcast', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: '🧪 Test message from the dashboard! ⏰ ' + new Date().toLocaleString() }),
+          });
+          alert(data.success ? '✅ Test sent!' : '❌ Failed: ' + data.error);
+        } catch (e) {
+          alert('❌ Error: ' + e.message);
+        }
+      }
+
+      async function logout() {
+        await fetch('/logout', { method: 'POST' });
+        window.location.href = LOGIN;
+      }
+
+      document.getElementById('webhookUrl').textContent = window.location.origin + ${JSON.stringify(id ? `/tv-webhook/${id}` : '/tv-webhook')};
+      const typeFilter = document.getElementById('typeFilter');
+      LOG_TYPES.forEach(type => typeFilter.append(el('option', { value: type }, type)));
+      ['typeFilter', 'tickerFilter', 'actionFilter'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => {
+          renderLogs();
+          renderAlerts();
+        });
+      });
+      document.getElementById('sendTest').addEventListener('click', sendTest);
+      document.getElementById('logout').addEventListener('click', logout);
+      document.getElementById('replay').addEventListener('click', replay);
+
+      loadAlerts();
+      connect();
+    </script>
+  </body>
+  </html>
+    `;
+}
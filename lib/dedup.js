@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import { matchValue } from './routing.js';
+import { parseDuration } from './subscriptions.js';
+
+/**
+ * Idempotency key for an alert.
+ *
+ * Uses an explicit `id` / `alert_id` when the payload has one, otherwise a
+ * hash of ticker + action + interval + time. Plain-text alerts are hashed
+ * as a whole.
+ */
+export function alertKey(alert) {
+  if (alert && typeof alert === 'object') {
+    const explicit = alert.alert_id ?? alert.id;
+    if (explicit !== undefined && explicit !== null && explicit !== '') {
+      return `id:${explicit}`;
+    }
+    if (alert.ticker || alert.action) {
+      const parts = [alert.ticker, alert.action, alert.interval, alert.time]
+        .map(v => String(v ?? '').trim().toUpperCase());
+      return `hash:${crypto.createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 32)}`;
+    }
+  }
+
+  const raw = typeof alert === 'string' ? alert : JSON.stringify(alert);
+  return `hash:${crypto.createHash('sha256').update(raw).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Parse cooldown rules like "BTCUSDT:BUY=15m,NIFTY:*=1h,*:SELL=5m".
+ * Each rule is ticker:action=duration; both sides accept "*" wildcards.
+ */
+export function parseCooldownRules(value) {
+  const rules = [];
+  for (const entry of String(value || '').split(',')) {
+    const [pair, duration] = entry.split('=').map(v => v?.trim());
+    if (!pair || !duration) continue;
+    const [ticker, action = '*'] = pair.split(':');
+    const ms = parseDuration(duration);
+    if (!ms) {
+      throw new Error(`Invalid cooldown duration "${duration}" in "${entry.trim()}"`);
+    }
+    rules.push({ ticker, action, ms });
+  }
+  return rules;
+}
+
+/**
+ * Duplicate and cooldown filter for incoming alerts.
+ *
+ * - windowMs: identical alerts (same idempotency key) within this window are dropped
+ * - defaultCooldownMs: minimum gap between alerts with the same ticker + action
+ * - cooldownRules: per ticker/action overrides (first match wins)
+ * - state: a snapshot() saved earlier, so a restart keeps filtering
+ * - onChange(snapshot): called whenever an accepted alert changes the state
+ */
+export function createDedupFilter({
+  windowMs = 5 * 60 * 1000,
+  defaultCooldownMs = 0,
+  cooldownRules = [],
+  state = null,
+  onChange = () => {},
+} = {}) {
+  // key -> expiry timestamp
+  const seen = new Map(Object.entries(state?.seen || {}));
+  // "TICKER|ACTION" -> last accepted timestamp
+  const lastSent = new Map(Object.entries(state?.lastSent || {}));
+
+  function cooldownFor(ticker, action) {
+    const rule = cooldownRules.find(r => matchValue(r.ticker, ticker) && matchValue(r.action, action));
+    return rule ? rule.ms : defaultCooldownMs;
+  }
+
+  function prune(now) {
+    for (const [key, expiresAt] of seen) {
+      if (expiresAt <= now) seen.delete(key);
+    }
+  }
+
+  /**
+   * Check an alert and record it when accepted.
+   * Returns { accepted: true, key } or { accepted: false, key, reason }.
+   */
+  function check(alert, now = Date.now()) {
+    prune(now);
+
+    const key = alertKey(alert);
+    if (windowMs > 0 && seen.has(key)) {
+      return { accepted: false, key, reason: `duplicate of ${key} within ${Math.round(windowMs / 1000)}s` };
+    }
+
+    const ticker = alert && typeof alert === 'object' ? alert.ticker : undefined;
+    const action = alert && typeof alert === 'object' ? alert.action : undefined;
+    let pair = null;
+    if (ticker && action) {
+      pair = `${String(ticker).toUpperCase()}|${String(action).toUpperCase()}`;
+      const cooldown = cooldownFor(ticker, action);
+      const last = lastSent.get(pair);
+      if (cooldown > 0 && last && now - last < cooldown) {
+        const remaining = Math.ceil((cooldown - (now - last)) / 1000);
+        return {
+          accepted: false,
+          key,
+          reason: `cooldown for ${String(action).toUpperCase()} on ${String(ticker).toUpperCase()} (${remaining}s left)`,
+        };
+      }
+    }
+
+    if (windowMs > 0) seen.set(key, now + windowMs);
+    if (pair) lastSent.set(pair, now);
+    if (windowMs > 0 || pair) onChange(snapshot());
+    return { accepted: true, key };
+  }
+
+  /**
+   * The current state as plain objects, for saving.
+   */
+  function snapshot() {
+    return { seen: Object.fromEntries(seen), lastSent: Object.fromEntries(lastSent) };
+  }
+
+  return { check, snapshot };
+}
@@ -0,0 +1,180 @@
+import { formatDateTime } from './templates.js';
+import { escapeHtml } from './sanitize.js';
+
+// realtime: every alert as it arrives, digest: only summaries, both: both
+export const DELIVERY_MODES = ['realtime', 'digest', 'both'];
+
+// "daily" without a time sends at this local time
+export const DEFAULT_DIGEST_TIME = '18:00';
+
+const DIGEST_TITLES = { hourly: 'Hourly digest', daily: 'Daily digest', session: 'End-of-session digest' };
+
+/**
+ * "9:30" -> "09:30", or null when it isn't a valid time of day.
+ */
+export function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Parse a digest schedule: "hourly", "daily", "daily 18:00" or "session"
+ * (after the market closes on weekdays). Returns { schedule } with the
+ * normalized text, or { error }.
+ */
+export function parseDigestSchedule(value) {
+  const [type = '', time, ...rest] = String(value || '').trim().toLowerCase().split(/\s+/);
+  if ((type === 'hourly' || type === 'session') && !time) return { schedule: type };
+  if (type === 'daily' && rest.length === 0) {
+    const at = time ? parseTimeOfDay(time) : DEFAULT_DIGEST_TIME;
+    if (at) return { schedule: `daily ${at}` };
+  }
+  return { error: `Invalid digest schedule "${value}" (use hourly, daily, daily 18:00 or session)` };
+}
+
+/**
+ * A chat's delivery settings, with defaults filled in.
+ */
+export function getDigestSettings(chat) {
+  const digest = chat?.digest || {};
+  return {
+    mode: DELIVERY_MODES.includes(digest.mode) ? digest.mode : 'realtime',
+    schedule: digest.schedule || null,
+    lastSlot: digest.lastSlot || null,
+    lastSentAt: digest.lastSentAt || null,
+  };
+}
+
+/**
+ * Validate digest settings from the REST API ({ mode, schedule }).
+ * Returns an error message or null.
+ */
+export function validateDigestSettings(digest) {
+  if (!digest || typeof digest !== 'object' || Array.isArray(digest)) return 'digest must be an object';
+  if ('mode' in digest && !DELIVERY_MODES.includes(digest.mode)) {
+    return `digest.mode must be one of ${DELIVERY_MODES.join(', ')}`;
+  }
+  if (digest.schedule) {
+    const { error } = parseDigestSchedule(digest.schedule);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Local date ("2026-01-31"), time ("18:05") in a timezone
+function localParts(now, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(new Date(now)).map(part => [part.type, part.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+function previousDate(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - 1);
+  return day.toISOString().slice(0, 10);
+}
+
+function isWeekend(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return weekday === 0 || weekday === 6;
+}
+
+/**
+ * The most recent point of a schedule that has passed, as a key like
+ * "2026-01-31T14" (hourly) or "2026-01-31 18:00" (daily, session).
+ *
+ * A digest is due whenever this key differs from the one the chat last got,
+ * so a digest missed while the server was down goes out when it comes back.
+ */
+export function digestSlot(schedule, { now = Date.now(), timezone, sessionClose }) {
+  const { date, time } = localParts(now, timezone);
+  const [type, at] = schedule.split(' ');
+  if (type === 'hourly') return `${date}T${time.slice(0, 2)}`;
+
+  const closeAt = type === 'session' ? sessionClose : at;
+  let day = time >= closeAt ? date : previousDate(date);
+  if (type === 'session') {
+    while (isWeekend(day)) day = previousDate(day);
+  }
+  return `${day} ${closeAt}`;
+}
+
+/**
+ * Failed deliveries in a list of alerts (as returned by the alert history),
+ * only those to chatId when it is given.
+ */
+export function failedDeliveries(alerts, chatId = null) {
+  return alerts.flatMap(alert => alert.deliveries
+    .filter(d => d.status === 'failed' && (chatId === null || String(d.chatId) === String(chatId)))
+    .map(d => ({ alert, delivery: d })));
+}
+
+/**
+ * Render a digest as Telegram HTML: alert counts per ticker and action, the
+ * latest price per symbol and delivery failures. Returns null when there is
+ * nothing to report.
+ *
+ * alerts: newest first, as returned by the alert history
+ */
+export function buildDigest({ schedule, alerts, failures = [], since, timezone, locale }) {
+  if (alerts.length === 0 && failures.length === 0) return null;
+
+  const tickers = new Map();
+  let textAlerts = 0;
+  for (const alert of alerts) {
+    const fields = alert.alert && typeof alert.alert === 'object' ? alert.alert : {};
+    if (!alert.ticker) {
+      textAlerts++;
+      continue;
+    }
+    if (!tickers.has(alert.ticker)) tickers.set(alert.ticker, { actions: new Map(), lastPrice: null });
+    const entry = tickers.get(alert.ticker);
+    const action = alert.action || 'ALERT';
+    entry.actions.set(action, (entry.actions.get(action) || 0) + 1);
+    // Newest first, so the first price seen is the latest
+    if (entry.lastPrice === null && fields.price !== undefined && fields.price !== '') {
+      entry.lastPrice = fields.price;
+    }
+  }
+
+  const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 8 });
+  const formatPrice = price => (Number.isNaN(Number(price)) ? escapeHtml(price) : number.format(Number(price)));
+  const formatTime = value => formatDateTime(new Date(value), { timezone, locale });
+
+  const lines = [
+    `📋 <b>${DIGEST_TITLES[schedule.split(' ')[0]] || 'Digest'}</b>`,
+    `Since ${formatTime(since)}`,
+    '',
+    `🔔 Alerts: ${alerts.length}`,
+  ];
+  const sorted = [...tickers.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+  for (const [ticker, { actions, lastPrice }] of sorted) {
+    const counts = [...actions.entries()].map(([action, count]) => `${count} ${escapeHtml(action)}`).join(', ');
+    lines.push(`<b>${escapeHtml(ticker)}</b>: ${counts}${lastPrice !== null ? ` · last ${formatPrice(lastPrice)}` : ''}`);
+  }
+  if (textAlerts > 0) lines.push(`Text alerts: ${textAlerts}`);
+
+  if (failures.length > 0) {
+    lines.push('', `⚠️ <b>Delivery failures: ${failures.length}</b>`);
+    for (const { alert, delivery } of failures.slice(0, 10)) {
+      lines.push(
+        `• ${escapeHtml([alert.ticker, alert.action].filter(Boolean).join(' ') || 'Text alert')} → ` +
+        `${escapeHtml(delivery.chatId)} · ${formatTime(alert.receivedAt)}` +
+        (delivery.error ? ` · ${escapeHtml(delivery.error)}` : '')
+      );
+    }
+    if (failures.length > 10) lines.push(`…and ${failures.length - 10} more`);
+  }
+
+  return lines.join('\n');
+}
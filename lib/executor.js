@@ -0,0 +1,370 @@
+import { signPayload, loadWebhookSecrets, SIGNATURE_HEADER, TIMESTAMP_HEADER } from './auth.js';
+import { parseTimeOfDay } from './digests.js';
+import { readSignal } from './paper.js';
+import { matchValue } from './routing.js';
+import { parseDuration } from './subscriptions.js';
+
+// off: alerts are never turned into orders
+// dry-run: orders go through the risk guard and are reported, but not sent
+// live: orders that pass the guard are POSTed to the broker bridge
+export const EXECUTOR_MODES = ['off', 'dry-run', 'live'];
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Executions kept for GET /executor
+const MAX_EXECUTIONS = 100;
+
+/**
+ * Parse trading hours like "mon-fri 09:15-15:30, sat 10:00-12:00". Days are
+ * optional (every day when left out); a window that ends before it starts
+ * runs past midnight. Returns { windows } or { error }.
+ */
+export function parseTradingHours(value) {
+  const windows = [];
+  for (const entry of String(value || '').split(',').map(v => v.trim()).filter(Boolean)) {
+    const match = /^(?:([a-z]{3})(?:-([a-z]{3}))?\s+)?(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/i.exec(entry);
+    const from = match && parseTimeOfDay(match[3]);
+    const to = match && parseTimeOfDay(match[4]);
+    if (!from || !to) return { error: `Invalid trading hours "${entry}" (use e.g. "mon-fri 09:15-15:30")` };
+
+    let days = WEEKDAYS.map((day, index) => index);
+    if (match[1]) {
+      const first = WEEKDAYS.indexOf(match[1].toLowerCase());
+      const last = WEEKDAYS.indexOf((match[2] || match[1]).toLowerCase());
+      if (first === -1 || last === -1) return { error: `Invalid day in trading hours "${entry}" (use ${WEEKDAYS.join(', ')})` };
+      days = [];
+      for (let day = first; ; day = (day + 1) % 7) {
+        days.push(day);
+        if (day === last) break;
+      }
+    }
+    windows.push({ days, from, to });
+  }
+  return { windows };
+}
+
+// Weekday (0 = Sunday), date and "HH:MM" time in a timezone
+function localTime(now, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(new Date(now)).map(part => [part.type, part.value])
+  );
+  return {
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+/**
+ * Whether `now` falls in one of the trading windows (always true without
+ * windows). Overnight windows count from the day they start on.
+ */
+export function withinTradingHours(windows, { now = Date.now(), timezone = 'UTC' } = {}) {
+  if (windows.length === 0) return true;
+  const { weekday, time } = localTime(now, timezone);
+  const yesterday = (weekday + 6) % 7;
+  return windows.some(({ days, from, to }) => {
+    if (from <= to) return days.includes(weekday) && time >= from && time < to;
+    return (days.includes(weekday) && time >= from) || (days.includes(yesterday) && time < to);
+  });
+}
+
+/**
+ * Why the webhook is not locked down enough for EXECUTOR_MODE=live, or null.
+ * Without secrets anyone who can reach the webhook could place orders, and
+ * a plain secret in the body can be replayed, so live mode needs signed
+ * requests.
+ */
+export function liveAuthError(env = process.env) {
+  if (loadWebhookSecrets(env).length === 0) {
+    return 'EXECUTOR_MODE=live needs a webhook secret (SHARED_SECRET or WEBHOOK_SECRETS)';
+  }
+  if (env.WEBHOOK_REQUIRE_SIGNATURE !== 'true') {
+    return 'EXECUTOR_MODE=live needs WEBHOOK_REQUIRE_SIGNATURE=true';
+  }
+  return null;
+}
+
+/**
+ * Executor options from the environment (EXECUTOR_MODE and the risk limits).
+ * Returns { config } for createExecutor, or { error }.
+ */
+export function executorConfigFromEnv(env = process.env) {
+  const mode = env.EXECUTOR_MODE || 'off';
+  if (!EXECUTOR_MODES.includes(mode)) {
+    return { error: `EXECUTOR_MODE must be one of ${EXECUTOR_MODES.join(', ')} (got "${mode}")` };
+  }
+  if (mode === 'off') return { config: { mode } };
+
+  if (mode === 'live' && !/^https?:\/\//.test(env.EXECUTOR_URL || '')) {
+    return { error: 'EXECUTOR_URL must be an http(s) URL when EXECUTOR_MODE=live' };
+  }
+  const authError = mode === 'live' && liveAuthError(env);
+  if (authError) return { error: authError };
+  const symbols = String(env.EXECUTOR_SYMBOLS || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (symbols.length === 0) {
+    return { error: 'EXECUTOR_SYMBOLS must list the symbols orders may be placed for (e.g. "BTCUSDT,NSE:*")' };
+  }
+
+  const numbers = {
+    quantity: ['EXECUTOR_QUANTITY', '1'],
+    maxPosition: ['EXECUTOR_MAX_POSITION', env.EXECUTOR_QUANTITY || '1'],
+    maxOrdersPerDay: ['EXECUTOR_MAX_ORDERS_PER_DAY', '20'],
+    maxDailyLoss: ['EXECUTOR_MAX_DAILY_LOSS', '0'],
+  };
+  const limits = {};
+  for (const [key, [name, fallback]] of Object.entries(numbers)) {
+    const value = Number(env[name] || fallback);
+    const allowZero = key === 'maxOrdersPerDay' || key === 'maxDailyLoss';
+    if (!Number.isFinite(value) || value < 0 || (!allowZero && value === 0)) {
+      return { error: `${name} must be a ${allowZero ? 'non-negative' : 'positive'} number (got "${env[name]}")` };
+    }
+    limits[key] = value;
+  }
+
+  const { windows, error } = parseTradingHours(env.EXECUTOR_HOURS);
+  if (error) return { error: `EXECUTOR_HOURS - ${error}` };
+  const timezone = env.EXECUTOR_TIMEZONE || env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+  try {
+    localTime(Date.now(), timezone);
+  } catch (e) {
+    return { error: `EXECUTOR_TIMEZONE "${timezone}" is not a valid timezone` };
+  }
+  const timeoutMs = parseDuration(env.EXECUTOR_TIMEOUT || '10s');
+  if (!timeoutMs) return { error: `EXECUTOR_TIMEOUT must be a duration like 10s (got "${env.EXECUTOR_TIMEOUT}")` };
+
+  return {
+    config: {
+      mode,
+      url: env.EXECUTOR_URL || null,
+      secret: env.EXECUTOR_SECRET || null,
+      symbols,
+      ...limits,
+      hours: windows,
+      timezone,
+      timeoutMs,
+    },
+  };
+}
+
+/**
+ * Update a net position with a fill. `delta` is signed (+ buys, - sells).
+ * Returns { position: { quantity, avgPrice }, realizedPnl }.
+ */
+export function applyFill(position, delta, price) {
+  let quantity = position?.quantity || 0;
+  let avgPrice = position?.avgPrice || 0;
+  let realizedPnl = 0;
+
+  // Closing part of the position realizes P&L against the average entry
+  if (quantity !== 0 && Math.sign(delta) !== Math.sign(quantity)) {
+    const closing = Math.min(Math.abs(delta), Math.abs(quantity));
+    realizedPnl = closing * (price - avgPrice) * Math.sign(quantity);
+    quantity += Math.sign(delta) * closing;
+    delta -= Math.sign(delta) * closing;
+    if (quantity === 0) avgPrice = 0;
+  }
+  if (delta !== 0) {
+    avgPrice = (avgPrice * Math.abs(quantity) + price * Math.abs(delta)) / (Math.abs(quantity) + Math.abs(delta));
+    quantity += delta;
+  }
+  return { position: { quantity, avgPrice }, realizedPnl };
+}
+
+/**
+ * Turns BUY/SELL/EXIT alerts into orders for a broker bridge, behind a risk
+ * guard. Signals set a target position per symbol - long +quantity, short
+ * -quantity, exit 0 - and the order is the difference to the current one.
+ *
+ * options: a config from executorConfigFromEnv, plus
+ * - state: a snapshot() saved earlier (positions, today's counters, executions)
+ * - onChange(snapshot): called whenever the state changes
+ *
+ * execute(alert, { alertId }) resolves with null for alerts that aren't
+ * trades, or { status, reason, order, response } where status is "filled",
+ * "dry-run", "skipped" (already at the target), "rejected" (by the guard or
+ * the broker) or "failed". Executions run one at a time.
+ */
+export function createExecutor({
+  mode,
+  url = null,
+  secret = null,
+  symbols = [],
+  quantity: defaultQuantity = 1,
+  maxPosition = 1,
+  maxOrdersPerDay = 0,
+  maxDailyLoss = 0,
+  hours = [],
+  timezone = 'UTC',
+  timeoutMs = 10000,
+  state = null,
+  onChange = () => {},
+}) {
+  // Dry runs keep their own book, so they never move live positions
+  const books = { 'dry-run': { positions: {}, day: null }, live: { positions: {}, day: null }, ...state?.books };
+  let executions = Array.isArray(state?.executions) ? state.executions : [];
+  let running = Promise.resolve();
+
+  function snapshot() {
+    return { books, executions };
+  }
+
+  // Orders placed and P&L realized today, reset when the local date changes
+  function today(now) {
+    const book = books[mode];
+    const { date } = localTime(now, timezone);
+    if (book.day?.date !== date) book.day = { date, orders: 0, realizedPnl: 0 };
+    return book.day;
+  }
+
+  function allowedSymbol(ticker) {
+    return symbols.some(pattern => matchValue(pattern, ticker) || matchValue(pattern, ticker.split(':').pop()));
+  }
+
+  /**
+   * Check an order against the limits. Orders that only shrink a position
+   * are still allowed once the daily order or loss cap is reached.
+   * Returns the reason it is rejected, or null.
+   */
+  function checkRisk(order, now) {
+    if (!allowedSymbol(order.symbol)) return `${order.symbol} is not in EXECUTOR_SYMBOLS`;
+    if (!withinTradingHours(hours, { now, timezone })) return `outside trading hours (${localTime(now, timezone).time} ${timezone})`;
+    if (Math.abs(order.targetPosition) > maxPosition) {
+      return `target position ${order.targetPosition} is over the limit of ${maxPosition}`;
+    }
+    const reducing = Math.abs(order.targetPosition) < Math.abs(order.currentPosition) &&
+      Math.sign(order.targetPosition) !== -Math.sign(order.currentPosition);
+    if (reducing) return null;
+    const day = today(now);
+    if (maxOrdersPerDay > 0 && day.orders >= maxOrdersPerDay) return `daily order limit of ${maxOrdersPerDay} reached`;
+    if (maxDailyLoss > 0 && day.realizedPnl <= -maxDailyLoss) {
+      return `daily loss limit of ${maxDailyLoss} reached (${day.realizedPnl.toFixed(2)})`;
+    }
+    return null;
+  }
+
+  // The order that takes a symbol from its current position to the signal's target
+  function buildOrder(signal, alertId, now) {
+    const size = signal.quantity > 0 ? signal.quantity : defaultQuantity;
+    const current = books[mode].positions[signal.ticker]?.quantity || 0;
+    const target = signal.signal === 'long' ? size : signal.signal === 'short' ? -size : 0;
+    return {
+      clientOrderId: `tv-${alertId || now}`,
+      symbol: signal.ticker,
+      side: target > current ? 'buy' : 'sell',
+      quantity: Math.abs(target - current),
+      type: 'market',
+      referencePrice: signal.price,
+      signal: signal.signal,
+      strategy: signal.indicator,
+      currentPosition: current,
+      targetPosition: target,
+      alertId: alertId || null,
+      mode,
+      createdAt: new Date(now).toISOString(),
+    };
+  }
+
+  // POST the order to the bridge. A 2xx answer is a fill unless its JSON
+  // says otherwise ({ "ok": false } or { "status": "rejected" }).
+  async function sendOrder(order) {
+    const body = JSON.stringify(order);
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers[TIMESTAMP_HEADER] = String(timestamp);
+      headers[SIGNATURE_HEADER] = `sha256=${signPayload(secret, timestamp, body)}`;
+    }
+    let response;
+    try {
+      response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (e) {
+      return { status: 'failed', reason: e.name === 'TimeoutError' ? `no answer within ${timeoutMs / 1000}s` : e.message };
+    }
+    const text = await response.text();
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      // Not JSON - the status code decides
+    }
+    if (!response.ok) {
+      return { status: 'failed', reason: `HTTP ${response.status}: ${text.substring(0, 200)}`, response: data };
+    }
+    if (data?.ok === false || /^rejected$/i.test(data?.status || '')) {
+      return { status: 'rejected', reason: `broker: ${data.error || data.message || data.reason || 'rejected'}`, response: data };
+    }
+    return { status: 'filled', response: data };
+  }
+
+  function record(result) {
+    executions = [{ at: new Date().toISOString(), ...result }, ...executions].slice(0, MAX_EXECUTIONS);
+    onChange(snapshot());
+    return result;
+  }
+
+  async function run(alert, alertId) {
+    const signal = readSignal(alert);
+    if (!signal) return null;
+    const now = Date.now();
+    const order = buildOrder(signal, alertId, now);
+    if (order.quantity === 0) {
+      return record({ status: 'skipped', reason: `already at target position ${order.targetPosition}`, order });
+    }
+    const reason = checkRisk(order, now);
+    if (reason) return record({ status: 'rejected', reason, order });
+
+    const result = mode === 'live' ? await sendOrder(order) : { status: 'dry-run' };
+    if (result.status === 'filled' || result.status === 'dry-run') {
+      const fillPrice = Number(result.response?.fillPrice ?? result.response?.price) || order.referencePrice;
+      const delta = order.side === 'buy' ? order.quantity : -order.quantity;
+      const { position, realizedPnl } = applyFill(books[mode].positions[order.symbol], delta, fillPrice);
+      if (position.quantity === 0) delete books[mode].positions[order.symbol];
+      else books[mode].positions[order.symbol] = position;
+      const day = today(now);
+      day.orders += 1;
+      day.realizedPnl += realizedPnl;
+      Object.assign(result, { fillPrice, realizedPnl, position: position.quantity });
+    }
+    return record({ ...result, order });
+  }
+
+  return {
+    mode,
+
+    execute(alert, { alertId } = {}) {
+      const result = running.then(() => run(alert, alertId));
+      running = result.catch(() => {});
+      return result;
+    },
+
+    // Resolves once the executions started so far are done
+    idle: () => running,
+
+    status(now = Date.now()) {
+      return {
+        mode,
+        url,
+        limits: { symbols, quantity: defaultQuantity, maxPosition, maxOrdersPerDay, maxDailyLoss, hours, timezone },
+        withinHours: withinTradingHours(hours, { now, timezone }),
+        today: { ...today(now) },
+        positions: books[mode].positions,
+        executions,
+      };
+    },
+
+    describe() {
+      return `${mode}${mode === 'live' ? ` to ${url}` : ''}, ${symbols.join(', ')}, max position ${maxPosition}` +
+        (hours.length > 0 ? `, ${hours.length} trading window(s) (${timezone})` : '');
+    },
+  };
+}
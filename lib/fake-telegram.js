@@ -0,0 +1,229 @@
+import http from 'http';
+
+// Bot API methods that just answer `true`
+const TRUE_METHODS = [
+  'setWebhook',
+  'deleteWebhook',
+  'answerCallbackQuery',
+  'editMessageText',
+  'editMessageCaption',
+  'editMessageReplyMarkup',
+  'setMyCommands',
+  'sendChatAction',
+];
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => { chunks.push(chunk); });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// JSON bodies, or multipart uploads (sendPhoto with a file). Uploaded files
+// are recorded as { filename, type, size, data } with base64 data.
+async function parseParams(req, body) {
+  if (!/^multipart\/form-data/i.test(req.headers['content-type'] || '')) {
+    return body.length > 0 ? JSON.parse(body.toString('utf8')) : {};
+  }
+  const form = await new Response(body, { headers: { 'content-type': req.headers['content-type'] } }).formData();
+  const params = {};
+  for (const [key, value] of form) {
+    if (typeof value === 'string') {
+      params[key] = key === 'reply_markup' ? JSON.parse(value) : value;
+    } else {
+      const bytes = Buffer.from(await value.arrayBuffer());
+      params[key] = { filename: value.name, type: value.type, size: bytes.length, data: bytes.toString('base64') };
+    }
+  }
+  return params;
+}
+
+/**
+ * A local stand-in for the Telegram Bot API, for tests and offline runs
+ * (point TELEGRAM_API_URL at it). It answers /bot<token>/<method> like
+ * Telegram does and records every call.
+ *
+ *   start(port = 0)               -> resolves with the base URL
+ *   calls(method)                 -> recorded calls [{ token, method, params, at }]
+ *   sent(chatId)                  -> sendMessage params, optionally for one chat
+ *   photos(chatId)                -> sendPhoto params, optionally for one chat
+ *   queueUpdates(updates)         -> returned by the next getUpdates (update_id added when missing)
+ *   failNext(method, error)       -> the next call of `method` fails with `error`
+ *   failChat(chatId, error)       -> every message to `chatId` fails with `error`
+ *   waitFor(method, predicate)    -> resolves with the first call that matches
+ *   reset()                       -> forget calls, queued updates and failures
+ *   close()
+ *
+ * Errors look like Telegram's: { error_code: 429, description: 'Too Many
+ * Requests: retry after 1', parameters: { retry_after: 1 } } or
+ * { error_code: 403, description: 'Forbidden: bot was blocked by the user' }.
+ * getUpdates holds a long poll for at most `maxPollMs`, or until updates are
+ * queued. onCall(call) is told about every call as it is recorded.
+ */
+export function createFakeTelegram({ username = 'fake_bot', maxPollMs = 1000, onCall = () => {} } = {}) {
+  let calls = [];
+  let updates = [];
+  let nextUpdateId = 1;
+  let nextMessageId = 1;
+  let failures = new Map(); // method -> [error, ...]
+  let chatFailures = new Map(); // chat id -> error
+  let waiters = [];
+  const pollers = new Set();
+
+  function record(call) {
+    calls.push(call);
+    onCall(call);
+    waiters = waiters.filter(waiter => {
+      if (waiter.method !== call.method || !waiter.predicate(call.params)) return true;
+      clearTimeout(waiter.timer);
+      waiter.resolve(call);
+      return false;
+    });
+  }
+
+  function sentWith(method, chatId) {
+    return calls
+      .filter(call => call.method === method && (chatId === undefined || String(call.params.chat_id) === String(chatId)))
+      .map(call => call.params);
+  }
+
+  function takeUpdates(offset) {
+    updates = updates.filter(update => !offset || update.update_id >= offset);
+    const result = updates;
+    updates = [];
+    return result;
+  }
+
+  async function getUpdates(params) {
+    const holdMs = Math.min((params.timeout || 0) * 1000, maxPollMs);
+    if (updates.length === 0 && holdMs > 0) {
+      await new Promise(resolve => {
+        const poller = { resolve };
+        poller.timer = setTimeout(() => {
+          pollers.delete(poller);
+          resolve();
+        }, holdMs);
+        pollers.add(poller);
+      });
+    }
+    return takeUpdates(params.offset);
+  }
+
+  function wakePollers() {
+    for (const poller of pollers) {
+      clearTimeout(poller.timer);
+      poller.resolve();
+    }
+    pollers.clear();
+  }
+
+  async function answer(method, params) {
+    const queued = failures.get(method);
+    if (queued?.length > 0) return { ok: false, ...queued.shift() };
+    if (['sendMessage', 'sendPhoto'].includes(method) && chatFailures.has(String(params.chat_id))) {
+      return { ok: false, ...chatFailures.get(String(params.chat_id)) };
+    }
+
+    if (method === 'getMe') return { ok: true, result: { id: 1, is_bot: true, first_name: 'Fake Bot', username } };
+    if (method === 'getUpdates') return { ok: true, result: await getUpdates(params) };
+    if (method === 'getWebhookInfo') return { ok: true, result: { url: '', pending_update_count: 0 } };
+    if (method === 'sendMessage' || method === 'sendPhoto') {
+      return {
+        ok: true,
+        result: {
+          message_id: nextMessageId++,
+          date: Math.floor(Date.now() / 1000),
+          chat: { id: params.chat_id },
+          ...(params.text ? { text: params.text } : {}),
+          ...(params.caption ? { caption: params.caption } : {}),
+        },
+      };
+    }
+    if (TRUE_METHODS.includes(method)) return { ok: true, result: true };
+    return { ok: false, error_code: 404, description: 'Not Found' };
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const match = req.url.match(/^\/bot([^/]+)\/(\w+)/);
+    let data;
+    if (!match) {
+      data = { ok: false, error_code: 404, description: 'Not Found' };
+    } else {
+      const [, token, method] = match;
+      let params = {};
+      try {
+        params = await parseParams(req, await readBody(req));
+      } catch (e) {
+        data = { ok: false, error_code: 400, description: 'Bad Request: invalid JSON' };
+      }
+      if (!data) {
+        record({ token, method, params, at: Date.now() });
+        data = await answer(method, params);
+      }
+    }
+    res.writeHead(data.ok ? 200 : data.error_code || 400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  });
+
+  return {
+    start(port = 0) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+      });
+    },
+
+    calls: method => (method ? calls.filter(call => call.method === method) : calls),
+
+    sent: chatId => sentWith('sendMessage', chatId),
+
+    photos: chatId => sentWith('sendPhoto', chatId),
+
+    queueUpdates(list) {
+      for (const update of list) {
+        const updateId = update.update_id ?? nextUpdateId;
+        nextUpdateId = Math.max(nextUpdateId, updateId + 1);
+        updates.push({ ...update, update_id: updateId });
+      }
+      wakePollers();
+    },
+
+    failNext(method, error) {
+      failures.set(method, [...(failures.get(method) || []), error]);
+    },
+
+    failChat(chatId, error) {
+      chatFailures.set(String(chatId), error);
+    },
+
+    waitFor(method, predicate = () => true, timeoutMs = 5000) {
+      const found = calls.find(call => call.method === method && predicate(call.params));
+      if (found) return Promise.resolve(found);
+      return new Promise((resolve, reject) => {
+        const waiter = { method, predicate, resolve };
+        waiter.timer = setTimeout(() => {
+          waiters = waiters.filter(w => w !== waiter);
+          reject(new Error(`No ${method} call matched within ${timeoutMs}ms`));
+        }, timeoutMs);
+        waiters.push(waiter);
+      });
+    },
+
+    reset() {
+      calls = [];
+      updates = [];
+      failures = new Map();
+      chatFailures = new Map();
+    },
+
+    close() {
+      wakePollers();
+      return new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections?.();
+      });
+    },
+  };
+}
@@ -0,0 +1,340 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { matchValue, compilePattern } from './routing.js';
+
+// Overall alert status, derived from the outcome and per-recipient deliveries
+export const ALERT_STATUSES = ['pending', 'delivered', 'partial', 'failed', 'digest', 'suppressed', 'unrouted', 'rejected'];
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+// New events are appended to the file in batches, at most this often
+const APPEND_DELAY_MS = 500;
+
+const CSV_COLUMNS = [
+  'id', 'receivedAt', 'source', 'dialect', 'ticker', 'action', 'status', 'reason',
+  'recipients', 'delivered', 'failed', 'rawBody',
+];
+
+/**
+ * Status of an alert record.
+ *
+ * Alerts that never reached the queue keep their outcome (suppressed,
+ * unrouted, rejected). Queued alerts are pending until every delivery has
+ * finished, then delivered, failed or partial. Alerts only held for
+ * digests have the "digest" status.
+ */
+export function alertStatus(record) {
+  if (record.outcome) return record.outcome;
+  const deliveries = Object.values(record.deliveries || {});
+  if (deliveries.length === 0) return record.digestChatIds?.length > 0 ? 'digest' : 'unrouted';
+  if (deliveries.some(d => d.status === 'pending')) return 'pending';
+  if (deliveries.every(d => d.status === 'delivered')) return 'delivered';
+  if (deliveries.every(d => d.status === 'failed')) return 'failed';
+  return 'partial';
+}
+
+// Accept ISO dates, plain dates and epoch milliseconds
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+/**
+ * Validate and normalize query parameters for alert searches.
+ * Returns { filters } or { error }.
+ */
+export function parseAlertQuery(query = {}) {
+  const from = parseTime(query.from);
+  const to = parseTime(query.to);
+  if (from === undefined) return { error: `Invalid "from" time: ${query.from}` };
+  if (to === undefined) return { error: `Invalid "to" time: ${query.to}` };
+
+  const statuses = query.status ? String(query.status).split(',').map(s => s.trim()) : [];
+  const unknown = statuses.filter(s => !ALERT_STATUSES.includes(s));
+  if (unknown.length > 0) {
+    return { error: `Unknown status "${unknown.join(', ')}" (expected ${ALERT_STATUSES.join(', ')})` };
+  }
+
+  for (const field of ['ticker', 'action', 'source']) {
+    if (!query[field]) continue;
+    try {
+      compilePattern(query[field]);
+    } catch (e) {
+      return { error: `"${field}": ${e.message}` };
+    }
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+  if (!(limit > 0) || !(offset >= 0)) {
+    return { error: '"limit" must be a positive number and "offset" zero or more' };
+  }
+
+  return {
+    filters: {
+      ticker: query.ticker || null,
+      action: query.action || null,
+      source: query.source || null,
+      chatId: query.chat_id || null,
+      statuses,
+      from,
+      to,
+      limit: Math.min(limit, MAX_PAGE_SIZE),
+      offset,
+    },
+  };
+}
+
+function matchesFilters(record, filters) {
+  const time = Date.parse(record.receivedAt);
+  if (filters.from !== null && time < filters.from) return false;
+  if (filters.to !== null && time > filters.to) return false;
+  if (filters.ticker && !matchValue(filters.ticker, record.ticker)) return false;
+  if (filters.action && !matchValue(filters.action, record.action)) return false;
+  if (filters.source && !matchValue(filters.source, record.source)) return false;
+  if (filters.statuses.length > 0 && !filters.statuses.includes(alertStatus(record))) return false;
+  if (filters.chatId
+    && !Object.values(record.deliveries).some(d => String(d.chatId) === String(filters.chatId))
+    && !(record.digestChatIds || []).includes(String(filters.chatId))) {
+    return false;
+  }
+  return true;
+}
+
+// Public shape of a record: status computed, deliveries as a list
+function present(record) {
+  const { deliveries, outcome, ...rest } = record;
+  return { ...rest, status: alertStatus(record), deliveries: Object.values(deliveries) };
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render alert records (as returned by query) as CSV with a header row.
+ */
+export function alertsToCsv(alerts) {
+  const rows = alerts.map(alert => {
+    const recipients = new Set(alert.deliveries.map(d => d.chatId));
+    const values = {
+      ...alert,
+      recipients: recipients.size,
+      delivered: alert.deliveries.filter(d => d.status === 'delivered').length,
+      failed: alert.deliveries.filter(d => d.status === 'failed').length,
+    };
+    return CSV_COLUMNS.map(column => csvCell(values[column])).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Durable alert history backed by an append-only JSONL file.
+ *
+ * Each received alert is written as an "alert" event, each change to a
+ * recipient's delivery as a "delivery" event and each acknowledgement as an
+ * "ack" event, so the file is only rewritten by compaction. Events are
+ * appended in batches (every APPEND_DELAY_MS, and on flush()), not on the
+ * request path. On startup the events are folded back into records; with
+ * retentionMs set, prune() drops older alerts and compacts the file (on
+ * startup, then whenever it is called).
+ *
+ * Records are kept in the order they were received, and the count of each
+ * status is updated as events come in, so searches walk the records from
+ * the newest and stats() doesn't scan them.
+ */
+export function createAlertHistory({ file, retentionMs = 0 }) {
+  const records = new Map();
+  // Oldest first, the order alerts are received in
+  let ordered = [];
+  const counts = Object.fromEntries(ALERT_STATUSES.map(status => [status, 0]));
+  // Events not written to the file yet
+  let unwritten = [];
+  let appendTimer = null;
+
+  function apply(event) {
+    if (event.event === 'alert') {
+      const { event: type, ...fields } = event;
+      const record = { ...fields, deliveries: fields.deliveries || {}, acks: fields.acks || [] };
+      const previous = records.get(record.id);
+      if (previous) {
+        counts[alertStatus(previous)]--;
+        ordered[ordered.indexOf(previous)] = record;
+      } else {
+        ordered.push(record);
+      }
+      records.set(record.id, record);
+      counts[alertStatus(record)]++;
+    } else if (event.event === 'delivery') {
+      const record = records.get(event.alertId);
+      if (!record) return;
+      const { event: type, alertId, ...delivery } = event;
+      counts[alertStatus(record)]--;
+      record.deliveries[delivery.jobId] = { ...record.deliveries[delivery.jobId], ...delivery };
+      counts[alertStatus(record)]++;
+    } else if (event.event === 'ack') {
+      const record = records.get(event.alertId);
+      if (!record) return;
+      const { event: type, alertId, ...ack } = event;
+      record.acks.push(ack);
+    }
+  }
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    let broken = 0;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        apply(JSON.parse(line));
+      } catch (e) {
+        broken++;
+      }
+    }
+    if (broken > 0) {
+      console.error(`❌ Skipped ${broken} unreadable line(s) in ${file}`);
+    }
+  }
+
+  // Rewrite the file with one event per remaining alert (unwritten events
+  // included, they are already folded into the records)
+  function compact() {
+    const tmp = `${file}.tmp`;
+    const lines = ordered.map(record => JSON.stringify({ event: 'alert', ...record }));
+    fs.writeFileSync(tmp, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(tmp, file);
+    clearTimeout(appendTimer);
+    appendTimer = null;
+    unwritten = [];
+  }
+
+  // Write the unwritten events
+  function flush() {
+    clearTimeout(appendTimer);
+    appendTimer = null;
+    if (unwritten.length === 0) return;
+    const lines = unwritten.join('');
+    unwritten = [];
+    try {
+      fs.appendFileSync(file, lines);
+    } catch (e) {
+      console.error(`❌ Could not write alert history ${file}: ${e.message}`);
+    }
+  }
+
+  function append(event) {
+    unwritten.push(`${JSON.stringify(event)}\n`);
+    if (!appendTimer) appendTimer = setTimeout(flush, APPEND_DELAY_MS);
+    apply(event);
+  }
+
+  /**
+   * Drop alerts older than retentionMs and compact the file when any were
+   * dropped (always on startup). Returns the number of alerts dropped.
+   */
+  function prune({ force = false } = {}) {
+    if (!(retentionMs > 0)) return 0;
+    const cutoff = Date.now() - retentionMs;
+    let expired = 0;
+    while (expired < ordered.length && Date.parse(ordered[expired].receivedAt) < cutoff) {
+      const record = ordered[expired];
+      counts[alertStatus(record)]--;
+      records.delete(record.id);
+      expired++;
+    }
+    if (expired > 0) ordered = ordered.slice(expired);
+    if ((expired > 0 || force) && (fs.existsSync(file) || unwritten.length > 0)) {
+      try {
+        compact();
+      } catch (e) {
+        console.error(`❌ Could not compact alert history ${file}: ${e.message}`);
+      }
+    }
+    return expired;
+  }
+
+  load();
+  prune({ force: true });
+
+  /**
+   * Store a received alert.
+   * entry: { source, dialect, contentType, rawBody, alert, outcome?, reason?, route?, digestChatIds?, replayOf? }
+   * replayOf is the id of the alert this one re-sends from the dashboard.
+   */
+  function record(entry) {
+    const alert = entry.alert;
+    const fields = alert && typeof alert === 'object' ? alert : {};
+    const event = {
+      event: 'alert',
+      id: crypto.randomUUID(),
+      receivedAt: new Date().toISOString(),
+      source: entry.source || null,
+      dialect: entry.dialect || null,
+      contentType: entry.contentType || null,
+      ticker: fields.ticker ? String(fields.ticker).toUpperCase() : null,
+      action: fields.action ? String(fields.action).toUpperCase() : null,
+      rawBody: entry.rawBody ?? null,
+      alert: alert ?? null,
+      route: entry.route || null,
+      reason: entry.reason || null,
+      ...(entry.digestChatIds?.length > 0 ? { digestChatIds: entry.digestChatIds } : {}),
+      ...(entry.replayOf ? { replayOf: entry.replayOf } : {}),
+      ...(entry.outcome ? { outcome: entry.outcome } : {}),
+    };
+    append(event);
+    return present(records.get(event.id));
+  }
+
+  /**
+   * Record a change to one queued message of an alert.
+   * delivery: { jobId, chatId, channel, status, attempts?, error?, part?, parts? }
+   */
+  function recordDelivery(alertId, delivery) {
+    if (!records.has(alertId)) return;
+    append({ event: 'delivery', alertId, ...delivery, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Record that someone acknowledged an alert (the Acknowledge button).
+   * ack: { chatId, by }
+   */
+  function recordAck(alertId, ack) {
+    if (!records.has(alertId)) return;
+    append({ event: 'ack', alertId, ...ack, at: new Date().toISOString() });
+  }
+
+  function get(id) {
+    const record = records.get(id);
+    return record ? present(record) : null;
+  }
+
+  /**
+   * Search alerts, newest first. `filters` comes from parseAlertQuery;
+   * pass paginate: false to get every match (exports).
+   */
+  function query(filters, { paginate = true } = {}) {
+    const start = paginate ? filters.offset : 0;
+    const end = paginate ? filters.offset + filters.limit : Infinity;
+    const page = [];
+    let total = 0;
+    for (let i = ordered.length - 1; i >= 0; i--) {
+      const record = ordered[i];
+      // Everything further back is older still
+      if (filters.from !== null && Date.parse(record.receivedAt) < filters.from) break;
+      if (!matchesFilters(record, filters)) continue;
+      if (total >= start && total < end) page.push(present(record));
+      total++;
+    }
+    return { total, alerts: page };
+  }
+
+  function stats() {
+    return { total: records.size, ...counts };
+  }
+
+  return { record, recordDelivery, recordAck, get, query, stats, prune, flush };
+}
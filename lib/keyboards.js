@@ -0,0 +1,83 @@
+// Buttons that can be attached to alert messages
+export const ALERT_BUTTONS = ['ack', 'mute', 'chart', 'history'];
+
+// How long the "Mute" button silences a ticker
+export const TICKER_MUTE_MS = 60 * 60 * 1000;
+
+// callback_data prefixes (Telegram allows at most 64 bytes of callback data)
+const CALLBACK_ACTIONS = { ack: 'ack', mute: 'mute', history: 'hist' };
+
+/**
+ * Parse a button list like "ack,mute,chart" ("none" or "" for no buttons).
+ * Accepts arrays too (the payload's `buttons` field). Throws on unknown names.
+ */
+export function parseButtonList(value) {
+  if (value === false || value === 'none') return [];
+  const names = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = names.filter(name => !ALERT_BUTTONS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown button "${unknown.join(', ')}" (expected ${ALERT_BUTTONS.join(', ')} or none)`);
+  }
+  return names;
+}
+
+/**
+ * TradingView chart link for an alert's exchange and ticker.
+ */
+export function chartUrl(alert) {
+  const ticker = String(alert.ticker || '').toUpperCase();
+  const symbol = alert.exchange ? `${String(alert.exchange).toUpperCase()}:${ticker}` : ticker;
+  return `https://www.tradingview.com/chart/?symbol=${encodeURIComponent(symbol)}`;
+}
+
+/**
+ * Build the inline keyboard for an alert, or null when no button applies.
+ *
+ * Callback buttons carry the alert's history id; the ticker-based buttons
+ * (mute, chart, history) only appear on alerts that have a ticker.
+ */
+export function buildAlertKeyboard(alert, { alertId, buttons = ALERT_BUTTONS }) {
+  const fields = alert && typeof alert === 'object' ? alert : {};
+  const hasTicker = Boolean(fields.ticker);
+  const ticker = hasTicker ? String(fields.ticker).toUpperCase() : '';
+  const callback = (action, text) => ({ text, callback_data: `${CALLBACK_ACTIONS[action]}:${alertId}` });
+
+  const firstRow = [];
+  const secondRow = [];
+  if (buttons.includes('ack') && alertId) {
+    firstRow.push(callback('ack', '✅ Acknowledge'));
+  }
+  if (buttons.includes('mute') && alertId && hasTicker) {
+    firstRow.push(callback('mute', `🔕 Mute ${ticker} 1h`));
+  }
+  if (buttons.includes('chart') && hasTicker) {
+    secondRow.push({ text: '📈 Open chart', url: chartUrl(fields) });
+  }
+  if (buttons.includes('history') && alertId && hasTicker) {
+    secondRow.push(callback('history', '🕘 Last 5 alerts'));
+  }
+
+  const rows = [firstRow, secondRow].filter(row => row.length > 0);
+  return rows.length > 0 ? { inline_keyboard: rows } : null;
+}
+
+/**
+ * Read a button's callback_data. Returns { action, alertId } or null.
+ */
+export function parseCallbackData(data) {
+  const [prefix, alertId] = String(data || '').split(':');
+  const action = Object.keys(CALLBACK_ACTIONS).find(key => CALLBACK_ACTIONS[key] === prefix);
+  return action && alertId ? { action, alertId } : null;
+}
+
+/**
+ * The same keyboard without its Acknowledge button (once someone has acknowledged).
+ */
+export function withoutAckButton(markup) {
+  const rows = (markup?.inline_keyboard || [])
+    .map(row => row.filter(button => !String(button.callback_data || '').startsWith(`${CALLBACK_ACTIONS.ack}:`)))
+    .filter(row => row.length > 0);
+  return { inline_keyboard: rows };
+}
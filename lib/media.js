@@ -0,0 +1,107 @@
+// Payload fields that attach an image to an alert instead of being shown
+// in the message: a link, base64 data (or a data: URI), or "chart"
+export const MEDIA_FIELDS = ['image_url', 'image_base64', 'chart'];
+
+// Telegram's upload limit for photos
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Image formats Telegram shows as photos, by their first bytes
+const IMAGE_TYPES = [
+  { mimeType: 'image/png', extension: 'png', test: b => b.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])) },
+  { mimeType: 'image/jpeg', extension: 'jpg', test: b => b.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { mimeType: 'image/gif', extension: 'gif', test: b => b.subarray(0, 4).toString('latin1') === 'GIF8' },
+  { mimeType: 'image/webp', extension: 'webp', test: b => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+
+function parseImageUrl(value) {
+  try {
+    const url = new URL(String(value).trim());
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+// What image_base64 is replaced with in the history and logs
+const IMAGE_DATA_MARKER = /^base64 \(\d+ bytes\)$/;
+
+function imageDataText(value) {
+  return String(value).trim().replace(/^data:image\/[\w.+-]+;base64,/i, '').replace(/\s+/g, '');
+}
+
+function imageDataMarker(value) {
+  if (IMAGE_DATA_MARKER.test(value)) return value;
+  return `base64 (${Buffer.byteLength(imageDataText(value).replace(/\\/g, ''), 'base64')} bytes)`;
+}
+
+function parseImageData(value) {
+  const text = imageDataText(value);
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(text)) return { error: 'image_base64 is not base64 data' };
+  const bytes = Buffer.from(text, 'base64');
+  if (bytes.length > MAX_IMAGE_BYTES) return { error: `image_base64 is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB` };
+  const type = IMAGE_TYPES.find(t => t.test(bytes));
+  if (!type) return { error: 'image_base64 is not a PNG, JPEG, GIF or WebP image' };
+  return { media: { data: bytes.toString('base64'), mimeType: type.mimeType, filename: `alert.${type.extension}` } };
+}
+
+/**
+ * Take the media fields off an alert payload. Returns
+ * { alert, media, chart, error }:
+ *
+ * - media: { url } for image_url, { data, mimeType, filename } for
+ *   image_base64 (data is base64), or null
+ * - chart: true/false or a number of points from a boolean or numeric
+ *   "chart" field, null when the alert doesn't say
+ * - error: why an image field was ignored
+ *
+ * Anything else (plain text alerts, a "chart" string) is left alone.
+ */
+export function extractMedia(payload) {
+  const result = { alert: payload, media: null, chart: null, error: null };
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return result;
+
+  const alert = { ...payload };
+  if (typeof alert.chart === 'boolean' || (Number.isInteger(alert.chart) && alert.chart > 1)) {
+    result.chart = alert.chart;
+    delete alert.chart;
+  }
+  // A replay from the history only has the size of the image, not the data
+  if (alert.image_base64 !== undefined && alert.image_base64 !== '' && !IMAGE_DATA_MARKER.test(alert.image_base64)) {
+    const parsed = parseImageData(alert.image_base64);
+    result.media = parsed.media || null;
+    result.error = parsed.error || null;
+  } else if (alert.image_url !== undefined && alert.image_url !== '') {
+    const url = parseImageUrl(alert.image_url);
+    if (url) result.media = { url };
+    else result.error = 'image_url must be an http(s) link';
+  }
+  delete alert.image_url;
+  delete alert.image_base64;
+  result.alert = alert;
+  return result;
+}
+
+/**
+ * Replace image_base64 data with its size, "base64 (N bytes)", in a raw
+ * body (JSON or form-encoded) or a parsed payload, so the history and logs
+ * don't keep the image itself.
+ */
+export function redactMedia(body) {
+  if (typeof body === 'string') {
+    return body
+      .replace(/("image_base64"\s*:\s*)"((?:[^"\\]|\\.)*)"/g, (_, key, value) => `${key}"${imageDataMarker(value)}"`)
+      .replace(/(^|&)(image_base64=)([^&]*)/g, (_, start, key, value) => `${start}${key}${encodeURIComponent(imageDataMarker(decodeFormValue(value)))}`);
+  }
+  if (body && typeof body === 'object' && !Array.isArray(body) && typeof body.image_base64 === 'string' && body.image_base64 !== '') {
+    return { ...body, image_base64: imageDataMarker(body.image_base64) };
+  }
+  return body;
+}
+
+function decodeFormValue(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch {
+    return value;
+  }
+}
@@ -0,0 +1,114 @@
+// Default histogram buckets in seconds (Telegram API calls, long polls up to 30s)
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Prometheus label values escape backslashes, quotes and newlines
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// One series per label combination, keyed by its label text
+function seriesKey(labelNames, labels) {
+  return labelText(Object.fromEntries(labelNames.map(name => [name, labels[name] ?? ''])));
+}
+
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4).
+ *
+ *   counter(name, help, labelNames)    -> { inc(labels, value = 1) }
+ *   gauge(name, help, labelNames)      -> { set(labels, value) }
+ *   gauge(name, help, [], collect)     -> value read from collect() on every scrape
+ *   gauge(name, help, labelNames, collect)
+ *                                      -> collect() returns [{ labels, value }]
+ *   histogram(name, help, labelNames)  -> { observe(labels, seconds) }
+ *   render()                           -> the text a scraper reads from /metrics
+ */
+export function createMetrics() {
+  const metrics = [];
+
+  function register(type, name, help, labelNames, extra = {}) {
+    const metric = { type, name, help, labelNames, series: new Map(), ...extra };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const metric = register('counter', name, help, labelNames);
+    // Counters without labels are exported as 0 before their first increment
+    if (labelNames.length === 0) metric.series.set('', 0);
+    return {
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        metric.series.set(key, (metric.series.get(key) || 0) + value);
+      },
+    };
+  }
+
+  function gauge(name, help, labelNames = [], collect = null) {
+    const metric = register('gauge', name, help, labelNames, { collect });
+    return {
+      set(labels = {}, value) {
+        metric.series.set(seriesKey(labelNames, labels), value);
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = register('histogram', name, help, labelNames, { buckets });
+    return {
+      observe(labels = {}, value) {
+        const key = seriesKey(labelNames, labels);
+        if (!metric.series.has(key)) {
+          const base = Object.fromEntries(labelNames.map(label => [label, labels[label] ?? '']));
+          metric.series.set(key, { labels: base, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const series = metric.series.get(key);
+        buckets.forEach((bound, index) => {
+          if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+      },
+    };
+  }
+
+  function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+    if (metric.type === 'histogram') {
+      for (const { labels: base, counts, sum, count } of metric.series.values()) {
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${metric.name}_bucket${labelText({ ...base, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${labelText({ ...base, le: '+Inf' })} ${count}`);
+        lines.push(`${metric.name}_sum${labelText(base)} ${sum}`);
+        lines.push(`${metric.name}_count${labelText(base)} ${count}`);
+      }
+      return lines;
+    }
+
+    if (metric.collect) {
+      const collected = metric.collect();
+      const series = metric.labelNames.length > 0 ? collected : [{ labels: {}, value: collected }];
+      for (const { labels, value } of series) {
+        if (value !== null && value !== undefined) lines.push(`${metric.name}${seriesKey(metric.labelNames, labels)} ${value}`);
+      }
+      return lines;
+    }
+    for (const [labels, value] of metric.series) {
+      lines.push(`${metric.name}${labels} ${value}`);
+    }
+    return lines;
+  }
+
+  function render() {
+    return `${metrics.flatMap(renderMetric).join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
@@ -0,0 +1,205 @@
+import fs from 'fs';
+import { classifyAction } from './templates.js';
+import { parseDuration } from './subscriptions.js';
+
+// flip: an opposite signal closes the position and opens the other side
+// close: an opposite signal only closes it
+export const PAPER_MODES = ['flip', 'close'];
+
+function toNumber(value) {
+  const n = Number(String(value ?? '').replace(/,/g, '').trim());
+  return value === '' || value === null || value === undefined || Number.isNaN(n) ? null : n;
+}
+
+// Positions are tracked per ticker and indicator, so strategies don't mix
+function positionKey(ticker, indicator) {
+  return `${ticker}|${indicator || '-'}`;
+}
+
+function loadState(file) {
+  const empty = { positions: {}, trades: [], lastPrices: {} };
+  if (!fs.existsSync(file)) return empty;
+  try {
+    return { ...empty, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (e) {
+    console.error(`❌ Could not read paper trading file ${file}: ${e.message}`);
+    return empty;
+  }
+}
+
+/**
+ * Read the trading intent of an alert: { signal, ticker, indicator, price, quantity }
+ * where signal is "long", "short" or "exit", or null when the alert isn't a trade.
+ */
+export function readSignal(alert) {
+  if (!alert || typeof alert !== 'object' || !alert.ticker) return null;
+  const price = toNumber(alert.price);
+  if (price === null || price <= 0) return null;
+
+  const action = String(alert.action || '').toUpperCase();
+  const { isBuy, isSell } = classifyAction(action);
+  const isExit = /\b(EXIT|CLOSE|FLAT)\b/.test(action);
+  const signal = isExit ? 'exit' : isBuy ? 'long' : isSell ? 'short' : null;
+  if (!signal) return null;
+
+  return {
+    signal,
+    ticker: String(alert.ticker).toUpperCase(),
+    indicator: alert.indicator ? String(alert.indicator) : null,
+    price,
+    quantity: toNumber(alert.quantity ?? alert.qty),
+  };
+}
+
+/**
+ * Parse a reporting period: "all" (or nothing), or a duration back from now
+ * like "1d", "7d", "4w". Returns { period: { from, to } } or { error }.
+ */
+export function parsePeriod(value, now = Date.now()) {
+  if (!value || String(value).toLowerCase() === 'all') {
+    return { period: { from: null, to: null } };
+  }
+  const ms = parseDuration(value);
+  if (!ms) return { error: `Invalid period "${value}" (use all, 1d, 7d, 4w...)` };
+  return { period: { from: now - ms, to: null } };
+}
+
+/**
+ * Realized P&L of closing a position at exitPrice.
+ */
+export function positionPnl(position, exitPrice) {
+  const direction = position.side === 'long' ? 1 : -1;
+  const pnl = (exitPrice - position.entryPrice) * position.quantity * direction;
+  const pnlPercent = ((exitPrice - position.entryPrice) / position.entryPrice) * 100 * direction;
+  return { pnl, pnlPercent };
+}
+
+/**
+ * Paper-trading ledger fed by BUY/SELL alerts.
+ *
+ * An entry signal opens a virtual position when the ticker/indicator pair is
+ * flat. The opposite signal closes it (and in "flip" mode opens the other
+ * side); EXIT/CLOSE actions just close it. Repeated signals in the same
+ * direction are ignored. Closed trades keep their realized P&L.
+ *
+ * State (open positions, closed trades, last seen prices) is saved to `file`.
+ */
+export function createPaperLedger({ file, mode = 'flip', defaultQuantity = 1 }) {
+  const state = loadState(file);
+
+  function persist() {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function open(key, { ticker, indicator, price, quantity }, side, at, alertId) {
+    state.positions[key] = {
+      ticker,
+      indicator,
+      side,
+      entryPrice: price,
+      quantity: quantity || defaultQuantity,
+      openedAt: at,
+      alertId: alertId || null,
+    };
+    return state.positions[key];
+  }
+
+  function close(key, price, at, alertId) {
+    const position = state.positions[key];
+    delete state.positions[key];
+    const trade = {
+      ...position,
+      exitPrice: price,
+      closedAt: at,
+      exitAlertId: alertId || null,
+      ...positionPnl(position, price),
+    };
+    state.trades.push(trade);
+    return trade;
+  }
+
+  /**
+   * Apply an alert. Returns { opened, closed } (either may be null), or
+   * null when the alert isn't a trade signal.
+   */
+  function applyAlert(alert, { alertId, at = new Date().toISOString() } = {}) {
+    const signal = readSignal(alert);
+    if (!signal) return null;
+
+    state.lastPrices[signal.ticker] = { price: signal.price, at };
+    const key = positionKey(signal.ticker, signal.indicator);
+    const current = state.positions[key];
+    let opened = null;
+    let closed = null;
+
+    if (signal.signal === 'exit') {
+      if (current) closed = close(key, signal.price, at, alertId);
+    } else if (!current) {
+      opened = open(key, signal, signal.signal, at, alertId);
+    } else if (current.side !== signal.signal) {
+      closed = close(key, signal.price, at, alertId);
+      if (mode === 'flip') opened = open(key, signal, signal.signal, at, alertId);
+    }
+
+    persist();
+    return { opened, closed };
+  }
+
+  /**
+   * Open positions, marked to the last price seen for each ticker.
+   */
+  function positions() {
+    return Object.values(state.positions).map(position => {
+      const last = state.lastPrices[position.ticker];
+      const lastPrice = last ? last.price : position.entryPrice;
+      const { pnl, pnlPercent } = positionPnl(position, lastPrice);
+      return { ...position, lastPrice, unrealizedPnl: pnl, unrealizedPnlPercent: pnlPercent };
+    });
+  }
+
+  /**
+   * Closed trades, optionally limited to those closed between from and to (ms).
+   */
+  function trades({ from = null, to = null } = {}) {
+    return state.trades.filter(trade => {
+      const closedAt = Date.parse(trade.closedAt);
+      return (from === null || closedAt >= from) && (to === null || closedAt <= to);
+    });
+  }
+
+  /**
+   * Realized P&L per ticker/indicator and in total for the given period.
+   */
+  function summary(period = {}) {
+    const groups = new Map();
+    for (const trade of trades(period)) {
+      const key = positionKey(trade.ticker, trade.indicator);
+      if (!groups.has(key)) {
+        groups.set(key, { ticker: trade.ticker, indicator: trade.indicator, trades: 0, wins: 0, losses: 0, pnl: 0, pnlPercent: 0 });
+      }
+      const group = groups.get(key);
+      group.trades++;
+      group.pnl += trade.pnl;
+      group.pnlPercent += trade.pnlPercent;
+      if (trade.pnl > 0) group.wins++;
+      else if (trade.pnl < 0) group.losses++;
+    }
+
+    const strategies = [...groups.values()]
+      .map(group => ({ ...group, winRate: group.wins / group.trades, avgPnlPercent: group.pnlPercent / group.trades }))
+      .sort((a, b) => b.pnl - a.pnl);
+    const total = strategies.reduce((sum, group) => ({
+      trades: sum.trades + group.trades,
+      wins: sum.wins + group.wins,
+      losses: sum.losses + group.losses,
+      pnl: sum.pnl + group.pnl,
+    }), { trades: 0, wins: 0, losses: 0, pnl: 0 });
+    total.winRate = total.trades > 0 ? total.wins / total.trades : 0;
+
+    return { total, strategies: strategies.map(({ pnlPercent, ...rest }) => rest) };
+  }
+
+  return { applyAlert, positions, trades, summary };
+}
@@ -0,0 +1,69 @@
+/**
+ * Helpers for mapping a dialect's field names onto the normalized alert.
+ */
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * The first non-empty value among the given field names.
+ */
+export function pick(fields, names) {
+  for (const name of names) {
+    if (!isEmpty(fields[name])) return fields[name];
+  }
+  return undefined;
+}
+
+/**
+ * A copy of fields without the given names (aliases already mapped).
+ */
+export function omit(fields, names) {
+  const rest = { ...fields };
+  for (const name of names) delete rest[name];
+  return rest;
+}
+
+/**
+ * Split "BINANCE:BTCUSDT" into exchange and ticker.
+ */
+export function splitSymbol(symbol) {
+  const text = String(symbol || '').trim();
+  const separator = text.indexOf(':');
+  if (separator <= 0) return { exchange: undefined, ticker: text.toUpperCase() };
+  return { exchange: text.slice(0, separator).toUpperCase(), ticker: text.slice(separator + 1).toUpperCase() };
+}
+
+/**
+ * Map directional words onto BUY/SELL; anything else is upper-cased as is.
+ */
+export function normalizeAction(value) {
+  if (isEmpty(value)) return undefined;
+  const text = String(value).trim().toUpperCase();
+  if (['BULLISH', 'UP', 'LONG ENTRY', 'ENTER LONG'].includes(text)) return 'BUY';
+  if (['BEARISH', 'DOWN', 'SHORT ENTRY', 'ENTER SHORT'].includes(text)) return 'SELL';
+  return text;
+}
+
+/**
+ * Drop fields that ended up empty, so templates don't show blank lines.
+ */
+export function compact(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => !isEmpty(value)));
+}
+
+/**
+ * Parse a JSON object body. TradingView and most senders post JSON as
+ * text/plain, so strings are parsed too. Returns the object or null.
+ */
+export function asObject(body) {
+  if (body && typeof body === 'object' && !Array.isArray(body)) return body;
+  if (typeof body !== 'string') return null;
+  try {
+    const parsed = JSON.parse(body);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
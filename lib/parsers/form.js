@@ -0,0 +1,47 @@
+import { pick, omit, compact, splitSymbol, normalizeAction } from './fields.js';
+
+const TICKER_FIELDS = ['ticker', 'symbol'];
+const ACTION_FIELDS = ['action', 'side', 'signal'];
+const PRICE_FIELDS = ['price', 'close', 'last'];
+const QUANTITY_FIELDS = ['quantity', 'qty', 'size'];
+const INTERVAL_FIELDS = ['interval', 'timeframe', 'tf'];
+const INDICATOR_FIELDS = ['indicator', 'strategy', 'screener'];
+const NOTE_FIELDS = ['comment', 'message', 'note'];
+
+/**
+ * Form-encoded alerts (application/x-www-form-urlencoded), e.g. from a
+ * screener script: ticker=BTCUSDT&side=buy&price=65000&qty=1
+ */
+export function createFormParser() {
+  return {
+    name: 'form',
+
+    detect: (body, { contentType = '' } = {}) => contentType.includes('x-www-form-urlencoded'),
+
+    parse(body) {
+      const fields = typeof body === 'string'
+        ? Object.fromEntries(new URLSearchParams(body))
+        : { ...body };
+      if (!fields || Object.keys(fields).length === 0) return { error: 'Form body is empty' };
+
+      const symbol = pick(fields, TICKER_FIELDS);
+      if (!symbol) return { error: 'Form alert needs a "ticker" (or "symbol") field' };
+      const { exchange, ticker } = splitSymbol(symbol);
+
+      return {
+        alert: compact({
+          ...omit(fields, [...TICKER_FIELDS, ...ACTION_FIELDS, ...PRICE_FIELDS, ...QUANTITY_FIELDS,
+            ...INTERVAL_FIELDS, ...INDICATOR_FIELDS, ...NOTE_FIELDS]),
+          ticker,
+          exchange: fields.exchange || exchange,
+          action: normalizeAction(pick(fields, ACTION_FIELDS)),
+          price: pick(fields, PRICE_FIELDS),
+          quantity: pick(fields, QUANTITY_FIELDS),
+          interval: pick(fields, INTERVAL_FIELDS),
+          indicator: pick(fields, INDICATOR_FIELDS),
+          comment: pick(fields, NOTE_FIELDS),
+        }),
+      };
+    },
+  };
+}
@@ -0,0 +1,51 @@
+import { createStrategyParser } from './strategy.js';
+import { createTrendSpiderParser } from './trendspider.js';
+import { createFormParser } from './form.js';
+import { createTradingViewParser } from './tradingview.js';
+
+// Used when no other parser recognizes a body
+export const FALLBACK_DIALECT = 'tradingview';
+
+/**
+ * Registry of inbound alert parsers.
+ *
+ * Every parser maps one payload dialect onto the normalized alert that the
+ * rest of the server works with: an object in TradingView field names
+ * (ticker, exchange, action, price, quantity, interval, indicator, time,
+ * comment, plus any extra fields), or a plain-text string.
+ *
+ * Each parser has the same shape:
+ *   name                            dialect name (the /hook/<name> URL)
+ *   detect(body, { contentType })   -> whether the body looks like this dialect
+ *   parse(body)                     -> { alert } or { error }
+ */
+export function createParserRegistry() {
+  const parsers = new Map();
+
+  function register(parser) {
+    parsers.set(parser.name, parser);
+  }
+
+  // Built-ins, in the order they are sniffed
+  [createStrategyParser(), createTrendSpiderParser(), createFormParser(), createTradingViewParser()].forEach(register);
+
+  /**
+   * Parse a request body with the named dialect, or the first one whose
+   * detect() matches. Returns { dialect, alert } or { dialect, error }.
+   */
+  function parse(body, { dialect = null, contentType = '' } = {}) {
+    const parser = dialect
+      ? parsers.get(dialect)
+      : [...parsers.values()].find(p => p.name !== FALLBACK_DIALECT && p.detect(body, { contentType }))
+        || parsers.get(FALLBACK_DIALECT);
+    if (!parser) return { dialect, error: `Unknown alert dialect "${dialect}"` };
+    return { dialect: parser.name, ...parser.parse(body) };
+  }
+
+  return {
+    register,
+    has: name => parsers.has(name),
+    names: () => [...parsers.keys()],
+    parse,
+  };
+}
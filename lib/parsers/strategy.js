@@ -0,0 +1,61 @@
+import { asObject, pick, omit, compact, normalizeAction } from './fields.js';
+
+// Flat names people give the strategy placeholders in their alert message
+const ACTION_FIELDS = ['order_action', 'action'];
+const CONTRACTS_FIELDS = ['contracts', 'order_contracts', 'quantity', 'qty'];
+const POSITION_FIELDS = ['position_size'];
+const MARKET_POSITION_FIELDS = ['market_position'];
+
+function isStrategyAlert(fields) {
+  return Boolean(fields)
+    && ((fields.strategy && typeof fields.strategy === 'object')
+      || [...POSITION_FIELDS, ...MARKET_POSITION_FIELDS, 'order_action', 'order_contracts'].some(name => name in fields));
+}
+
+/**
+ * TradingView strategy alerts, built from {{strategy.order.action}},
+ * {{strategy.order.contracts}}, {{strategy.position_size}} and friends,
+ * either flat ({ "order_action": "buy", "position_size": "0" }) or nested
+ * ({ "strategy": { "order": { "action": "buy" }, "position_size": 0 } }).
+ *
+ * The order action becomes `action` and contracts become `quantity`. An
+ * order that leaves the strategy flat (position size 0 or market position
+ * "flat") is an EXIT; the original order action stays in `order_action`.
+ * A nested `strategy` object is dropped once its values have been mapped.
+ */
+export function createStrategyParser() {
+  return {
+    name: 'strategy',
+
+    detect: body => isStrategyAlert(asObject(body)),
+
+    parse(body) {
+      const fields = asObject(body);
+      if (!fields) return { error: 'Strategy alerts must be a JSON object' };
+
+      const nested = Boolean(fields.strategy) && typeof fields.strategy === 'object';
+      const strategy = nested ? fields.strategy : {};
+      const order = strategy.order && typeof strategy.order === 'object' ? strategy.order : {};
+
+      const orderAction = normalizeAction(pick(fields, ACTION_FIELDS) ?? order.action);
+      if (!fields.ticker) return { error: 'Strategy alert needs a "ticker" ({{ticker}})' };
+      if (!orderAction) return { error: 'Strategy alert needs an order action ({{strategy.order.action}})' };
+
+      const positionSize = pick(fields, POSITION_FIELDS) ?? strategy.position_size;
+      const marketPosition = pick(fields, MARKET_POSITION_FIELDS) ?? strategy.market_position;
+      const isFlat = (positionSize !== undefined && Number(positionSize) === 0)
+        || String(marketPosition || '').toLowerCase() === 'flat';
+
+      return {
+        alert: compact({
+          ...omit(fields, [...ACTION_FIELDS, ...CONTRACTS_FIELDS, ...POSITION_FIELDS, ...(nested ? ['strategy'] : [])]),
+          action: isFlat ? 'EXIT' : orderAction,
+          order_action: orderAction,
+          price: fields.price ?? order.price,
+          quantity: pick(fields, CONTRACTS_FIELDS) ?? order.contracts,
+          position_size: positionSize,
+        }),
+      };
+    },
+  };
+}
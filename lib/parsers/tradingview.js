@@ -0,0 +1,22 @@
+/**
+ * TradingView alerts: a JSON object in TradingView field names (ticker,
+ * action, price...), which is already the normalized shape, or plain text.
+ * This is the fallback for bodies no other dialect recognizes.
+ */
+export function createTradingViewParser() {
+  return {
+    name: 'tradingview',
+
+    detect: () => true,
+
+    parse(body) {
+      if (typeof body !== 'string') return { alert: body };
+      try {
+        const parsed = JSON.parse(body);
+        return { alert: parsed && typeof parsed === 'object' ? parsed : body };
+      } catch (e) {
+        return { alert: body };
+      }
+    },
+  };
+}
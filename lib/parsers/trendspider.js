@@ -0,0 +1,51 @@
+import { asObject, pick, omit, compact, splitSymbol, normalizeAction } from './fields.js';
+
+const SYMBOL_FIELDS = ['symbol', 'ticker'];
+const NAME_FIELDS = ['alert_name', 'name'];
+const PRICE_FIELDS = ['last_price', 'price', 'close'];
+const ACTION_FIELDS = ['action', 'side', 'signal', 'direction'];
+const INTERVAL_FIELDS = ['timeframe', 'interval'];
+const NOTE_FIELDS = ['note', 'alert_note', 'message'];
+const TIME_FIELDS = ['time', 'timestamp'];
+
+/**
+ * TrendSpider webhook alerts: JSON using TrendSpider's names
+ * ({ "symbol": "BINANCE:BTCUSDT", "alert_name": "...", "last_price": ... }).
+ * Directions like "bullish"/"bearish" become BUY/SELL.
+ */
+export function createTrendSpiderParser() {
+  return {
+    name: 'trendspider',
+
+    detect(body, { contentType = '' } = {}) {
+      if (contentType.includes('x-www-form-urlencoded')) return false;
+      const fields = asObject(body);
+      return Boolean(fields) && !fields.ticker && Boolean(fields.symbol)
+        && ['alert_name', 'last_price', 'trendspider'].some(name => name in fields);
+    },
+
+    parse(body) {
+      const fields = asObject(body);
+      if (!fields) return { error: 'TrendSpider alerts must be a JSON object' };
+
+      const symbol = pick(fields, SYMBOL_FIELDS);
+      if (!symbol) return { error: 'TrendSpider alert needs a "symbol" (%symbol%)' };
+      const { exchange, ticker } = splitSymbol(symbol);
+
+      return {
+        alert: compact({
+          ...omit(fields, [...SYMBOL_FIELDS, ...NAME_FIELDS, ...PRICE_FIELDS, ...ACTION_FIELDS,
+            ...INTERVAL_FIELDS, ...NOTE_FIELDS, ...TIME_FIELDS, 'trendspider']),
+          ticker,
+          exchange: fields.exchange || exchange,
+          action: normalizeAction(pick(fields, ACTION_FIELDS)),
+          price: pick(fields, PRICE_FIELDS),
+          interval: pick(fields, INTERVAL_FIELDS),
+          indicator: pick(fields, NAME_FIELDS),
+          comment: pick(fields, NOTE_FIELDS),
+          time: pick(fields, TIME_FIELDS),
+        }),
+      };
+    },
+  };
+}
@@ -0,0 +1,195 @@
+// How a price alert compares the price with its level. The "crosses"
+// conditions need the previous price of the ticker, so they only trigger
+// once a second price has been seen.
+export const PRICE_CONDITIONS = ['>', '>=', '<', '<=', 'crosses', 'crosses above', 'crosses below'];
+
+const ALERT_PATTERN = /^([A-Za-z0-9:._!/-]+?)\s*(>=|<=|>|<|crosses(?:\s+(?:above|below))?)\s*(-?[\d,]*\.?\d+)(?:\s+(.+))?$/i;
+
+/**
+ * A price from a webhook or feed: numbers and numeric strings ("65,000.5").
+ * Returns null for anything else.
+ */
+export function parsePrice(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const n = Number(value.replace(/,/g, '').trim());
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeTicker(ticker) {
+  return String(ticker || '').trim().toUpperCase();
+}
+
+/**
+ * Whether an alert's ticker matches a priced ticker. "BTCUSDT" matches
+ * "BINANCE:BTCUSDT"; two different exchange prefixes don't match.
+ */
+export function sameTicker(a, b) {
+  a = normalizeTicker(a);
+  b = normalizeTicker(b);
+  if (a === b) return true;
+  if (a.includes(':') && b.includes(':')) return false;
+  return a.split(':').pop() === b.split(':').pop();
+}
+
+/**
+ * Parse the arguments of "/alert BTCUSDT > 65000 [note]" or
+ * "/alert NIFTY crosses above 22500". Returns
+ * { alert: { ticker, condition, level, note } } or { error }.
+ */
+export function parsePriceAlert(args) {
+  const text = (Array.isArray(args) ? args.join(' ') : String(args || '')).trim();
+  const match = text.match(ALERT_PATTERN);
+  if (!match) {
+    return { error: 'Use a ticker, a condition and a price, like "BTCUSDT > 65000" or "NIFTY crosses 22500"' };
+  }
+  const [, ticker, rawCondition, rawLevel, note] = match;
+  const level = parsePrice(rawLevel);
+  if (level === null) return { error: `Invalid price "${rawLevel}"` };
+  return {
+    alert: {
+      ticker: normalizeTicker(ticker),
+      condition: rawCondition.toLowerCase().replace(/\s+/g, ' '),
+      level,
+      note: note ? note.trim() : null,
+    },
+  };
+}
+
+/**
+ * Whether a condition holds for a price move from `previous` (null when
+ * unknown) to `price`.
+ */
+export function conditionMet(condition, level, price, previous = null) {
+  switch (condition) {
+    case '>': return price > level;
+    case '>=': return price >= level;
+    case '<': return price < level;
+    case '<=': return price <= level;
+    case 'crosses above': return previous !== null && previous < level && price >= level;
+    case 'crosses below': return previous !== null && previous > level && price <= level;
+    case 'crosses': return previous !== null && ((previous < level && price >= level) || (previous > level && price <= level));
+    default: return false;
+  }
+}
+
+/**
+ * Price alerts set by chats, checked against every price the bot sees.
+ *
+ * - maxPerChat: how many alerts one chat can have at a time
+ * - state: a snapshot() saved earlier, so alerts survive restarts
+ * - onChange(snapshot): called whenever alerts or known prices change
+ *
+ * Alerts are one-shot: check() returns the ones a price triggers and
+ * removes them.
+ */
+export function createPriceAlerts({ maxPerChat = 20, state = null, onChange = () => {} } = {}) {
+  let nextId = state?.nextId || 1;
+  let alerts = Array.isArray(state?.alerts) ? state.alerts : [];
+  // ticker -> { price, at }
+  const lastPrices = new Map(Object.entries(state?.lastPrices || {}));
+
+  function snapshot() {
+    return { nextId, alerts, lastPrices: Object.fromEntries(lastPrices) };
+  }
+
+  function changed() {
+    onChange(snapshot());
+  }
+
+  // Latest price of a ticker, also when the alert has no exchange prefix
+  function lastPrice(ticker) {
+    const exact = lastPrices.get(normalizeTicker(ticker));
+    if (exact) return exact;
+    const matches = [...lastPrices.entries()].filter(([key]) => sameTicker(key, ticker));
+    if (matches.length === 0) return null;
+    return matches.map(([, value]) => value).sort((a, b) => b.at.localeCompare(a.at))[0];
+  }
+
+  function list(chatId) {
+    return chatId === undefined ? alerts : alerts.filter(a => a.chatId === String(chatId));
+  }
+
+  function get(id) {
+    return alerts.find(a => a.id === Number(id)) || null;
+  }
+
+  /**
+   * Add an alert for a chat. Returns { alert } or { error }.
+   */
+  function add(chatId, { ticker, condition, level, note = null }) {
+    if (!PRICE_CONDITIONS.includes(condition)) return { error: `Unknown condition "${condition}"` };
+    if (list(chatId).length >= maxPerChat) {
+      return { error: `You already have ${maxPerChat} price alerts - delete one with /delalert first` };
+    }
+    const alert = {
+      id: nextId++,
+      chatId: String(chatId),
+      ticker: normalizeTicker(ticker),
+      condition,
+      level,
+      note,
+      createdAt: new Date().toISOString(),
+    };
+    alerts = [...alerts, alert];
+    changed();
+    return { alert };
+  }
+
+  /**
+   * Change the condition and level of an alert, and the note when one is
+   * given. Returns the alert, or null when it doesn't exist.
+   */
+  function update(id, { condition, level, note }) {
+    const alert = get(id);
+    if (!alert || !PRICE_CONDITIONS.includes(condition)) return null;
+    const updated = { ...alert, condition, level, ...(note !== undefined ? { note } : {}), updatedAt: new Date().toISOString() };
+    alerts = alerts.map(a => (a === alert ? updated : a));
+    changed();
+    return updated;
+  }
+
+  // Remove one alert; returns it, or null when it doesn't exist
+  function remove(id) {
+    const alert = get(id);
+    if (!alert) return null;
+    alerts = alerts.filter(a => a !== alert);
+    changed();
+    return alert;
+  }
+
+  // Remove every alert of a chat; returns how many there were
+  function removeChat(chatId) {
+    const before = alerts.length;
+    alerts = alerts.filter(a => a.chatId !== String(chatId));
+    if (alerts.length !== before) changed();
+    return before - alerts.length;
+  }
+
+  /**
+   * Record a price and return the alerts it triggers (removed from the
+   * list), each with the price and the previous price it was compared with.
+   */
+  function check(ticker, price, now = new Date()) {
+    const key = normalizeTicker(ticker);
+    if (!key || price === null || price === undefined) return [];
+
+    const triggered = [];
+    for (const alert of alerts) {
+      if (!sameTicker(alert.ticker, key)) continue;
+      const previous = lastPrice(alert.ticker)?.price ?? null;
+      if (conditionMet(alert.condition, alert.level, price, previous)) {
+        triggered.push({ ...alert, price, previous, pricedTicker: key, triggeredAt: now.toISOString() });
+      }
+    }
+    lastPrices.set(key, { price, at: now.toISOString() });
+    if (triggered.length > 0) {
+      const ids = new Set(triggered.map(a => a.id));
+      alerts = alerts.filter(a => !ids.has(a.id));
+    }
+    changed();
+    return triggered;
+  }
+
+  return { list, get, add, update, remove, removeChat, check, lastPrice, snapshot };
+}
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import { parsePrice } from './price-alerts.js';
+import { parseDuration } from './subscriptions.js';
+
+export const PRICE_FEEDS = ['none', 'file'];
+
+/**
+ * Price feed options from the environment (PRICE_FEED and the settings of
+ * that feed). Returns { config } for createPriceFeed, or { error }.
+ */
+export function priceFeedConfigFromEnv(env = process.env) {
+  const type = env.PRICE_FEED || 'none';
+  if (type === 'none') return { config: { type } };
+  if (type === 'file') {
+    if (!env.PRICE_FEED_FILE) return { error: 'PRICE_FEED_FILE is required when PRICE_FEED=file' };
+    const intervalMs = env.PRICE_FEED_INTERVAL === '0' ? 0 : parseDuration(env.PRICE_FEED_INTERVAL || '1s');
+    if (intervalMs === null) {
+      return { error: `PRICE_FEED_INTERVAL must be a duration like 0.5s, 5s or 1m (got "${env.PRICE_FEED_INTERVAL}")` };
+    }
+    return { config: { type, file: env.PRICE_FEED_FILE, intervalMs } };
+  }
+  return { error: `PRICE_FEED must be one of ${PRICE_FEEDS.join(', ')} (got "${type}")` };
+}
+
+/**
+ * One price from a line of a feed file: JSON ({"ticker":"BTCUSDT","price":65000})
+ * or CSV (BTCUSDT,65000). Blank lines, # comments and a CSV header give null.
+ */
+export function parseTickLine(line) {
+  const text = line.trim();
+  if (!text || text.startsWith('#')) return null;
+  if (text.startsWith('{')) {
+    try {
+      const data = JSON.parse(text);
+      const price = parsePrice(data.price ?? data.close);
+      return data.ticker && price !== null ? { ticker: String(data.ticker), price } : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  const [ticker, rawPrice] = text.split(',').map(v => v.trim());
+  const price = parsePrice(rawPrice);
+  return ticker && price !== null ? { ticker, price } : null;
+}
+
+/**
+ * Replay a file of prices, one tick every intervalMs, then keep watching it
+ * for appended lines - so the file can be a recording or written to live by
+ * another process.
+ */
+function createFileFeed({ file, intervalMs = 1000 }) {
+  let timer = null;
+  let position = 0;
+  let partial = '';
+  let pending = [];
+
+  // Read what was added to the file since the last read
+  function readNewLines() {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (e) {
+      return;
+    }
+    if (stat.size < position) {
+      // Truncated or replaced - start over
+      position = 0;
+      partial = '';
+    }
+    if (stat.size === position) return;
+    const fd = fs.openSync(file, 'r');
+    try {
+      const buffer = Buffer.alloc(stat.size - position);
+      fs.readSync(fd, buffer, 0, buffer.length, position);
+      position = stat.size;
+      const lines = (partial + buffer.toString('utf8')).split('\n');
+      partial = lines.pop();
+      for (const line of lines) {
+        const tick = parseTickLine(line);
+        if (tick) pending.push(tick);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  return {
+    type: 'file',
+    describe: () => `${file} every ${intervalMs}ms`,
+
+    start(onPrice) {
+      if (!fs.existsSync(file)) console.warn(`⚠️ Price feed file ${file} does not exist yet`);
+      const step = () => {
+        if (pending.length === 0) readNewLines();
+        // With no interval, everything read so far goes out at once
+        const ticks = intervalMs > 0 ? pending.splice(0, 1) : pending.splice(0);
+        for (const tick of ticks) onPrice(tick);
+        timer = setTimeout(step, intervalMs > 0 ? intervalMs : 250);
+      };
+      step();
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      pending = [];
+    },
+  };
+}
+
+/**
+ * Create a price feed. Every feed has the same shape:
+ *   type               feed name
+ *   describe()         -> text for the startup log
+ *   start(onPrice)     onPrice({ ticker, price }) is called for every price
+ *   stop()
+ *
+ * Returns null for PRICE_FEED=none.
+ */
+export function createPriceFeed({ type = 'none', ...options } = {}) {
+  if (type === 'none') return null;
+  if (type === 'file') return createFileFeed(options);
+  throw new Error(`Unknown price feed "${type}" (use ${PRICE_FEEDS.join(', ')})`);
+}
@@ -0,0 +1,289 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+// Telegram errors that will never succeed on retry
+const PERMANENT_ERROR_CODES = [400, 401, 403, 404];
+
+// Keep the dead-letter list bounded
+const MAX_DEAD_LETTERS = 500;
+
+// Changes other than new messages are written to disk at most this often
+const PERSIST_DELAY_MS = 500;
+
+function loadState(file) {
+  if (!fs.existsSync(file)) {
+    return { pending: [], dead: [] };
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+      pending: Array.isArray(data.pending) ? data.pending : [],
+      dead: Array.isArray(data.dead) ? data.dead : [],
+    };
+  } catch (e) {
+    console.error(`❌ Could not read queue file ${file}: ${e.message}`);
+    return { pending: [], dead: [] };
+  }
+}
+
+/**
+ * Exponential backoff delay for the given attempt number (1-based).
+ */
+export function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  return Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+}
+
+// Dead letters keep the size of an uploaded photo, not its data; a retry
+// sends the caption as text
+function withoutMediaData(job) {
+  const photo = job.payload?.photo;
+  if (!photo?.data) return job;
+  const { data, ...rest } = photo;
+  return { ...job, payload: { ...job.payload, photo: { ...rest, dropped: `base64 (${Buffer.byteLength(data, 'base64')} bytes)` } } };
+}
+
+/**
+ * Persistent outbound delivery queue.
+ *
+ * Messages are written to disk before they are sent, so they survive
+ * restarts. The worker sends them in order per chat, paced globally
+ * (globalRatePerSecond) and per chat (perChatIntervalMs). Failed sends are
+ * retried with exponential backoff; Telegram 429 responses pause that chat for
+ * `retry_after` seconds, up to maxRateLimits times per message. Permanent
+ * failures and messages that run out of attempts are moved to the
+ * dead-letter list, without the data of uploaded photos.
+ *
+ * New messages are written as soon as they are enqueued; other changes
+ * (attempts, deliveries, dead letters) are written in batches, at most every
+ * PERSIST_DELAY_MS and when the queue stops.
+ *
+ * `send(job)` must resolve with a Telegram-style response ({ ok, error_code,
+ * description, parameters }) or throw on network errors.
+ */
+export function createDeliveryQueue({
+  file,
+  send,
+  globalRatePerSecond = 25,
+  perChatIntervalMs = 1000,
+  maxAttempts = 8,
+  maxRateLimits = 20,
+  baseDelayMs = 2000,
+  maxDelayMs = 5 * 60 * 1000,
+  onDelivered = () => {},
+  onRetry = () => {},
+  onDead = () => {},
+}) {
+  const state = loadState(file);
+  const chatReadyAt = new Map();
+  const minGapMs = 1000 / globalRatePerSecond;
+  let lastSendAt = 0;
+  let timer = null;
+  let processing = false;
+  let stopped = true;
+  let persistTimer = null;
+
+  function persist() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, file);
+  }
+
+  function persistSoon() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(() => {
+      try {
+        persist();
+      } catch (e) {
+        console.error(`❌ Could not write queue file ${file}: ${e.message}`);
+      }
+    }, PERSIST_DELAY_MS);
+  }
+
+  function schedule(delayMs) {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(work, Math.max(0, delayMs));
+  }
+
+  // First pending job of each chat, so messages to one chat stay in order
+  function headJobs() {
+    const seen = new Set();
+    const heads = [];
+    for (const job of state.pending) {
+      if (seen.has(job.chatId)) continue;
+      seen.add(job.chatId);
+      heads.push(job);
+    }
+    return heads;
+  }
+
+  function readyAt(job) {
+    return Math.max(job.nextAttemptAt || 0, chatReadyAt.get(job.chatId) || 0);
+  }
+
+  function removePending(job) {
+    state.pending = state.pending.filter(j => j.id !== job.id);
+  }
+
+  function moveToDead(job, error) {
+    removePending(job);
+    state.dead.unshift({ ...withoutMediaData(job), failedAt: new Date().toISOString(), lastError: error });
+    if (state.dead.length > MAX_DEAD_LETTERS) {
+      state.dead.length = MAX_DEAD_LETTERS;
+    }
+    onDead(job, error);
+  }
+
+  async function deliver(job) {
+    const now = Date.now();
+    lastSendAt = now;
+    chatReadyAt.set(job.chatId, now + perChatIntervalMs);
+
+    let response;
+    try {
+      response = await send(job);
+    } catch (e) {
+      response = { ok: false, error_code: null, description: e.message };
+    }
+
+    if (response?.ok) {
+      removePending(job);
+      onDelivered(job, response);
+      return;
+    }
+
+    const code = response?.error_code;
+    const error = response?.description || `Telegram error ${code}`;
+    job.lastError = error;
+    job.lastErrorCode = code ?? null;
+
+    // Rate limited - wait as long as Telegram asks, without using up an
+    // attempt, unless it keeps happening
+    if (code === 429) {
+      job.rateLimits = (job.rateLimits || 0) + 1;
+      if (job.rateLimits >= maxRateLimits) {
+        moveToDead(job, error);
+        return;
+      }
+      const retryAfterMs = (response.parameters?.retry_after || 1) * 1000;
+      chatReadyAt.set(job.chatId, Date.now() + retryAfterMs);
+      job.nextAttemptAt = Date.now() + retryAfterMs;
+      onRetry(job, error, retryAfterMs);
+      return;
+    }
+
+    job.attempts = (job.attempts || 0) + 1;
+    if (PERMANENT_ERROR_CODES.includes(code) || job.attempts >= maxAttempts) {
+      moveToDead(job, error);
+      return;
+    }
+
+    const delay = backoffDelay(job.attempts, baseDelayMs, maxDelayMs);
+    job.nextAttemptAt = Date.now() + delay;
+    onRetry(job, error, delay);
+  }
+
+  async function work() {
+    if (processing || stopped) return;
+    processing = true;
+
+    try {
+      while (!stopped) {
+        const now = Date.now();
+        const heads = headJobs();
+        if (heads.length === 0) break;
+
+        const ready = heads.find(job => readyAt(job) <= now);
+        if (!ready) {
+          schedule(Math.min(...heads.map(readyAt)) - now);
+          break;
+        }
+
+        // Global pacing
+        const wait = lastSendAt + minGapMs - now;
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+          continue;
+        }
+
+        await deliver(ready);
+        persistSoon();
+      }
+    } catch (e) {
+      console.error('❌ Delivery queue error:', e.message);
+      schedule(baseDelayMs);
+    } finally {
+      processing = false;
+    }
+  }
+
+  /**
+   * Add messages to the queue. Each message: { chatId, text, ...extra }.
+   * The jobs are written to disk before this returns. Returns the queued jobs.
+   */
+  function enqueue(messages) {
+    const createdAt = new Date().toISOString();
+    const jobs = messages.map(message => ({
+      id: crypto.randomUUID(),
+      ...message,
+      attempts: 0,
+      nextAttemptAt: 0,
+      createdAt,
+    }));
+    state.pending.push(...jobs);
+    // On disk before the caller is told they are queued
+    persist();
+    schedule(0);
+    return jobs;
+  }
+
+  /**
+   * Move dead letters back into the queue (all of them, or the given ids).
+   */
+  function retryDead(ids) {
+    const retry = ids ? state.dead.filter(j => ids.includes(j.id)) : state.dead;
+    state.dead = state.dead.filter(j => !retry.includes(j));
+    for (const job of retry) {
+      const { failedAt, ...rest } = job;
+      state.pending.push({ ...rest, attempts: 0, rateLimits: 0, nextAttemptAt: 0 });
+    }
+    persistSoon();
+    schedule(0);
+    return retry.length;
+  }
+
+  function stats() {
+    return {
+      pending: state.pending.length,
+      dead: state.dead.length,
+      pausedChats: [...chatReadyAt.entries()].filter(([, at]) => at > Date.now()).length,
+    };
+  }
+
+  function start() {
+    stopped = false;
+    if (state.pending.length > 0) {
+      console.log(`📬 Resuming delivery queue: ${state.pending.length} pending message(s)`);
+    }
+    schedule(0);
+  }
+
+  // Stop sending and write any unsaved changes
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    if (persistTimer) persist();
+  }
+
+  return {
+    enqueue,
+    retryDead,
+    stats,
+    start,
+    stop,
+    pending: () => state.pending,
+    deadLetters: () => state.dead,
+  };
+}
@@ -0,0 +1,146 @@
+import rateLimit, { MemoryStore } from 'express-rate-limit';
+import { parseDuration } from './subscriptions.js';
+
+// Addresses TradingView sends webhook alerts from
+// (https://www.tradingview.com/support/solutions/43000529348/)
+export const TRADINGVIEW_IPS = ['52.89.214.238', '34.212.75.30', '54.218.53.128', '52.32.178.7'];
+
+const IPV4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+function ipv4ToNumber(ip) {
+  const match = IPV4.exec(ip);
+  if (!match) return null;
+  const octets = match.slice(1).map(Number);
+  if (octets.some(o => o > 255)) return null;
+  return octets.reduce((n, o) => n * 256 + o, 0);
+}
+
+/**
+ * An address or IPv4 subnet ("52.89.214.238", "10.0.0.0/8", "::1").
+ * Returns a matcher description, or null when the value is invalid.
+ */
+export function parseIpRange(value) {
+  const [address, bitsText] = String(value || '').trim().split('/');
+  const base = ipv4ToNumber(address);
+  if (base !== null) {
+    const bits = bitsText === undefined ? 32 : Number(bitsText);
+    if (!Number.isInteger(bits) || bits < 0 || bits > 32) return null;
+    const size = 2 ** (32 - bits);
+    return { start: Math.floor(base / size) * size, size };
+  }
+  // IPv6 addresses are only matched exactly
+  return address.includes(':') && bitsText === undefined ? { exact: address.toLowerCase() } : null;
+}
+
+/**
+ * Whether a request address is in one of the ranges (from parseIpRange).
+ * IPv4 addresses mapped to IPv6 ("::ffff:1.2.3.4") count as IPv4.
+ */
+export function ipInRanges(ip, ranges) {
+  const address = String(ip || '').toLowerCase().replace(/^::ffff:(?=\d+\.)/, '');
+  const n = ipv4ToNumber(address);
+  return ranges.some(range => (range.exact
+    ? range.exact === address
+    : n !== null && n >= range.start && n < range.start + range.size));
+}
+
+function windowSetting(value, fallback) {
+  return value === undefined || value === '' ? fallback : parseDuration(value);
+}
+
+/**
+ * Rate limit rules from the settings, in the order they are tried:
+ *
+ * - tradingview: requests from TRADINGVIEW_IPS (TRADINGVIEW_RATE_LIMIT_MAX
+ *   per TRADINGVIEW_RATE_LIMIT_WINDOW, 300 a minute by default)
+ * - one rule per RATE_LIMIT_ROUTES path (a JSON object of path ->
+ *   { window, max }; "/hook/*" matches every path under /hook/). Paths are
+ *   matched without the /tenants/<id> prefix, so a rule covers every bot.
+ * - default: everything else (RATE_LIMIT_MAX per RATE_LIMIT_WINDOW, 30 a
+ *   minute by default)
+ *
+ * A max of 0 turns a rule's limit off.
+ */
+export function rateLimitRulesFromEnv(env = process.env) {
+  const rules = [];
+  const tradingviewIps = env.TRADINGVIEW_IPS !== undefined && env.TRADINGVIEW_IPS !== ''
+    ? env.TRADINGVIEW_IPS.split(',').map(ip => ip.trim()).filter(Boolean)
+    : TRADINGVIEW_IPS;
+  rules.push({
+    name: 'tradingview',
+    windowMs: windowSetting(env.TRADINGVIEW_RATE_LIMIT_WINDOW, 60 * 1000),
+    max: parseInt(env.TRADINGVIEW_RATE_LIMIT_MAX || '300', 10),
+    ips: tradingviewIps.map(parseIpRange).filter(Boolean),
+  });
+  const routes = env.RATE_LIMIT_ROUTES ? JSON.parse(env.RATE_LIMIT_ROUTES) : {};
+  for (const [route, limit] of Object.entries(routes)) {
+    rules.push({
+      name: route,
+      windowMs: windowSetting(limit.window, 60 * 1000),
+      max: Number(limit.max),
+      path: route,
+    });
+  }
+  rules.push({
+    name: 'default',
+    windowMs: windowSetting(env.RATE_LIMIT_WINDOW, 60 * 1000),
+    max: parseInt(env.RATE_LIMIT_MAX || '30', 10),
+  });
+  return rules;
+}
+
+function matchesPath(pattern, requestPath) {
+  return pattern.endsWith('*') ? requestPath.startsWith(pattern.slice(0, -1)) : requestPath === pattern;
+}
+
+/**
+ * Middleware that counts each request against the first rule it matches;
+ * every rule has its own counters. onLimited(rule) is called for every
+ * rejected request. close() stops the counters' cleanup timers.
+ */
+export function createRateLimiter(rules, { onLimited = () => {} } = {}) {
+  const limiters = rules.map(rule => {
+    if (!(rule.max > 0)) return { rule, middleware: null, store: null };
+    const store = new MemoryStore();
+    const middleware = rateLimit({
+      windowMs: rule.windowMs,
+      limit: rule.max,
+      store,
+      message: 'Too many requests, please try again later.',
+      standardHeaders: true,
+      legacyHeaders: false,
+      // Limiters are rebuilt when the config is reloaded, sometimes from a request
+      validate: { creationStack: false },
+      // Health probes come often from the same address
+      skip: req => ['/livez', '/readyz'].includes(req.path),
+      handler: (req, res, next, options) => {
+        onLimited(rule);
+        res.status(options.statusCode).send(options.message);
+      },
+    });
+    return { rule, middleware, store };
+  });
+
+  function pick(req) {
+    const requestPath = req.path.replace(/^\/tenants\/[^/]+(?=\/|$)/, '') || '/';
+    return limiters.find(({ rule }) => {
+      if (rule.ips) return ipInRanges(req.ip, rule.ips);
+      if (rule.path) return matchesPath(rule.path, requestPath);
+      return true;
+    });
+  }
+
+  function limiter(req, res, next) {
+    const { middleware } = pick(req);
+    if (!middleware) return next();
+    return middleware(req, res, next);
+  }
+
+  limiter.describe = () => limiters
+    .map(({ rule }) => `${rule.name} ${rule.max > 0 ? `${rule.max}/${Math.round(rule.windowMs / 1000)}s` : 'off'}`)
+    .join(', ');
+  limiter.close = () => {
+    for (const { store } of limiters) store?.shutdown();
+  };
+  return limiter;
+}
@@ -0,0 +1,339 @@
+import fs from 'fs';
+import { toDestination, validateDestination } from './channels/index.js';
+
+// Alert fields a routing rule can match on
+export const MATCH_FIELDS = ['ticker', 'exchange', 'interval', 'indicator', 'action'];
+
+// Payload fields that only steer delivery and are never shown in the message
+export const ROUTING_FIELDS = ['chat_id', 'chat_ids', 'route'];
+
+// What to do when an alert has no chat_id, route or matching rule
+export const FALLBACK_MODES = ['all', 'default', 'none'];
+
+const EMPTY_CONFIG = { channels: {}, rules: [], fallback: null };
+
+// Compiled "match" patterns of loaded rules (rule -> [[field, test], ...])
+const compiledRules = new WeakMap();
+
+function compileRule(rule) {
+  return Object.entries(rule.match).map(([field, pattern]) => [field, compilePattern(pattern)]);
+}
+
+/**
+ * Load the routing rules file.
+ *
+ * Format:
+ * {
+ *   "channels": {
+ *     "crypto-desk": ["-1001234567890", { "type": "discord", "url": "https://discord.com/api/webhooks/..." }]
+ *   },
+ *   "rules": [
+ *     { "name": "crypto", "match": { "ticker": "*USDT", "exchange": "BINANCE" }, "route": "crypto-desk" },
+ *     { "match": { "action": ["BUY", "SELL"], "interval": "15" }, "chat_ids": ["1168388965"], "template": "compact" }
+ *   ],
+ *   "fallback": "all" | "default" | "none"
+ * }
+ *
+ * Channel members are Telegram chat ids, or destination objects for other
+ * channel types (discord, slack, webhook, email).
+ */
+export function loadRoutingConfig(file) {
+  if (!file || !fs.existsSync(file)) {
+    return { ...EMPTY_CONFIG };
+  }
+
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const config = {
+    channels: raw.channels || {},
+    rules: Array.isArray(raw.rules) ? raw.rules : [],
+    fallback: raw.fallback || null,
+  };
+
+  if (config.fallback && !FALLBACK_MODES.includes(config.fallback)) {
+    throw new Error(`Invalid fallback "${config.fallback}" in ${file} (expected ${FALLBACK_MODES.join(', ')})`);
+  }
+  for (const [name, members] of Object.entries(config.channels)) {
+    for (const member of [].concat(members)) {
+      if (member && typeof member === 'object') {
+        const error = validateDestination(toDestination(member));
+        if (error) throw new Error(`Channel "${name}" in ${file}: ${error}`);
+      }
+    }
+  }
+  for (const [index, rule] of config.rules.entries()) {
+    if (!rule.match || typeof rule.match !== 'object') {
+      throw new Error(`Rule #${index + 1} in ${file} has no "match" object`);
+    }
+    for (const field of Object.keys(rule.match)) {
+      if (!MATCH_FIELDS.includes(field)) {
+        throw new Error(`Rule #${index + 1} in ${file} matches on unknown field "${field}"`);
+      }
+    }
+    try {
+      compiledRules.set(rule, compileRule(rule));
+    } catch (e) {
+      throw new Error(`Rule #${index + 1} in ${file}: ${e.message}`);
+    }
+    if (!rule.route && !rule.chat_id && !rule.chat_ids) {
+      throw new Error(`Rule #${index + 1} in ${file} has no "route" or "chat_ids"`);
+    }
+  }
+
+  return config;
+}
+
+function fileMtime(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch (e) {
+    // File removed or never created - no rules
+    return 0;
+  }
+}
+
+/**
+ * Routing config that is re-read whenever the rules file changes on disk.
+ * Throws when the file is invalid to begin with; later edits that break it
+ * are logged and the last good rules are kept.
+ */
+export function createRoutingStore(file) {
+  let loadedMtime = fileMtime(file);
+  let config;
+  try {
+    config = loadRoutingConfig(file);
+  } catch (e) {
+    throw new Error(`Invalid routing file ${file}: ${e.message}`);
+  }
+
+  function get() {
+    const mtime = fileMtime(file);
+    if (mtime !== loadedMtime) {
+      try {
+        config = loadRoutingConfig(file);
+        if (loadedMtime || mtime) {
+          console.log(`🧭 Loaded routing rules: ${config.rules.length} rules, ${Object.keys(config.channels).length} channels`);
+        }
+      } catch (e) {
+        // Keep the last good config when the file is invalid
+        console.error(`❌ Invalid routing file ${file}: ${e.message}`);
+      }
+      loadedMtime = mtime;
+    }
+    return config;
+  }
+
+  return { get };
+}
+
+/**
+ * Normalize a chat id value (string, number, array or comma separated list)
+ * into an array of string ids.
+ */
+export function toChatIdList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+// Longest "/regex/" pattern accepted
+export const MAX_PATTERN_LENGTH = 200;
+
+// Whether a regex repeats a group that itself repeats ("(a+)+", "(\\w*)*"),
+// which can take exponential time on a value that almost matches
+function hasNestedRepetition(source) {
+  const groups = [false]; // for each open group: does it repeat something inside?
+  const repeats = i => /[*+{]/.test(source[i] || '');
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (c === '\\') {
+      i++;
+      if (repeats(i + 1)) groups[groups.length - 1] = true;
+    } else if (c === '[') {
+      // Skip the character class
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+      if (repeats(i + 1)) groups[groups.length - 1] = true;
+    } else if (c === '(') {
+      groups.push(false);
+    } else if (c === ')' && groups.length > 1) {
+      const inner = groups.pop();
+      if (inner && repeats(i + 1)) return true;
+      if (inner || repeats(i + 1)) groups[groups.length - 1] = true;
+    } else if (repeats(i)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+function compileRegex(body) {
+  if (body.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (/\\[1-9]/.test(body) || hasNestedRepetition(body)) {
+    throw new Error('repeats a repeated group or uses a backreference, which can be very slow');
+  }
+  try {
+    return new RegExp(body, 'i');
+  } catch (e) {
+    throw new Error(e.message);
+  }
+}
+
+/**
+ * Compile a match pattern (see matchValue) into a function of the alert
+ * value. Throws when a "/regex/" is invalid or could be very slow, with the
+ * pattern in the message.
+ */
+export function compilePattern(pattern) {
+  if (Array.isArray(pattern)) {
+    const tests = pattern.map(compilePattern);
+    return value => tests.some(test => test(value));
+  }
+
+  const source = String(pattern);
+  let test;
+  if (source.length > 2 && source.startsWith('/') && source.endsWith('/')) {
+    // "/regex/" patterns
+    let regex;
+    try {
+      regex = compileRegex(source.slice(1, -1));
+    } catch (e) {
+      throw new Error(`Invalid pattern ${source}: ${e.message}`);
+    }
+    test = text => regex.test(text);
+  } else if (source.includes('*')) {
+    // Glob style "*" wildcards, case-insensitive
+    const escaped = source.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    const regex = new RegExp(`^${escaped}$`, 'i');
+    test = text => regex.test(text);
+  } else {
+    const lower = source.toLowerCase();
+    test = text => text.toLowerCase() === lower;
+  }
+  return value => value !== undefined && value !== null && test(String(value));
+}
+
+// Compiled patterns by source, so matchValue doesn't rebuild regexes per alert
+const patternCache = new Map();
+const PATTERN_CACHE_SIZE = 500;
+
+/**
+ * Match a single alert value against a pattern: a plain string, a list of
+ * alternatives, a "*" wildcard or a "/regex/". Comparison is case-insensitive.
+ * An invalid pattern matches nothing.
+ */
+export function matchValue(pattern, value) {
+  if (Array.isArray(pattern)) {
+    return pattern.some(p => matchValue(p, value));
+  }
+  const source = String(pattern);
+  let test = patternCache.get(source);
+  if (!test) {
+    try {
+      test = compilePattern(source);
+    } catch (e) {
+      test = () => false;
+    }
+    if (patternCache.size >= PATTERN_CACHE_SIZE) patternCache.delete(patternCache.keys().next().value);
+    patternCache.set(source, test);
+  }
+  return test(value);
+}
+
+/**
+ * Check whether an alert matches every field of a rule's "match" object.
+ * Rules from loadRoutingConfig use the patterns compiled when it loaded.
+ */
+export function ruleMatches(rule, alert) {
+  const compiled = compiledRules.get(rule);
+  if (!compiled) {
+    return Object.entries(rule.match).every(([field, pattern]) => matchValue(pattern, alert[field]));
+  }
+  return compiled.every(([field, test]) => test(alert[field]));
+}
+
+// Expand named channels into Telegram chat ids and other-channel endpoints
+function expandRoutes(routes, config, unknown, endpoints) {
+  const ids = [];
+  for (const name of toChatIdList(routes)) {
+    if (!config.channels[name]) {
+      unknown.push(name);
+      continue;
+    }
+    for (const member of [].concat(config.channels[name])) {
+      if (member && typeof member === 'object') {
+        endpoints.push(member);
+      } else {
+        ids.push(...toChatIdList(member));
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Work out which chat IDs an alert should be delivered to.
+ *
+ * Order of precedence:
+ *  1. explicit `chat_id` / `chat_ids` in the payload
+ *  2. named `route` in the payload (a channel from the rules file)
+ *  3. every rule whose "match" fits the alert
+ *  4. the fallback: all registered chats, DEFAULT_CHAT_ID, or nobody
+ *
+ * Returns { chatIds, endpoints, reason, rules, template, unknownRoutes }.
+ * `endpoints` are non-Telegram destinations from named channels; `template`
+ * is the first matching rule's template, if any.
+ */
+export function resolveRecipients(alert, { config, fallback, defaultChatId, allChatIds }) {
+  const unknownRoutes = [];
+  const endpoints = [];
+  const payload = alert && typeof alert === 'object' ? alert : {};
+
+  const explicit = [...toChatIdList(payload.chat_id), ...toChatIdList(payload.chat_ids)];
+  if (explicit.length > 0) {
+    return { chatIds: [...new Set(explicit)], reason: 'chat_id', rules: [], template: null, endpoints, unknownRoutes };
+  }
+
+  if (payload.route) {
+    const routed = expandRoutes(payload.route, config, unknownRoutes, endpoints);
+    return { chatIds: [...new Set(routed)], reason: 'route', rules: [], template: null, endpoints, unknownRoutes };
+  }
+
+  const matched = config.rules.filter(rule => ruleMatches(rule, payload));
+  if (matched.length > 0) {
+    const ids = [];
+    for (const rule of matched) {
+      ids.push(...toChatIdList(rule.chat_id), ...toChatIdList(rule.chat_ids));
+      if (rule.route) ids.push(...expandRoutes(rule.route, config, unknownRoutes, endpoints));
+    }
+    return {
+      chatIds: [...new Set(ids)],
+      reason: 'rules',
+      rules: matched.map(rule => rule.name || `rule-${config.rules.indexOf(rule) + 1}`),
+      template: matched.find(rule => rule.template)?.template || null,
+      endpoints,
+      unknownRoutes,
+    };
+  }
+
+  const mode = config.fallback || fallback;
+  if (mode === 'default') {
+    return { chatIds: toChatIdList(defaultChatId), reason: 'default', rules: [], template: null, endpoints, unknownRoutes };
+  }
+  if (mode === 'none') {
+    return { chatIds: [], reason: 'none', rules: [], template: null, endpoints, unknownRoutes };
+  }
+  return { chatIds: [...allChatIds], reason: 'all', rules: [], template: null, endpoints, unknownRoutes };
+}
+
+/**
+ * Remove routing-only fields from a payload before it is formatted.
+ */
+export function stripRoutingFields(alert) {
+  if (!alert || typeof alert !== 'object' || Array.isArray(alert)) return alert;
+  const rest = { ...alert };
+  for (const field of ROUTING_FIELDS) delete rest[field];
+  return rest;
+}
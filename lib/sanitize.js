@@ -0,0 +1,239 @@
+// Telegram rejects messages longer than this (after entity parsing)
+export const TELEGRAM_MESSAGE_LIMIT = 4096;
+// Telegram's limit for photo captions
+export const TELEGRAM_CAPTION_LIMIT = 1024;
+
+// Tags Telegram's HTML parse mode understands, with the attributes each may keep
+const ALLOWED_TAGS = {
+  b: [], strong: [], i: [], em: [], u: [], ins: [], s: [], strike: [], del: [],
+  'tg-spoiler': [], span: ['class'], a: ['href'], code: ['class'], pre: [],
+  blockquote: ['expandable'], 'tg-emoji': ['emoji-id'],
+};
+
+const SAFE_URL = /^(https?:|tg:|mailto:)/i;
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s[^<>]*?)?)\s*\/?>/g;
+const ENTITY_PATTERN = /&(?:[a-zA-Z]+|#\d+|#x[0-9a-fA-F]+);/y;
+
+/**
+ * Escape a value for Telegram's HTML parse mode.
+ * Telegram only requires &, < and > to be escaped; quotes are escaped too so
+ * values are also safe inside attributes like <a href="...">.
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Escape text but keep entities that are already valid (&amp;, &#36;...)
+function escapeText(text) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '&') {
+      ENTITY_PATTERN.lastIndex = i;
+      const entity = ENTITY_PATTERN.exec(text);
+      if (entity) {
+        out += entity[0];
+        i += entity[0].length - 1;
+      } else {
+        out += '&amp;';
+      }
+    } else if (char === '<') {
+      out += '&lt;';
+    } else if (char === '>') {
+      out += '&gt;';
+    } else {
+      out += char;
+    }
+  }
+  return out;
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([a-zA-Z][\w-]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  for (const match of source.matchAll(pattern)) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attributes;
+}
+
+// Rebuild an allowed opening tag with only the attributes Telegram accepts
+function buildOpeningTag(name, attributeSource) {
+  const attributes = parseAttributes(attributeSource);
+  let tag = `<${name}`;
+
+  for (const attribute of ALLOWED_TAGS[name]) {
+    if (!(attribute in attributes)) continue;
+    const value = attributes[attribute];
+
+    if (name === 'a' && attribute === 'href' && !SAFE_URL.test(value.trim())) continue;
+    if (name === 'span' && value !== 'tg-spoiler') continue;
+    if (name === 'code' && !/^language-[\w+-]+$/.test(value)) continue;
+
+    tag += attribute === 'expandable' ? ' expandable' : ` ${attribute}="${escapeHtml(value)}"`;
+  }
+
+  // <a> without a usable link, or a plain <span>, means nothing to Telegram
+  if ((name === 'a' && !tag.includes('href=')) || (name === 'span' && !tag.includes('class='))) {
+    return null;
+  }
+  return `${tag}>`;
+}
+
+/**
+ * Repair user-provided HTML so Telegram accepts it.
+ *
+ * - tags outside Telegram's allowed set are shown as literal text
+ * - disallowed attributes are dropped, <br> becomes a newline
+ * - stray "<", ">" and "&" are escaped
+ * - unclosed tags are closed and stray closing tags are dropped
+ */
+export function sanitizeTelegramHtml(html) {
+  const source = String(html ?? '');
+  const stack = [];
+  let out = '';
+  let last = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    out += escapeText(source.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    const [raw, closing, rawName, attributeSource] = match;
+    const name = rawName.toLowerCase();
+
+    if (name === 'br') {
+      out += '\n';
+      continue;
+    }
+    if (!ALLOWED_TAGS[name]) {
+      out += escapeHtml(raw);
+      continue;
+    }
+
+    if (closing) {
+      const index = stack.map(t => t.name).lastIndexOf(name);
+      if (index < 0) continue; // stray closing tag
+      // Close anything still open inside it
+      while (stack.length > index) {
+        out += `</${stack.pop().name}>`;
+      }
+      continue;
+    }
+
+    const tag = buildOpeningTag(name, attributeSource);
+    if (!tag) continue;
+    stack.push({ name, tag });
+    out += tag;
+  }
+
+  out += escapeText(source.slice(last));
+  while (stack.length > 0) {
+    out += `</${stack.pop().name}>`;
+  }
+  return out;
+}
+
+/**
+ * Turn Telegram HTML into plain text (used when Telegram rejects the HTML).
+ */
+export function htmlToPlainText(html) {
+  return String(html ?? '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, (m, href, text) => (text === href ? text : `${text} (${href})`))
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// Find a good place to cut text so it fits in `room` characters
+function findCut(text, room) {
+  const window = text.slice(0, room);
+  let cut = window.lastIndexOf('\n');
+  if (cut <= 0) cut = window.lastIndexOf(' ');
+  if (cut <= 0) cut = room;
+
+  // Don't cut inside an entity like &amp;
+  const amp = text.lastIndexOf('&', cut - 1);
+  if (amp >= 0 && !text.slice(amp, cut).includes(';') && cut - amp < 12) cut = amp;
+
+  // Don't cut a surrogate pair (emoji) in half
+  const code = text.charCodeAt(cut - 1);
+  if (code >= 0xd800 && code <= 0xdbff) cut -= 1;
+
+  return Math.max(cut, 1);
+}
+
+/**
+ * Split sanitized Telegram HTML into messages of at most `limit` characters
+ * (`firstLimit` for the first one, e.g. a photo caption). Prefers line
+ * breaks, then spaces. Tags open at a split are closed at the end of one
+ * part and reopened at the start of the next.
+ */
+export function splitMessage(html, limit = TELEGRAM_MESSAGE_LIMIT, firstLimit = limit) {
+  if (html.length <= firstLimit) return [html];
+
+  const chunks = [];
+  const nextLimit = limit;
+  limit = firstLimit;
+  const stack = [];
+  const closingTags = () => stack.slice().reverse().map(t => `</${t.name}>`).join('');
+  const openingTags = () => stack.map(t => t.tag).join('');
+  let current = '';
+
+  const flush = () => {
+    if (current !== openingTags()) {
+      chunks.push(current + closingTags());
+      limit = nextLimit;
+    }
+    current = openingTags();
+  };
+
+  for (const token of html.match(/<[^>]*>|[^<]+/g) || []) {
+    if (token.startsWith('<')) {
+      if (current.length + token.length + closingTags().length > limit) flush();
+      current += token;
+      if (token.startsWith('</')) {
+        stack.pop();
+      } else {
+        stack.push({ name: token.slice(1).split(/[\s>]/)[0], tag: token });
+      }
+      continue;
+    }
+
+    let text = token;
+    while (text) {
+      const room = limit - current.length - closingTags().length;
+      if (text.length <= room) {
+        current += text;
+        break;
+      }
+      if (current !== openingTags() && room < limit / 4) {
+        // Not much space left - start a new part instead of a tiny fragment
+        flush();
+        continue;
+      }
+      const cut = findCut(text, Math.max(room, 1));
+      current += text.slice(0, cut);
+      text = text.slice(cut).replace(/^[\n ]/, '');
+      flush();
+    }
+  }
+
+  if (current !== openingTags()) chunks.push(current + closingTags());
+  return chunks;
+}
+
+/**
+ * Sanitize and split a message for sending.
+ */
+export function prepareTelegramHtml(html, limit = TELEGRAM_MESSAGE_LIMIT, firstLimit = limit) {
+  return splitMessage(sanitizeTelegramHtml(html), limit, firstLimit);
+}
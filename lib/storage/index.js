@@ -0,0 +1,103 @@
+import { createJsonBackend } from './json.js';
+import { createSqliteBackend } from './sqlite.js';
+import { createRedisBackend } from './redis.js';
+
+export const STORAGE_BACKENDS = ['json', 'sqlite', 'redis'];
+
+// What the bot keeps in storage: the chats (with their subscriptions and
+// digest settings), the last processed Telegram update, dedup state, the
+// chats' price alerts and the order executor's positions
+export const STORAGE_KEYS = ['subscribers', 'telegramOffset', 'dedup', 'priceAlerts', 'executor'];
+
+/**
+ * Storage options from the environment (STORAGE_BACKEND and the settings of
+ * that backend). Returns { config } for createStorage, or { error }.
+ */
+export function storageConfigFromEnv(env = process.env) {
+  const backend = env.STORAGE_BACKEND || 'json';
+  if (backend === 'json') {
+    return {
+      config: {
+        backend,
+        files: {
+          subscribers: env.CHAT_IDS_FILE || './chat_ids.json',
+          telegramOffset: env.TELEGRAM_OFFSET_FILE || './telegram_offset.json',
+          dedup: env.DEDUP_STATE_FILE || './dedup_state.json',
+          priceAlerts: env.PRICE_ALERTS_FILE || './price_alerts.json',
+          executor: env.EXECUTOR_FILE || './executor_state.json',
+        },
+      },
+    };
+  }
+  if (backend === 'sqlite') {
+    return { config: { backend, file: env.SQLITE_FILE || './tvbot.db' } };
+  }
+  if (backend === 'redis') {
+    if (!env.REDIS_URL) return { error: 'REDIS_URL is required when STORAGE_BACKEND=redis' };
+    return { config: { backend, url: env.REDIS_URL, prefix: env.REDIS_PREFIX || 'tvbot:' } };
+  }
+  return { error: `STORAGE_BACKEND must be one of ${STORAGE_BACKENDS.join(', ')} (got "${backend}")` };
+}
+
+/**
+ * Open a storage backend and load everything it holds.
+ *
+ * options: { backend, files } for json, { backend, file } for sqlite,
+ * { backend, url, prefix } for redis.
+ *
+ * Reads come from memory, so callers stay synchronous:
+ *   get(key)          -> the stored value (undefined when never saved)
+ *   set(key, value)   -> updates memory and queues the write
+ *   flush()           -> resolves once every queued write is done
+ *   close()           -> flushes and closes the backend
+ *
+ * Writes run one at a time, and only the latest value of a key that changed
+ * again while waiting is written.
+ */
+export async function createStorage({ backend = 'json', ...options }) {
+  let driver;
+  if (backend === 'json') driver = createJsonBackend(options);
+  else if (backend === 'sqlite') driver = await createSqliteBackend(options);
+  else if (backend === 'redis') driver = await createRedisBackend(options);
+  else throw new Error(`Unknown storage backend "${backend}" (use ${STORAGE_BACKENDS.join(', ')})`);
+
+  const values = new Map(Object.entries(await driver.loadAll()));
+  const dirty = new Map();
+  let writing = Promise.resolve();
+
+  async function writeDirty() {
+    for (const [key, value] of dirty) {
+      dirty.delete(key);
+      try {
+        await driver.write(key, value);
+      } catch (e) {
+        console.error(`❌ Could not save "${key}" to ${driver.name} storage: ${e.message}`);
+      }
+    }
+  }
+
+  function set(key, value) {
+    values.set(key, value);
+    const queued = dirty.size > 0;
+    dirty.set(key, value);
+    if (!queued) writing = writing.then(writeDirty);
+  }
+
+  function flush() {
+    return writing;
+  }
+
+  async function close() {
+    await flush();
+    await driver.close();
+  }
+
+  return {
+    backend: driver.name,
+    describe: driver.describe,
+    get: key => values.get(key),
+    set,
+    flush,
+    close,
+  };
+}
@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * JSON file backend: one file per key, e.g. { subscribers: './chat_ids.json' }.
+ *
+ * Writes go to a temporary file that is then renamed over the old one, so a
+ * crash mid-write leaves the previous version intact.
+ */
+export function createJsonBackend({ files }) {
+  function fileFor(key) {
+    const file = files[key];
+    if (!file) throw new Error(`No JSON file configured for "${key}"`);
+    return file;
+  }
+
+  async function loadAll() {
+    const values = {};
+    for (const [key, file] of Object.entries(files)) {
+      if (!fs.existsSync(file)) continue;
+      try {
+        values[key] = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      } catch (e) {
+        console.error(`❌ Could not read ${file}: ${e.message}`);
+      }
+    }
+    return values;
+  }
+
+  async function write(key, value) {
+    const file = fileFor(key);
+    const tmp = `${file}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tmp, JSON.stringify(value, null, 2));
+    await fs.promises.rename(tmp, file);
+  }
+
+  return {
+    name: 'json',
+    describe: () => Object.values(files).join(', '),
+    loadAll,
+    write,
+    close: async () => {},
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Redis backend: all keys are fields of one hash (`${prefix}state`), each
+ * holding its JSON value, so several bots can share a server with different
+ * prefixes.
+ */
+export async function createRedisBackend({ url, prefix = 'tvbot:' }) {
+  let createClient;
+  try {
+    ({ createClient } = await import('redis'));
+  } catch (e) {
+    throw new Error('STORAGE_BACKEND=redis needs the redis package (npm install redis)');
+  }
+
+  const hash = `${prefix}state`;
+  let connected = false;
+  const client = createClient({
+    url,
+    // Fail at startup instead of retrying forever; reconnect once we were up
+    socket: { reconnectStrategy: retries => (connected ? Math.min(retries * 100, 3000) : new Error('Could not connect to Redis')) },
+  });
+  client.on('error', e => console.error(`❌ Redis error: ${e.message}`));
+  await client.connect();
+  connected = true;
+
+  async function loadAll() {
+    const values = {};
+    for (const [key, value] of Object.entries(await client.hGetAll(hash))) {
+      try {
+        values[key] = JSON.parse(value);
+      } catch (e) {
+        console.error(`❌ Could not read "${key}" from Redis ${hash}: ${e.message}`);
+      }
+    }
+    return values;
+  }
+
+  async function write(key, value) {
+    await client.hSet(hash, key, JSON.stringify(value));
+  }
+
+  return {
+    name: 'redis',
+    // Never print the password part of the URL
+    describe: () => `${url.replace(/\/\/[^@/]*@/, '//***@')} (${hash})`,
+    loadAll,
+    write,
+    close: () => client.quit(),
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * SQLite backend (better-sqlite3): every key is a row in a key/value table
+ * holding its JSON value. WAL mode keeps readers and the writer apart.
+ */
+export async function createSqliteBackend({ file }) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (e) {
+    throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS kv (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+  const selectAll = db.prepare('SELECT key, value FROM kv');
+  const upsert = db.prepare(`INSERT INTO kv (key, value, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`);
+
+  async function loadAll() {
+    const values = {};
+    for (const row of selectAll.all()) {
+      try {
+        values[row.key] = JSON.parse(row.value);
+      } catch (e) {
+        console.error(`❌ Could not read "${row.key}" from ${file}: ${e.message}`);
+      }
+    }
+    return values;
+  }
+
+  async function write(key, value) {
+    upsert.run(key, JSON.stringify(value), new Date().toISOString());
+  }
+
+  return {
+    name: 'sqlite',
+    describe: () => file,
+    loadAll,
+    write,
+    close: async () => db.close(),
+  };
+}
@@ -0,0 +1,182 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { parseDuration } from './subscriptions.js';
+import { validateDigestSettings, parseDigestSchedule } from './digests.js';
+
+// pending: waiting for an owner, approved: receives alerts,
+// blocked: ignored by the bot, inactive: the user blocked the bot
+export const SUBSCRIBER_STATUSES = ['pending', 'approved', 'blocked', 'inactive'];
+export const SUBSCRIBER_ROLES = ['subscriber', 'owner'];
+
+// open: every new chat is approved (the old behaviour), manual: owners approve
+export const APPROVAL_MODES = ['manual', 'open'];
+
+// Fields the REST API may set on a subscriber
+const EDITABLE_FIELDS = ['username', 'status', 'role', 'timezone', 'locale', 'subscriptions', 'digest', 'type', 'url', 'to', 'secret'];
+
+/**
+ * Status of a chat entry. Entries saved before approval existed count as approved.
+ */
+export function subscriberStatus(chat) {
+  return chat?.status || 'approved';
+}
+
+/**
+ * Whether alerts and broadcasts should go to this chat.
+ */
+export function canReceiveAlerts(chat) {
+  return subscriberStatus(chat) === 'approved';
+}
+
+/**
+ * Parse OWNER_CHAT_IDS ("123,456") into a list of chat ids.
+ */
+export function loadOwnerIds(value = process.env.OWNER_CHAT_IDS) {
+  return String(value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Validate a subscriber create/update body from the REST API.
+ * Returns { changes } with only the editable fields, or { error }.
+ */
+export function validateSubscriberChanges(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Body must be a JSON object' };
+  }
+
+  const changes = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (field in body) changes[field] = body[field];
+  }
+
+  if ('status' in changes && !SUBSCRIBER_STATUSES.includes(changes.status)) {
+    return { error: `status must be one of ${SUBSCRIBER_STATUSES.join(', ')}` };
+  }
+  if ('role' in changes && !SUBSCRIBER_ROLES.includes(changes.role)) {
+    return { error: `role must be one of ${SUBSCRIBER_ROLES.join(', ')}` };
+  }
+  if ('timezone' in changes) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: changes.timezone });
+    } catch (e) {
+      return { error: `Unknown timezone "${changes.timezone}"` };
+    }
+  }
+  if ('locale' in changes) {
+    try {
+      [changes.locale] = Intl.getCanonicalLocales(changes.locale);
+    } catch (e) {
+      return { error: `Invalid locale "${changes.locale}"` };
+    }
+  }
+  if ('subscriptions' in changes) {
+    const sub = changes.subscriptions;
+    if (!sub || typeof sub !== 'object' || Array.isArray(sub)) {
+      return { error: 'subscriptions must be an object' };
+    }
+    if ('tickers' in sub && !Array.isArray(sub.tickers)) {
+      return { error: 'subscriptions.tickers must be an array' };
+    }
+    if ('filters' in sub && (!sub.filters || typeof sub.filters !== 'object')) {
+      return { error: 'subscriptions.filters must be an object' };
+    }
+  }
+  if ('digest' in changes) {
+    const error = validateDigestSettings(changes.digest);
+    if (error) return { error };
+    const { mode, schedule } = changes.digest;
+    changes.digest = {
+      ...(mode ? { mode } : {}),
+      ...(schedule ? { schedule: parseDigestSchedule(schedule).schedule } : {}),
+    };
+  }
+
+  return { changes };
+}
+
+/**
+ * Invite codes that approve a chat when redeemed (/join CODE, or the
+ * t.me/<bot>?start=CODE deep link).
+ *
+ * Invites are stored in `file` as a JSON array. Each has a number of uses
+ * (0 = unlimited) and an optional expiry.
+ */
+export function createInviteStore(file) {
+  let invites = [];
+  if (fs.existsSync(file)) {
+    try {
+      invites = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      console.error(`❌ Could not read invites file ${file}: ${e.message}`);
+    }
+  }
+
+  // Write to a temporary file and rename it, so a crash mid-write leaves the
+  // previous invites intact
+  function persist() {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(invites, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function isUsable(invite, now = Date.now()) {
+    if (invite.expiresAt && new Date(invite.expiresAt).getTime() <= now) return false;
+    return invite.maxUses === 0 || invite.uses < invite.maxUses;
+  }
+
+  /**
+   * Create an invite. expiresIn is a duration like "7d" (optional).
+   * Returns { invite } or { error }.
+   */
+  function create({ maxUses = 1, expiresIn, createdBy = 'admin' } = {}) {
+    const uses = parseInt(maxUses, 10);
+    if (!(uses >= 0)) {
+      return { error: 'maxUses must be 0 (unlimited) or more' };
+    }
+    let expiresAt = null;
+    if (expiresIn) {
+      const ms = parseDuration(expiresIn);
+      if (!ms) return { error: `Invalid expiry "${expiresIn}" (use 30m, 12h, 7d...)` };
+      expiresAt = new Date(Date.now() + ms).toISOString();
+    }
+
+    const invite = {
+      code: crypto.randomBytes(6).toString('base64url'),
+      maxUses: uses,
+      uses: 0,
+      usedBy: [],
+      expiresAt,
+      createdBy,
+      createdAt: new Date().toISOString(),
+    };
+    invites.push(invite);
+    persist();
+    return { invite };
+  }
+
+  /**
+   * Use an invite for a chat. Returns true when the code was valid.
+   */
+  function redeem(code, chatId) {
+    const invite = invites.find(i => i.code === code);
+    if (!invite || !isUsable(invite)) return false;
+    invite.uses++;
+    invite.usedBy.push(chatId);
+    persist();
+    return true;
+  }
+
+  function revoke(code) {
+    const before = invites.length;
+    invites = invites.filter(i => i.code !== code);
+    if (invites.length === before) return false;
+    persist();
+    return true;
+  }
+
+  function list() {
+    return invites.map(invite => ({ ...invite, usable: isUsable(invite) }));
+  }
+
+  return { create, redeem, revoke, list };
+}
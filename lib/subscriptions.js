@@ -0,0 +1,152 @@
+import { matchValue, compilePattern, MATCH_FIELDS } from './routing.js';
+import { escapeHtml } from './sanitize.js';
+
+// A mute without a duration lasts until /unmute
+export const MUTE_FOREVER = 'forever';
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration like "30s", "30m", "2h", "1d" or "1w" into milliseconds.
+ * A bare number is read as minutes. Returns null when it can't be parsed.
+ */
+export function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhdw]?)$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  const unit = (match[2] || 'm').toLowerCase();
+  return amount > 0 ? amount * DURATION_UNITS[unit] : null;
+}
+
+/**
+ * Get a chat's subscription settings, with defaults filled in.
+ */
+export function getSubscription(chat) {
+  const sub = chat?.subscriptions || {};
+  return {
+    tickers: Array.isArray(sub.tickers) ? sub.tickers : [],
+    filters: sub.filters && typeof sub.filters === 'object' ? sub.filters : {},
+    mutedUntil: sub.mutedUntil || null,
+    mutedTickers: sub.mutedTickers && typeof sub.mutedTickers === 'object' ? sub.mutedTickers : {},
+  };
+}
+
+/**
+ * Whether one ticker is muted for a chat (the "Mute ticker" alert button).
+ */
+export function isTickerMuted(chat, ticker, now = Date.now()) {
+  if (!ticker) return false;
+  const until = getSubscription(chat).mutedTickers[String(ticker).toUpperCase()];
+  return Boolean(until) && new Date(until).getTime() > now;
+}
+
+/**
+ * Whether a chat is muted at the given time.
+ */
+export function isMuted(chat, now = Date.now()) {
+  const { mutedUntil } = getSubscription(chat);
+  if (!mutedUntil) return false;
+  if (mutedUntil === MUTE_FOREVER) return true;
+  return new Date(mutedUntil).getTime() > now;
+}
+
+/**
+ * Check whether an alert should be delivered to a chat.
+ *
+ * - muted chats receive nothing, muted tickers are skipped
+ * - an empty ticker list means "all tickers"
+ * - every filter (field -> list of allowed values) must match
+ *
+ * Returns { deliver, reason }.
+ */
+export function matchSubscription(chat, alert, now = Date.now()) {
+  if (isMuted(chat, now)) {
+    return { deliver: false, reason: 'muted' };
+  }
+  if (alert && typeof alert === 'object' && isTickerMuted(chat, alert.ticker, now)) {
+    return { deliver: false, reason: 'ticker muted' };
+  }
+
+  const { tickers, filters } = getSubscription(chat);
+  const payload = alert && typeof alert === 'object' ? alert : {};
+
+  if (tickers.length > 0 && !matchValue(tickers, payload.ticker)) {
+    return { deliver: false, reason: 'not subscribed to ticker' };
+  }
+
+  for (const [field, allowed] of Object.entries(filters)) {
+    if (!matchValue(allowed, payload[field])) {
+      return { deliver: false, reason: `filter ${field}=${[].concat(allowed).join(',')}` };
+    }
+  }
+
+  return { deliver: true, reason: null };
+}
+
+/**
+ * Check patterns a chat sets for itself (/subscribe tickers, /filter
+ * values). Returns an error message for the first invalid or slow
+ * "/regex/", or null.
+ */
+export function checkPatterns(patterns) {
+  try {
+    compilePattern(patterns);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+/**
+ * Parse "/filter" arguments like ["action=BUY", "interval=15,60"].
+ * Returns { filters } or { error }.
+ */
+export function parseFilterArgs(args) {
+  const filters = {};
+  for (const arg of args) {
+    const [field, value] = arg.split('=');
+    if (!field || !value) {
+      return { error: `Invalid filter "${arg}". Use field=value, e.g. action=BUY` };
+    }
+    const key = field.toLowerCase();
+    if (!MATCH_FIELDS.includes(key)) {
+      return { error: `Unknown field "${field}". Use one of: ${MATCH_FIELDS.join(', ')}` };
+    }
+    filters[key] = value.split(',').map(v => v.trim()).filter(Boolean);
+    const error = checkPatterns(filters[key]);
+    if (error) return { error };
+  }
+  return { filters };
+}
+
+/**
+ * Describe a chat's subscriptions for the /subscriptions command (HTML),
+ * with times in the chat's timezone and locale.
+ */
+export function describeSubscription(chat, { timezone, locale, now = Date.now() } = {}) {
+  const { tickers, filters, mutedUntil, mutedTickers } = getSubscription(chat);
+  const formatTime = time => new Date(time).toLocaleString(locale, { timeZone: timezone });
+  const lines = [];
+
+  lines.push(`📊 <b>Tickers:</b> ${tickers.length > 0 ? escapeHtml(tickers.join(', ')) : 'all'}`);
+
+  const filterEntries = Object.entries(filters);
+  lines.push(`🔎 <b>Filters:</b> ${filterEntries.length > 0
+    ? escapeHtml(filterEntries.map(([field, values]) => `${field}=${[].concat(values).join(',')}`).join(' '))
+    : 'none'}`);
+
+  if (isMuted(chat, now)) {
+    lines.push(`🔕 <b>Muted</b> ${mutedUntil === MUTE_FOREVER ? 'until /unmute' : `until ${formatTime(mutedUntil)}`}`);
+  } else {
+    lines.push('🔔 <b>Notifications:</b> on');
+  }
+
+  const mutedNow = Object.keys(mutedTickers).filter(ticker => isTickerMuted(chat, ticker, now));
+  if (mutedNow.length > 0) {
+    lines.push(`🔕 <b>Muted tickers:</b> ${mutedNow
+      .map(ticker => `${escapeHtml(ticker)} until ${formatTime(mutedTickers[ticker])}`)
+      .join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,382 @@
+import fs from 'fs';
+import path from 'path';
+import { escapeHtml } from './sanitize.js';
+
+// Fields the default layout shows on their own line; anything else is "extra"
+export const KNOWN_FIELDS = ['action', 'ticker', 'exchange', 'price', 'time', 'volume', 'interval', 'indicator', 'text'];
+
+// Payload fields that steer processing and are never displayed
+export const META_FIELDS = ['template', 'id', 'alert_id', 'buttons'];
+
+/**
+ * Built-in layout, used when templates/default.html doesn't exist.
+ * Matches the original hardcoded message, plus the alert's own text (HTML,
+ * like a text-only alert) and any extra payload fields.
+ */
+export const DEFAULT_TEMPLATE =
+  '{{emoji}} <b>{{indicator_name}} {{action_text}}</b>\n\n' +
+  '{{#if text}}{{text|raw}}\n\n{{/if}}' +
+  '{{#if ticker}}📊 <b>Symbol:</b> {{ticker}}\n{{/if}}' +
+  '{{#if exchange}}🏛 <b>Exchange:</b> {{exchange}}\n{{/if}}' +
+  '{{#if price}}💰 <b>Price:</b> {{price}}\n{{/if}}' +
+  '{{#if time}}⏰ <b>Time:</b> {{time}}\n{{/if}}' +
+  '{{#if volume}}📈 <b>Volume:</b> {{volume}}\n{{/if}}' +
+  '{{#if interval}}🕐 <b>Timeframe:</b> {{interval}}\n{{/if}}' +
+  '{{#each extra}}📌 <b>{{label}}:</b> {{value}}\n{{/each}}' +
+  '\n{{clock}} {{now}}';
+
+/**
+ * Classify a TradingView action into BUY / SELL / other.
+ */
+export function classifyAction(action) {
+  const text = String(action || 'Alert').toUpperCase();
+  const isBuy = text.includes('BUY') || text.includes('LONG');
+  const isSell = text.includes('SELL') || text.includes('SHORT');
+  return {
+    isBuy,
+    isSell,
+    actionText: isBuy ? 'BUY' : isSell ? 'SELL' : text,
+    emoji: isBuy ? '🟢' : isSell ? '🔴' : '📊',
+  };
+}
+
+/**
+ * Format a date in the given timezone and locale.
+ */
+export function formatDateTime(date, { timezone = 'Asia/Kolkata', locale = 'en-IN' } = {}) {
+  return date.toLocaleString(locale, { timeZone: timezone });
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const n = Number(String(value ?? '').replace(/,/g, '').trim());
+  return value === '' || value === null || value === undefined || Number.isNaN(n) ? null : n;
+}
+
+function toDate(value) {
+  const n = toNumber(value);
+  // Unix seconds or milliseconds
+  if (n !== null) return new Date(n < 1e12 ? n * 1000 : n);
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : new Date(parsed);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Filters usable as {{field|filter}} or {{field|filter:arg}}
+const FILTERS = {
+  upper: value => (isEmpty(value) ? value : String(value).toUpperCase()),
+  lower: value => (isEmpty(value) ? value : String(value).toLowerCase()),
+  number: (value, digits, { locale }) => {
+    const n = toNumber(value);
+    if (n === null) return value;
+    const options = digits !== undefined
+      ? { minimumFractionDigits: Number(digits), maximumFractionDigits: Number(digits) }
+      : { maximumFractionDigits: 8 };
+    return new Intl.NumberFormat(locale, options).format(n);
+  },
+  compact: (value, digits, { locale }) => {
+    const n = toNumber(value);
+    if (n === null) return value;
+    return new Intl.NumberFormat(locale, {
+      notation: 'compact',
+      maximumFractionDigits: digits !== undefined ? Number(digits) : 1,
+    }).format(n);
+  },
+  percent: (value, digits, { locale }) => {
+    const n = toNumber(value);
+    if (n === null) return value;
+    return new Intl.NumberFormat(locale, {
+      style: 'percent',
+      maximumFractionDigits: digits !== undefined ? Number(digits) : 2,
+    }).format(n / 100);
+  },
+  date: (value, _, options) => {
+    const date = isEmpty(value) ? null : toDate(value);
+    return date ? formatDateTime(date, options) : value;
+  },
+  default: (value, fallback) => (isEmpty(value) ? fallback : value),
+  json: value => JSON.stringify(value, null, 2),
+  raw: value => value,
+};
+
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+function unquote(text) {
+  const match = /^(["'])(.*)\1$/.exec(text);
+  return match ? match[2] : text;
+}
+
+function parseExpression(source, name) {
+  const [pathPart, ...filterParts] = splitOutsideQuotes(source, '|');
+  const fieldPath = pathPart.trim();
+  if (!/^[\w.]+$/.test(fieldPath)) {
+    throw new Error(`${name}: invalid field "${fieldPath}"`);
+  }
+
+  const filters = filterParts.map(part => {
+    const separator = part.indexOf(':');
+    const filterName = (separator < 0 ? part : part.slice(0, separator)).trim();
+    const arg = separator < 0 ? undefined : unquote(part.slice(separator + 1).trim());
+    if (!FILTERS[filterName]) {
+      throw new Error(`${name}: unknown filter "${filterName}"`);
+    }
+    return { name: filterName, arg };
+  });
+
+  return { path: fieldPath, filters, raw: filters.some(f => f.name === 'raw') };
+}
+
+const TAG = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+const BLOCKS = ['if', 'unless', 'each'];
+
+/**
+ * Compile a template into a node tree.
+ *
+ * Syntax:
+ *   {{field}}                      HTML-escaped value (dotted paths allowed)
+ *   {{price|number:2}}             filters: upper, lower, number, compact,
+ *                                  percent, date, default:"n/a", json, raw
+ *   {{#if field}}...{{else}}...{{/if}}
+ *   {{#unless field}}...{{/unless}}
+ *   {{#each list}}{{key}} {{value}}{{/each}}
+ *
+ * Throws with the template name on syntax errors.
+ */
+export function compileTemplate(source, name = 'template') {
+  const root = [];
+  const stack = [{ list: root, node: null }];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const top = stack[stack.length - 1];
+    if (match.index > last) {
+      top.list.push({ type: 'text', value: source.slice(last, match.index) });
+    }
+    last = match.index + match[0].length;
+
+    const [, sigil, body] = match;
+    if (sigil === '#') {
+      const [kind, ...rest] = body.split(/\s+/);
+      if (!BLOCKS.includes(kind)) {
+        throw new Error(`${name}: unknown block "{{#${kind}}}"`);
+      }
+      if (rest.length === 0) {
+        throw new Error(`${name}: "{{#${kind}}}" needs a field`);
+      }
+      const node = { type: kind, expr: parseExpression(rest.join(' '), name), children: [], otherwise: [] };
+      top.list.push(node);
+      stack.push({ list: node.children, node });
+    } else if (sigil === '/') {
+      if (!top.node || top.node.type !== body) {
+        throw new Error(`${name}: unexpected "{{/${body}}}"`);
+      }
+      stack.pop();
+    } else if (body === 'else') {
+      if (!top.node || top.node.type === 'each') {
+        throw new Error(`${name}: "{{else}}" outside of {{#if}} / {{#unless}}`);
+      }
+      top.list = top.node.otherwise;
+    } else {
+      top.list.push({ type: 'var', expr: parseExpression(body, name) });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`${name}: unclosed "{{#${stack[stack.length - 1].node.type}}}"`);
+  }
+  if (last < source.length) {
+    root.push({ type: 'text', value: source.slice(last) });
+  }
+  return root;
+}
+
+function lookup(context, fieldPath) {
+  if (fieldPath === 'this') return context.this;
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+function evaluate(expr, context, options) {
+  let value = lookup(context, expr.path);
+  for (const filter of expr.filters) {
+    value = FILTERS[filter.name](value, filter.arg, options);
+  }
+  return value;
+}
+
+function renderNodes(nodes, context, options) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      out += node.value;
+    } else if (node.type === 'var') {
+      const value = evaluate(node.expr, context, options);
+      const text = isEmpty(value) ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      out += node.expr.raw ? text : escapeHtml(text);
+    } else if (node.type === 'if' || node.type === 'unless') {
+      const value = evaluate(node.expr, context, options);
+      const truthy = !isEmpty(value) && value !== false;
+      const show = node.type === 'if' ? truthy : !truthy;
+      out += renderNodes(show ? node.children : node.otherwise, context, options);
+    } else if (node.type === 'each') {
+      const items = evaluate(node.expr, context, options);
+      if (!Array.isArray(items)) continue;
+      items.forEach((item, index) => {
+        const scope = item && typeof item === 'object' ? item : {};
+        out += renderNodes(node.children, { ...context, ...scope, this: item, index }, options);
+      });
+    }
+  }
+  return out;
+}
+
+function humanize(key) {
+  return key
+    .replace(/[._]+/g, ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// Flatten nested objects into dotted keys, e.g. strategy.position_size
+function flatten(object, prefix = '') {
+  const entries = [];
+  for (const [key, value] of Object.entries(object)) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      entries.push(...flatten(value, fullKey));
+    } else {
+      entries.push([fullKey, value]);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Build the variables available to a template for an alert.
+ */
+export function buildContext(alert, { timezone = 'Asia/Kolkata', locale = 'en-IN' } = {}) {
+  const { isBuy, isSell, actionText, emoji } = classifyAction(alert.action);
+
+  const extra = flatten(alert)
+    .filter(([key, value]) => {
+      const top = key.split('.')[0];
+      return !KNOWN_FIELDS.includes(top) && !META_FIELDS.includes(top) && !isEmpty(value);
+    })
+    .map(([key, value]) => ({ key, label: humanize(key), value: Array.isArray(value) ? value.join(', ') : value }));
+
+  return {
+    ...alert,
+    action_text: actionText,
+    emoji,
+    is_buy: isBuy,
+    is_sell: isSell,
+    indicator_name: alert.indicator || 'Signal',
+    now: formatDateTime(new Date(), { timezone, locale }),
+    clock: timezone === 'Asia/Kolkata' ? '🇮🇳' : '🕒',
+    timezone,
+    locale,
+    extra,
+  };
+}
+
+const defaultNodes = compileTemplate(DEFAULT_TEMPLATE, 'default');
+
+/**
+ * Render compiled template nodes for an alert.
+ */
+export function renderTemplate(nodes, alert, options = {}) {
+  const context = buildContext(alert, options);
+  return renderNodes(nodes, context, {
+    timezone: context.timezone,
+    locale: context.locale,
+  }).replace(/\s+$/, '');
+}
+
+/**
+ * Render the built-in default layout.
+ */
+export function renderDefault(alert, options = {}) {
+  return renderTemplate(defaultNodes, alert, options);
+}
+
+/**
+ * Templates loaded from `<dir>/<name>.html`.
+ * Files are re-read when they change on disk.
+ */
+export function createTemplateStore(dir) {
+  const cache = new Map();
+
+  function get(name) {
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid template name "${name}"`);
+    }
+
+    const file = path.join(dir, `${name}.html`);
+    let mtime;
+    try {
+      mtime = fs.statSync(file).mtimeMs;
+    } catch (e) {
+      if (name === 'default') return defaultNodes;
+      throw new Error(`Template "${name}" not found in ${dir}`);
+    }
+
+    const cached = cache.get(name);
+    if (cached && cached.mtime === mtime) return cached.nodes;
+
+    const nodes = compileTemplate(fs.readFileSync(file, 'utf8'), `${name}.html`);
+    cache.set(name, { mtime, nodes });
+    return nodes;
+  }
+
+  function list() {
+    const names = new Set(['default']);
+    if (fs.existsSync(dir)) {
+      for (const file of fs.readdirSync(dir)) {
+        if (file.endsWith('.html')) names.add(file.slice(0, -'.html'.length));
+      }
+    }
+    return [...names];
+  }
+
+  /**
+   * Compile every template so syntax errors show up at startup.
+   * Returns a list of { name, error }.
+   */
+  function validate() {
+    const errors = [];
+    for (const name of list()) {
+      try {
+        get(name);
+      } catch (e) {
+        errors.push({ name, error: e.message });
+      }
+    }
+    return errors;
+  }
+
+  function render(name, alert, options) {
+    return renderTemplate(get(name), alert, options);
+  }
+
+  return { get, list, validate, render };
+}
@@ -0,0 +1,126 @@
+import fs from 'fs';
+import path from 'path';
+
+// Name of the bot configured directly by the environment
+export const DEFAULT_TENANT = 'default';
+
+// Tenant ids appear in URLs (/tenants/<id>, /tv-webhook/<id>) and file paths
+const TENANT_ID = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Server-wide settings; a tenant can't override them
+export const SHARED_SETTINGS = [
+  'PORT',
+  'NODE_ENV',
+  'RENDER_EXTERNAL_URL',
+  'TENANTS_FILE',
+  'TENANTS_DIR',
+  'ADMIN_TOKENS',
+  'ADMIN_PASSWORD',
+  'ADMIN_SESSION_TTL',
+  'ADMIN_ORIGINS',
+  'CONFIG_FILE',
+  'TRUST_PROXY',
+  'BODY_LIMIT',
+  'KEEP_ALIVE_INTERVAL',
+  'RATE_LIMIT_WINDOW',
+  'RATE_LIMIT_MAX',
+  'RATE_LIMIT_ROUTES',
+  'TRADINGVIEW_RATE_LIMIT_WINDOW',
+  'TRADINGVIEW_RATE_LIMIT_MAX',
+  'TRADINGVIEW_IPS',
+];
+
+// Who the bot is and who may post to it - never inherited from the default bot
+const IDENTITY_SETTINGS = [
+  'TELEGRAM_BOT_TOKEN',
+  'DEFAULT_CHAT_ID',
+  'SHARED_SECRET',
+  'WEBHOOK_SECRETS',
+  'OWNER_CHAT_IDS',
+  'TELEGRAM_WEBHOOK_URL',
+  'TELEGRAM_WEBHOOK_SECRET',
+];
+
+// Where a bot keeps its state; each tenant gets its own directory by default
+const FILE_SETTINGS = {
+  CHAT_IDS_FILE: 'chat_ids.json',
+  TELEGRAM_OFFSET_FILE: 'telegram_offset.json',
+  DEDUP_STATE_FILE: 'dedup_state.json',
+  PRICE_ALERTS_FILE: 'price_alerts.json',
+  EXECUTOR_FILE: 'executor_state.json',
+  INVITES_FILE: 'invites.json',
+  ROUTES_FILE: 'routes.json',
+  QUEUE_FILE: 'outbox.json',
+  ALERT_HISTORY_FILE: 'alerts.jsonl',
+  PAPER_FILE: 'paper_trades.json',
+  SQLITE_FILE: 'tvbot.db',
+};
+
+/**
+ * Settings of one tenant bot: the tenant's own values on top of the shared
+ * environment, minus the default bot's identity, with state files under
+ * dataDir and its own Redis prefix. A value of exactly "$NAME" is read from
+ * the environment variable NAME, so tokens can stay out of the file.
+ */
+export function tenantEnv(id, settings, { env = process.env, dataDir }) {
+  const tenant = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (SHARED_SETTINGS.includes(key)) {
+      throw new Error(`${key} is a server setting and can't be set per tenant`);
+    }
+    if (typeof value === 'string' && /^\$[A-Z_][A-Z0-9_]*$/.test(value)) {
+      const name = value.slice(1);
+      if (env[name] === undefined) throw new Error(`${key} refers to ${value}, which is not set`);
+      tenant[key] = env[name];
+    } else if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+      tenant[key] = String(value);
+    } else {
+      throw new Error(`${key} must be a string, number or boolean`);
+    }
+  }
+
+  const inherited = { ...env };
+  for (const key of IDENTITY_SETTINGS) delete inherited[key];
+  const files = Object.fromEntries(Object.entries(FILE_SETTINGS).map(([key, file]) => [key, path.join(dataDir, file)]));
+  return { ...inherited, ...files, REDIS_PREFIX: `tvbot:${id}:`, ...tenant };
+}
+
+/**
+ * Read the tenant bots from TENANTS_FILE:
+ *
+ *   { "acme": { "TELEGRAM_BOT_TOKEN": "$ACME_BOT_TOKEN", "SHARED_SECRET": "..." } }
+ *
+ * Returns [{ id, env, dataDir }] ([] when the file doesn't exist). State goes
+ * to <TENANTS_DIR>/<id>/ (./tenants by default). Throws with the tenant id
+ * in the message when the file or a tenant is invalid.
+ */
+export function loadTenants({ env = process.env } = {}) {
+  const file = env.TENANTS_FILE || './tenants.json';
+  const baseDir = env.TENANTS_DIR || './tenants';
+  if (!fs.existsSync(file)) return [];
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read ${file}: ${e.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${file} must contain an object of tenant id -> settings`);
+  }
+
+  return Object.entries(config).map(([id, settings]) => {
+    if (!TENANT_ID.test(id) || id === DEFAULT_TENANT) {
+      throw new Error(`Invalid tenant id "${id}" in ${file} (lowercase letters, digits, - and _; not "${DEFAULT_TENANT}")`);
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error(`[${id}] settings in ${file} must be an object`);
+    }
+    const dataDir = path.join(baseDir, id);
+    try {
+      return { id, env: tenantEnv(id, settings, { env, dataDir }), dataDir };
+    } catch (e) {
+      throw new Error(`[${id}] ${e.message}`);
+    }
+  });
+}
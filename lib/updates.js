@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+
+// How the bot receives updates from Telegram
+export const TELEGRAM_MODES = ['polling', 'webhook'];
+
+// Update types the dispatcher handles (sent to Telegram as allowed_updates)
+export const UPDATE_TYPES = ['message', 'channel_post', 'callback_query', 'my_chat_member'];
+
+export const TELEGRAM_SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+/**
+ * Secret token for setWebhook. Uses TELEGRAM_WEBHOOK_SECRET when set,
+ * otherwise one derived from the bot token so it stays the same across restarts.
+ * Telegram allows 1-256 characters from A-Z, a-z, 0-9, _ and -.
+ */
+export function webhookSecretToken(configured, botToken) {
+  if (configured) return configured;
+  return crypto.createHash('sha256').update(`telegram-webhook:${botToken}`).digest('hex');
+}
+
+/**
+ * Last processed update_id, kept in storage (see lib/storage) so a restart
+ * doesn't replay updates.
+ */
+export function createOffsetStore(storage, key = 'telegramOffset') {
+  return {
+    get: () => storage.get(key)?.lastUpdateId || 0,
+    set(updateId) {
+      storage.set(key, { lastUpdateId: updateId, updatedAt: new Date().toISOString() });
+    },
+  };
+}
+
+/**
+ * One entry point for Telegram updates, whichever transport delivered them.
+ *
+ * handlers: { message, channel_post, callback_query, my_chat_member }, each
+ * called with the update's payload. Updates at or below the stored offset,
+ * and updates still being handled, are skipped (Telegram redelivers webhooks
+ * that failed, and polling restarts from the saved offset). A failing handler is logged and the update is
+ * still marked as processed, so one bad update can't block the rest.
+ */
+export function createUpdateDispatcher({ handlers, offsets, onError = () => {} }) {
+  // update_ids being handled, so a redelivery that arrives meanwhile is skipped
+  const inFlight = new Set();
+
+  return async function dispatch(update) {
+    if (!update || typeof update.update_id !== 'number') return false;
+    if (update.update_id <= offsets.get() || inFlight.has(update.update_id)) return false;
+    inFlight.add(update.update_id);
+
+    const type = UPDATE_TYPES.find(t => update[t]);
+    try {
+      if (type && handlers[type]) {
+        await handlers[type](update[type]);
+      }
+    } catch (e) {
+      onError(e, update);
+    } finally {
+      inFlight.delete(update.update_id);
+    }
+    // Updates can finish out of order; the offset never goes back
+    offsets.set(Math.max(offsets.get(), update.update_id));
+    return true;
+  };
+}
+
+/**
+ * Long-poll getUpdates and feed every update to the dispatcher.
+ * `telegram` is the Telegram channel (for its Bot API `call`); onPoll is
+ * called after every successful getUpdates with the number of updates.
+ */
+export function startPolling({
+  telegram,
+  dispatch,
+  offsets,
+  timeoutSeconds = 30,
+  retryDelayMs = 1000,
+  onPoll = () => {},
+  onError = () => {},
+}) {
+  let stopped = false;
+  let timer = null;
+
+  async function poll() {
+    try {
+      const data = await telegram.call('getUpdates', {
+        offset: offsets.get() + 1,
+        timeout: timeoutSeconds,
+        allowed_updates: UPDATE_TYPES,
+      });
+      if (data.ok) {
+        onPoll(data.result.length);
+        for (const update of data.result) {
+          await dispatch(update);
+        }
+      } else {
+        onError(new Error(data.description || 'getUpdates failed'));
+      }
+    } catch (e) {
+      // A request cut short by stop() is not an error
+      if (!stopped) onError(e);
+    }
+
+    // Poll again
+    if (!stopped) timer = setTimeout(poll, retryDelayMs);
+  }
+
+  poll();
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
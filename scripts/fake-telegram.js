@@ -0,0 +1,19 @@
+// Run the fake Telegram Bot API on its own, to try the server without a real
+// bot token or network access:
+//
+//   node scripts/fake-telegram.js [port]     (default 8081)
+//   TELEGRAM_API_URL=http://127.0.0.1:8081 TELEGRAM_BOT_TOKEN=test npm start
+//
+// Every Bot API call the server makes is printed.
+import { createFakeTelegram } from '../lib/fake-telegram.js';
+
+const port = parseInt(process.argv[2] || '8081', 10);
+const fake = createFakeTelegram({
+  maxPollMs: 30 * 1000,
+  onCall: ({ method, params }) => {
+    if (method !== 'getUpdates') console.log(`📨 ${method} ${JSON.stringify(params)}`);
+  },
+});
+
+const url = await fake.start(port);
+console.log(`🤖 Fake Telegram Bot API on ${url}`);
@@ -0,0 +1,76 @@
+// Import chat_ids.json (and telegram_offset.json) into the storage backend
+// configured by STORAGE_BACKEND, or into a tenant bot's storage with --tenant.
+//
+//   node scripts/migrate-storage.js [--chat-ids ./chat_ids.json] [--offset ./telegram_offset.json] [--tenant acme]
+//
+// Chats already in storage are kept as they are; only new ones are added.
+// The stored update offset only moves forward.
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { createStorage, storageConfigFromEnv } from '../lib/storage/index.js';
+import { loadTenants } from '../lib/tenants.js';
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = { chatIds: './chat_ids.json', offset: './telegram_offset.json', tenant: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--chat-ids') args.chatIds = argv[++i];
+    else if (argv[i] === '--offset') args.offset = argv[++i];
+    else if (argv[i] === '--tenant') args.tenant = argv[++i];
+    else throw new Error(`Unknown argument "${argv[i]}"`);
+  }
+  return args;
+}
+
+function readJson(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let env = process.env;
+  if (args.tenant) {
+    const tenant = loadTenants().find(t => t.id === args.tenant);
+    if (!tenant) throw new Error(`Unknown tenant "${args.tenant}"`);
+    fs.mkdirSync(tenant.dataDir, { recursive: true });
+    env = tenant.env;
+  }
+  const { config, error } = storageConfigFromEnv(env);
+  if (error) throw new Error(error);
+
+  // The JSON backend already reads these files when they are its own
+  if (config.backend === 'json' && path.resolve(config.files.subscribers) === path.resolve(args.chatIds)) {
+    console.log(`ℹ️ STORAGE_BACKEND=json already uses ${args.chatIds}, nothing to migrate`);
+    return;
+  }
+
+  const chats = readJson(args.chatIds);
+  if (chats !== null && !Array.isArray(chats)) throw new Error(`${args.chatIds} must contain a JSON array`);
+  const offset = readJson(args.offset);
+
+  const storage = await createStorage(config);
+  try {
+    const subscribers = storage.get('subscribers') || [];
+    const known = new Set(subscribers.map(chat => String(chat.id)));
+    const added = (chats || []).filter(chat => chat?.id !== undefined && !known.has(String(chat.id)));
+    storage.set('subscribers', [...subscribers, ...added.map(chat => ({ ...chat, id: String(chat.id) }))]);
+    console.log(`📋 ${args.chatIds}: ${added.length} chat(s) imported, ${(chats || []).length - added.length} already in storage`);
+
+    const stored = storage.get('telegramOffset')?.lastUpdateId || 0;
+    if (offset?.lastUpdateId > stored) {
+      storage.set('telegramOffset', { lastUpdateId: offset.lastUpdateId, updatedAt: new Date().toISOString() });
+      console.log(`📨 Update offset set to ${offset.lastUpdateId}`);
+    }
+  } finally {
+    await storage.close();
+  }
+  console.log(`✅ Migrated into ${storage.backend} storage (${storage.describe()})`);
+}
+
+main().catch(e => {
+  console.error(`❌ Migration failed: ${e.message}`);
+  process.exit(1);
+});
@@ -53,28 +53,30 @@ if [ -z "$WEBHOOK_URL" ]; then
     exit 1
 fi
 
-# Set webhook
+# Webhook settings - the server registers the webhook itself (with a secret
+# token) when it starts in webhook mode
 FULL_WEBHOOK_URL="${WEBHOOK_URL}/telegram-webhook"
 echo ""
-echo "🔗 Setting webhook to: $FULL_WEBHOOK_URL"
+echo "🔗 Webhook URL: $FULL_WEBHOOK_URL"
 
-RESULT=$(curl -s "https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/setWebhook?url=${FULL_WEBHOOK_URL}")
-
-if echo "$RESULT" | grep -q '"ok":true'; then
-    echo "✅ Webhook set successfully!"
-    echo ""
-    echo "=============================="
-    echo "🎉 SETUP COMPLETE!"
-    echo "=============================="
-    echo ""
-    echo "Next steps:"
-    echo "1. Start your server: npm start"
-    echo "2. Open Telegram and search for @$BOT_USERNAME"
-    echo "3. Send /start to the bot"
-    echo "4. Your chat ID will be automatically saved!"
-    echo ""
-    echo "Your bot link: https://t.me/$BOT_USERNAME"
+if [ -f .env ] && grep -q '^TELEGRAM_MODE=' .env; then
+    echo "⚠️  TELEGRAM_MODE is already set in .env - update it by hand:"
+    echo "   TELEGRAM_MODE=webhook"
+    echo "   TELEGRAM_WEBHOOK_URL=$FULL_WEBHOOK_URL"
 else
-    echo "❌ Failed to set webhook"
-    echo "Response: $RESULT"
+    printf '\nTELEGRAM_MODE=webhook\nTELEGRAM_WEBHOOK_URL=%s\n' "$FULL_WEBHOOK_URL" >> .env
+    echo "✅ Added TELEGRAM_MODE=webhook and TELEGRAM_WEBHOOK_URL to .env"
 fi
+
+echo ""
+echo "=============================="
+echo "🎉 SETUP COMPLETE!"
+echo "=============================="
+echo ""
+echo "Next steps:"
+echo "1. Start your server: npm start (it calls setWebhook on startup)"
+echo "2. Open Telegram and search for @$BOT_USERNAME"
+echo "3. Send /start to the bot"
+echo "4. Your chat ID will be automatically saved!"
+echo ""
+echo "Your bot link: https://t.me/$BOT_USERNAME"
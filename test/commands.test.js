@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startTestApp, messageUpdate, waitUntil, ADMIN_TOKEN } from './helpers.js';
+import { createUpdateDispatcher } from '../lib/updates.js';
+import { createInviteStore } from '../lib/subscribers.js';
+
+const OWNER = '900';
+const admin = { 'x-admin-token': ADMIN_TOKEN };
+
+// Send a message through getUpdates and wait for the bot's reply to that chat
+async function say(app, chatId, text) {
+  const before = app.fake.sent(chatId).length;
+  app.fake.queueUpdates([messageUpdate(chatId, text)]);
+  await waitUntil(() => app.fake.sent(chatId).length > before);
+  return app.fake.sent(chatId).slice(before).map(message => message.text);
+}
+
+test('a new chat waits for approval and owners are told', async t => {
+  const app = await startTestApp({ env: { OWNER_CHAT_IDS: OWNER } });
+  t.after(() => app.close());
+
+  const [reply] = await say(app, '201', '/start');
+  assert.match(reply, /waiting for approval/);
+  await app.fake.waitFor('sendMessage', params => params.chat_id === OWNER && /\/approve 201/.test(params.text));
+
+  const subscriber = await app.request('GET', '/subscribers/201', undefined, admin);
+  assert.equal(subscriber.body.status, 'pending');
+});
+
+test('an owner approves a pending chat with /approve', async t => {
+  const app = await startTestApp({
+    env: { OWNER_CHAT_IDS: OWNER },
+    chats: [{ id: OWNER, status: 'approved', role: 'owner' }, { id: '201', username: 'dave', status: 'pending' }],
+  });
+  t.after(() => app.close());
+
+  const [reply] = await say(app, OWNER, '/approve @dave');
+  assert.match(reply, /is now approved/);
+  await app.fake.waitFor('sendMessage', params => params.chat_id === '201' && /approved/.test(params.text));
+  assert.equal((await app.request('GET', '/subscribers/201', undefined, admin)).body.status, 'approved');
+});
+
+test('owner commands are refused for other chats', async t => {
+  const app = await startTestApp({ chats: [{ id: '201', status: 'approved' }] });
+  t.after(() => app.close());
+
+  const [reply] = await say(app, '201', '/users');
+  assert.match(reply, /Only bot owners can use \/users/);
+});
+
+test('/subscribe limits alerts to the given tickers', async t => {
+  const app = await startTestApp({ chats: [{ id: '201', status: 'approved' }, { id: '202', status: 'approved' }] });
+  t.after(() => app.close());
+
+  const [reply] = await say(app, '201', '/subscribe nifty');
+  assert.match(reply, /Subscribed to: NIFTY/);
+
+  const res = await app.request('POST', '/tv-webhook', { ticker: 'BTCUSDT', action: 'buy' });
+  assert.equal(res.body.queued, 1);
+  await app.fake.waitFor('sendMessage', params => params.chat_id === '202' && /BTCUSDT/.test(params.text));
+  assert.equal(app.fake.sent('201').filter(message => /BTCUSDT/.test(message.text)).length, 0);
+});
+
+test('/chatid and /status answer approved chats', async t => {
+  const app = await startTestApp({ chats: [{ id: '201', status: 'approved' }] });
+  t.after(() => app.close());
+
+  assert.match((await say(app, '201', '/chatid'))[0], /<code>201<\/code>/);
+  assert.match((await say(app, '201', '/status'))[0], /Registered users: 1/);
+});
+
+test('with SUBSCRIBER_APPROVAL=open new chats get alerts right away', async t => {
+  const app = await startTestApp({ env: { SUBSCRIBER_APPROVAL: 'open' } });
+  t.after(() => app.close());
+
+  assert.match((await say(app, '201', '/start'))[0], /You will now receive TradingView alerts here/);
+  const res = await app.request('POST', '/tv-webhook', { ticker: 'ETH', action: 'buy' });
+  assert.equal(res.body.queued, 1);
+  await app.fake.waitFor('sendMessage', params => params.chat_id === '201' && /ETH/.test(params.text));
+});
+
+test('/filter refuses invalid and slow patterns, and a bad saved one only affects its chat', async t => {
+  const app = await startTestApp({
+    chats: [
+      { id: '201', status: 'approved' },
+      // Saved before patterns were checked
+      { id: '202', status: 'approved', subscriptions: { filters: { ticker: ['/[/'] } } },
+    ],
+  });
+  t.after(() => app.close());
+
+  assert.match((await say(app, '201', '/filter ticker=/[/'))[0], /❌ Invalid pattern \/\[\/: Invalid regular expression/);
+  assert.match((await say(app, '201', '/filter ticker=/(a+)+$/'))[0], /can be very slow/);
+  assert.match((await say(app, '201', '/filter ticker=/^BTC/'))[0], /Filters updated/);
+
+  const res = await app.request('POST', '/tv-webhook', { ticker: 'BTCUSDT', action: 'buy' });
+  assert.equal(res.status, 202);
+  assert.equal(res.body.queued, 1);
+  await app.fake.waitFor('sendMessage', params => params.chat_id === '201' && /BTCUSDT/.test(params.text));
+});
+
+test('command replies escape what the user typed', async t => {
+  const app = await startTestApp({ chats: [{ id: '201', status: 'approved' }] });
+  t.after(() => app.close());
+
+  assert.match((await say(app, '201', '/timezone <Mars>'))[0], /Unknown timezone "&lt;Mars&gt;"/);
+  assert.match((await say(app, '201', '/subscribe S&P500'))[0], /Subscribed to: S&amp;P500/);
+  assert.match((await say(app, '201', '/subscriptions'))[0], /Tickers:<\/b> S&amp;P500/);
+});
+
+test('updates handled at the same time are processed once and the offset never goes back', async t => {
+  let offset = 0;
+  const offsets = { get: () => offset, set: id => { offset = id; } };
+  const release = new Map();
+  const handled = [];
+  const dispatch = createUpdateDispatcher({
+    offsets,
+    handlers: {
+      message: message => {
+        handled.push(message.message_id);
+        return new Promise(resolve => release.set(message.message_id, resolve));
+      },
+    },
+  });
+  const update = id => ({ update_id: id, message: { message_id: id } });
+
+  const first = dispatch(update(1));
+  const second = dispatch(update(2));
+  // A redelivery of an update that is still being handled
+  assert.equal(await dispatch(update(1)), false);
+
+  release.get(2)();
+  assert.equal(await second, true);
+  release.get(1)();
+  assert.equal(await first, true);
+  assert.equal(offset, 2);
+  assert.deepEqual(handled, [1, 2]);
+
+  // Telegram is asked for one connection at a time
+  const app = await startTestApp({ env: { TELEGRAM_MODE: 'webhook', TELEGRAM_WEBHOOK_URL: 'https://bot.example.com/telegram-webhook' } });
+  t.after(() => app.close());
+  const { params } = await app.fake.waitFor('setWebhook');
+  assert.equal(params.max_connections, 1);
+});
+
+test('invites are written by replacing the file, not in place', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tvbot-invites-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'invites.json');
+
+  const { invite } = createInviteStore(file).create({ maxUses: 2 });
+  assert.deepEqual(fs.readdirSync(dir), ['invites.json']);
+  assert.deepEqual(createInviteStore(file).list().map(i => i.code), [invite.code]);
+});
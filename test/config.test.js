@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startTestApp, ADMIN_TOKEN } from './helpers.js';
+import { loadConfig } from '../lib/config.js';
+import { ipInRanges, parseIpRange } from '../lib/rate-limits.js';
+
+const admin = { 'x-admin-token': ADMIN_TOKEN };
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tvbot-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('file settings fill in the environment, which wins', async t => {
+  const file = path.join(tempDir(t), 'config.yaml');
+  fs.writeFileSync(file, [
+    'server:',
+    '  bodyLimit: 32kb',
+    '  logBuffer: 500',
+    'security:',
+    '  signatureTolerance: 2m',
+    '  webhookSecrets:',
+    '    tradingview: tv-secret',
+    '  rateLimits:',
+    '    routes:',
+    '      /hook/*: { window: 10s, max: 5 }',
+    'templates:',
+    '  timezone: Europe/London',
+    '  buttons: [ack, chart]',
+  ].join('\n'));
+
+  const { env, reloadable } = await loadConfig({ env: { CONFIG_FILE: file, DEFAULT_TIMEZONE: 'UTC' } });
+  assert.equal(env.BODY_LIMIT, '32kb');
+  assert.equal(env.MAX_LOGS, '500');
+  assert.equal(env.WEBHOOK_SIGNATURE_TOLERANCE, '120');
+  assert.equal(env.WEBHOOK_SECRETS, 'tradingview:tv-secret');
+  assert.deepEqual(JSON.parse(env.RATE_LIMIT_ROUTES), { '/hook/*': { window: '10s', max: 5 } });
+  assert.equal(env.DEFAULT_TIMEZONE, 'UTC');
+  assert.equal(env.ALERT_BUTTONS, 'ack,chart');
+  assert.ok(reloadable.includes('SHARED_SECRET'));
+  assert.ok(!reloadable.includes('PORT'));
+});
+
+test('every schema error is reported at once', async t => {
+  const file = path.join(tempDir(t), 'config.yaml');
+  fs.writeFileSync(file, [
+    'server:',
+    '  port: 99999',
+    '  prot: 3000',
+    'security:',
+    '  adminSessionTtl: 12',
+    '  rateLimits:',
+    '    routes:',
+    '      /tv-webhook: { per: 1m }',
+    'routing:',
+    '  fallback: everyone',
+    'templates:',
+    '  timezone: Mars/Olympus',
+    'channels:',
+    '  pager: {}',
+  ].join('\n'));
+
+  await assert.rejects(loadConfig({ env: { CONFIG_FILE: file, MAX_LOGS: 'lots' } }), error => {
+    const lines = error.message.split('\n');
+    assert.match(lines[0], /^Invalid settings \(config file .*config\.yaml\):$/);
+    for (const expected of [
+      /server\.port: must be a port number/,
+      /server\.prot: unknown setting \(expected port, publicUrl/,
+      /security\.adminSessionTtl: must be a duration/,
+      /security\.rateLimits\.routes: "\/tv-webhook" has unknown setting "per"/,
+      /routing\.fallback: must be one of all, default, none/,
+      /templates\.timezone: must be an IANA timezone/,
+      /channels\.pager: unknown setting/,
+      /MAX_LOGS: must be a whole number/,
+    ]) {
+      assert.ok(lines.some(line => expected.test(line)), `missing ${expected}`);
+    }
+    return true;
+  });
+
+  fs.writeFileSync(file, 'server:\n  port: [1\n');
+  await assert.rejects(loadConfig({ env: { CONFIG_FILE: file } }), /Invalid YAML in config file/);
+});
+
+test('matches addresses and subnets', () => {
+  const ranges = ['52.89.214.238', '10.0.0.0/8', '::1'].map(parseIpRange);
+  assert.equal(ipInRanges('::ffff:52.89.214.238', ranges), true);
+  assert.equal(ipInRanges('10.20.30.40', ranges), true);
+  assert.equal(ipInRanges('11.0.0.1', ranges), false);
+  assert.equal(ipInRanges('::1', ranges), true);
+  assert.equal(parseIpRange('10.0.0.0/33'), null);
+});
+
+test('routes and TradingView addresses get their own rate limits', async t => {
+  const app = await startTestApp({
+    env: {
+      TRUST_PROXY: 'true',
+      RATE_LIMIT_MAX: '2',
+      RATE_LIMIT_ROUTES: JSON.stringify({ '/health': { max: 0 } }),
+      TRADINGVIEW_RATE_LIMIT_MAX: '4',
+    },
+  });
+  t.after(() => app.close());
+
+  const fromTradingView = { 'X-Forwarded-For': '52.32.178.7' };
+  const statuses = [];
+  for (let i = 0; i < 5; i++) {
+    statuses.push((await app.request('POST', '/tv-webhook', { ticker: `T${i}`, action: 'buy' }, fromTradingView)).status);
+  }
+  assert.deepEqual(statuses, [200, 200, 200, 200, 429]);
+
+  const other = { 'X-Forwarded-For': '203.0.113.9' };
+  assert.equal((await app.request('POST', '/tv-webhook', { ticker: 'A', action: 'buy' }, other)).status, 200);
+  assert.equal((await app.request('POST', '/tv-webhook', { ticker: 'B', action: 'buy' }, other)).status, 200);
+  assert.equal((await app.request('POST', '/tv-webhook', { ticker: 'C', action: 'buy' }, other)).status, 429);
+  for (let i = 0; i < 4; i++) {
+    assert.equal((await app.request('GET', '/health', undefined, other)).status, 200);
+  }
+
+  const metrics = await app.request('GET', '/metrics', undefined, { ...admin, 'X-Forwarded-For': '198.51.100.1' });
+  assert.match(metrics.text, /tvbot_rate_limited_total\{rule="tradingview"\} 1/);
+  assert.match(metrics.text, /tvbot_rate_limited_total\{rule="default"\} 1/);
+});
+
+test('reloading the config file applies new settings and keeps the old ones on errors', async t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify({ server: { bodyLimit: '1kb' } }));
+  const app = await startTestApp({ env: { CONFIG_FILE: file } });
+  t.after(() => app.close());
+
+  const big = { ticker: 'BTCUSDT', action: 'buy', message: 'x'.repeat(2000) };
+  assert.equal((await app.request('POST', '/tv-webhook', big)).status, 413);
+
+  fs.writeFileSync(file, JSON.stringify({
+    server: { bodyLimit: '10kb', port: 4000 },
+    security: { sharedSecret: 'new-secret' },
+    templates: { timezone: 'Asia/Tokyo' },
+  }));
+  const reloaded = await app.request('POST', '/config/reload', undefined, admin);
+  assert.equal(reloaded.status, 200);
+  // DEFAULT_TIMEZONE is set by the test environment, which wins over the file
+  assert.deepEqual(reloaded.body.changed.sort(), ['BODY_LIMIT', 'SHARED_SECRET']);
+  assert.deepEqual(reloaded.body.restartRequired, ['PORT']);
+
+  assert.equal((await app.request('POST', '/tv-webhook', big)).status, 401);
+  assert.equal((await app.request('POST', '/tv-webhook', { ...big, secret: 'new-secret' })).status, 200);
+
+  const shown = await app.request('GET', '/config', undefined, admin);
+  assert.deepEqual(shown.body.settings.security, { sharedSecret: '***' });
+  assert.equal(shown.body.settings.templates.timezone, 'UTC');
+
+  fs.writeFileSync(file, JSON.stringify({ security: { sharedSecret: 'other', requireSignature: 'yes' } }));
+  const failed = await app.request('POST', '/config/reload', undefined, admin);
+  assert.equal(failed.status, 400);
+  assert.match(failed.body.error, /security\.requireSignature: must be true or false/);
+  assert.equal((await app.request('POST', '/tv-webhook', { ...big, secret: 'new-secret' })).status, 200);
+});
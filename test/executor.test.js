@@ -0,0 +1,177 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startTestApp, waitUntil, ADMIN_TOKEN } from './helpers.js';
+import { applyFill, createExecutor, executorConfigFromEnv, parseTradingHours, withinTradingHours } from '../lib/executor.js';
+import { signPayload } from '../lib/auth.js';
+
+const OWNER = '900';
+const admin = { 'x-admin-token': ADMIN_TOKEN };
+
+// Live mode only takes signed alerts
+const WEBHOOK_SECRET = 'webhook-secret';
+const LIVE_AUTH = { SHARED_SECRET: WEBHOOK_SECRET, WEBHOOK_REQUIRE_SIGNATURE: 'true' };
+
+function postSigned(app, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return app.request('POST', '/tv-webhook', body, {
+    'x-webhook-timestamp': timestamp,
+    'x-webhook-signature': `sha256=${signPayload(WEBHOOK_SECRET, timestamp, JSON.stringify(body))}`,
+  });
+}
+
+// A broker bridge that records orders and answers with `reply(order)`
+async function startBridge(reply = order => ({ status: 'filled', orderId: `B-${order.clientOrderId}` })) {
+  const orders = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const order = JSON.parse(body);
+      orders.push({ order, headers: req.headers });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply(order)));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/orders`,
+    orders,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+function dryRun(options = {}) {
+  return createExecutor({ mode: 'dry-run', symbols: ['BTCUSDT', 'NSE:*'], maxPosition: 2, ...options });
+}
+
+test('signals set a target position and only the difference is ordered', async () => {
+  const executor = dryRun();
+  const long = await executor.execute({ ticker: 'BTCUSDT', action: 'buy', price: 100 }, { alertId: 'a1' });
+  assert.equal(long.status, 'dry-run');
+  assert.deepEqual([long.order.side, long.order.quantity, long.position], ['buy', 1, 1]);
+
+  assert.equal((await executor.execute({ ticker: 'BTCUSDT', action: 'buy', price: 101 })).status, 'skipped');
+
+  const flip = await executor.execute({ ticker: 'BTCUSDT', action: 'sell', price: 110 });
+  assert.deepEqual([flip.order.side, flip.order.quantity, flip.position, flip.realizedPnl], ['sell', 2, -1, 10]);
+
+  assert.equal(await executor.execute({ ticker: 'BTCUSDT', message: 'no action' }), null);
+});
+
+test('the risk guard blocks symbols, sizes, hours and daily caps but lets exits through', async () => {
+  const executor = dryRun({ maxOrdersPerDay: 1 });
+  assert.match((await executor.execute({ ticker: 'ETHUSDT', action: 'buy', price: 1 })).reason, /not in EXECUTOR_SYMBOLS/);
+  assert.match((await executor.execute({ ticker: 'BTCUSDT', action: 'buy', price: 1, qty: 3 })).reason, /over the limit of 2/);
+  assert.equal((await executor.execute({ ticker: 'NSE:NIFTY', action: 'buy', price: 1 })).status, 'dry-run');
+  assert.match((await executor.execute({ ticker: 'BTCUSDT', action: 'buy', price: 1 })).reason, /daily order limit of 1/);
+  assert.equal((await executor.execute({ ticker: 'NSE:NIFTY', action: 'exit long', price: 1 })).status, 'dry-run');
+
+  // A window that opens two hours from now
+  const hhmm = offsetHours => new Date(Date.now() + offsetHours * 3600 * 1000).toISOString().slice(11, 16);
+  const closed = createExecutor({ mode: 'dry-run', symbols: ['*'], hours: parseTradingHours(`${hhmm(2)}-${hhmm(3)}`).windows });
+  assert.match((await closed.execute({ ticker: 'X', action: 'buy', price: 1 })).reason, /outside trading hours/);
+});
+
+test('the daily loss cap stops new positions', async () => {
+  const executor = dryRun({ maxDailyLoss: 5 });
+  await executor.execute({ ticker: 'BTCUSDT', action: 'buy', price: 100 });
+  await executor.execute({ ticker: 'BTCUSDT', action: 'exit', price: 90 });
+  assert.equal(executor.status().today.realizedPnl, -10);
+  assert.match((await executor.execute({ ticker: 'BTCUSDT', action: 'sell', price: 90 })).reason, /daily loss limit of 5/);
+});
+
+test('trading hours accept day ranges and overnight windows', () => {
+  const { windows } = parseTradingHours('mon-fri 09:15-15:30, sun 22:00-02:00');
+  const at = iso => ({ now: Date.parse(iso), timezone: 'UTC' });
+  assert.equal(withinTradingHours(windows, at('2026-01-05T10:00:00Z')), true); // Monday
+  assert.equal(withinTradingHours(windows, at('2026-01-05T16:00:00Z')), false);
+  assert.equal(withinTradingHours(windows, at('2026-01-10T10:00:00Z')), false); // Saturday
+  assert.equal(withinTradingHours(windows, at('2026-01-05T01:00:00Z')), true); // Sunday night
+  assert.ok(parseTradingHours('weekdays 9-5').error);
+});
+
+test('applyFill realizes P&L against the average entry', () => {
+  let { position } = applyFill(null, 1, 100);
+  ({ position } = applyFill(position, 1, 110));
+  assert.deepEqual(position, { quantity: 2, avgPrice: 105 });
+  const result = applyFill(position, -3, 120);
+  assert.deepEqual(result, { position: { quantity: -1, avgPrice: 120 }, realizedPnl: 30 });
+});
+
+test('live mode posts signed orders to the bridge and reports back in Telegram', async t => {
+  const bridge = await startBridge();
+  t.after(() => bridge.close());
+  const app = await startTestApp({
+    chats: [{ id: OWNER, status: 'approved', role: 'owner' }],
+    env: {
+      ...LIVE_AUTH,
+      OWNER_CHAT_IDS: OWNER,
+      EXECUTOR_MODE: 'live',
+      EXECUTOR_URL: bridge.url,
+      EXECUTOR_SECRET: 'bridge-secret',
+      EXECUTOR_SYMBOLS: 'BTCUSDT',
+    },
+  });
+  t.after(() => app.close());
+
+  await postSigned(app, { ticker: 'BINANCE:BTCUSDT', action: 'buy', price: 65000, indicator: 'Supertrend' });
+  const message = await app.fake.waitFor('sendMessage', params => params.chat_id === OWNER && /Order placed/.test(params.text));
+  assert.match(message.params.text, /BUY 1 <b>BINANCE:BTCUSDT<\/b>/);
+  assert.match(message.params.text, /Broker order: <code>B-tv-/);
+
+  assert.equal(bridge.orders.length, 1);
+  const [{ order, headers }] = bridge.orders;
+  assert.deepEqual([order.side, order.quantity, order.targetPosition, order.strategy], ['buy', 1, 1, 'Supertrend']);
+  assert.match(headers['x-webhook-signature'], /^sha256=/);
+
+  await postSigned(app, { ticker: 'ETHUSDT', action: 'buy', price: 3000 });
+  await app.fake.waitFor('sendMessage', params => params.chat_id === OWNER && /Order rejected/.test(params.text));
+  assert.equal(bridge.orders.length, 1);
+
+  const status = await app.request('GET', '/executor', undefined, admin);
+  assert.deepEqual(status.body.positions['BINANCE:BTCUSDT'].quantity, 1);
+  assert.equal(status.body.today.orders, 1);
+});
+
+test('broker rejections and dry-run mode are reported', async t => {
+  const bridge = await startBridge(() => ({ ok: false, error: 'insufficient margin' }));
+  t.after(() => bridge.close());
+  const app = await startTestApp({
+    chats: [{ id: OWNER, status: 'approved', role: 'owner' }],
+    env: { ...LIVE_AUTH, OWNER_CHAT_IDS: OWNER, EXECUTOR_MODE: 'live', EXECUTOR_URL: bridge.url, EXECUTOR_SYMBOLS: '*' },
+  });
+  t.after(() => app.close());
+
+  await postSigned(app, { ticker: 'NIFTY', action: 'sell', price: 22500 });
+  const message = await app.fake.waitFor('sendMessage', params => params.chat_id === OWNER && /Order rejected/.test(params.text));
+  assert.match(message.params.text, /broker: insufficient margin/);
+  await waitUntil(async () => (await app.request('GET', '/executor', undefined, admin)).body.executions.length === 1);
+  assert.deepEqual((await app.request('GET', '/executor', undefined, admin)).body.positions, {});
+
+  const dry = await startTestApp({
+    chats: [{ id: OWNER, status: 'approved', role: 'owner' }],
+    env: { OWNER_CHAT_IDS: OWNER, EXECUTOR_MODE: 'dry-run', EXECUTOR_SYMBOLS: '*' },
+  });
+  t.after(() => dry.close());
+  await dry.request('POST', '/tv-webhook', { ticker: 'NIFTY', action: 'sell', price: 22500 });
+  await dry.fake.waitFor('sendMessage', params => params.chat_id === OWNER && /Dry run/.test(params.text));
+});
+
+test('live mode refuses to start unless webhooks are signed', async t => {
+  const live = { EXECUTOR_MODE: 'live', EXECUTOR_URL: 'http://127.0.0.1:9/orders', EXECUTOR_SYMBOLS: '*' };
+  assert.match(executorConfigFromEnv(live).error, /needs a webhook secret/);
+  assert.match(executorConfigFromEnv({ ...live, WEBHOOK_SECRETS: 'crypto:abc' }).error, /needs WEBHOOK_REQUIRE_SIGNATURE=true/);
+  assert.equal(executorConfigFromEnv({ ...live, ...LIVE_AUTH }).config.mode, 'live');
+  assert.equal(executorConfigFromEnv({ EXECUTOR_MODE: 'dry-run', EXECUTOR_SYMBOLS: '*' }).config.mode, 'dry-run');
+
+  await assert.rejects(startTestApp({ env: live }), /EXECUTOR_MODE=live needs a webhook secret/);
+
+  // Nor can a reload drop the secret while live
+  const app = await startTestApp({ env: { ...live, ...LIVE_AUTH } });
+  t.after(() => app.close());
+  const unsigned = await app.request('POST', '/tv-webhook', { ticker: 'BTCUSDT', action: 'buy', price: 1, secret: WEBHOOK_SECRET });
+  assert.equal(unsigned.status, 401);
+  app.bot.prepareReload({ ...live, ...LIVE_AUTH });
+  assert.throws(() => app.bot.prepareReload(live), /needs a webhook secret/);
+});
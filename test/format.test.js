@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers.js';
+import { createEmailChannel } from '../lib/channels/email.js';
+
+let app;
+let format;
+
+before(async () => {
+  app = await startTestApp({ start: false });
+  format = app.bot.formatTelegramMessage;
+});
+
+after(() => app.close());
+
+test('formats a TradingView alert with the default template', () => {
+  const text = format({ ticker: 'BTCUSDT', action: 'buy', price: 65000.5, interval: '15' });
+  assert.match(text, /^🟢 <b>Signal BUY<\/b>/);
+  assert.match(text, /📊 <b>Symbol:<\/b> BTCUSDT/);
+  assert.match(text, /💰 <b>Price:<\/b> 65000\.5/);
+  assert.match(text, /🕐 <b>Timeframe:<\/b> 15/);
+});
+
+test('uses a red marker for sell alerts', () => {
+  assert.match(format({ ticker: 'NIFTY', action: 'sell' }), /^🔴 <b>Signal SELL<\/b>/);
+});
+
+test('escapes HTML in alert fields', () => {
+  const text = format({ ticker: '<b>X</b>', action: 'buy', message: 'a & b' });
+  assert.match(text, /&lt;b&gt;X&lt;\/b&gt;/);
+  assert.match(text, /a &amp; b/);
+  assert.doesNotMatch(text, /<b>X<\/b>/);
+});
+
+test('formats dates with the given timezone and locale', () => {
+  const text = format({ ticker: 'X', action: 'buy' }, { timezone: 'Europe/Berlin', locale: 'de-DE' });
+  assert.match(text, /🕒 \d{2}\.\d{2}\.\d{4}, \d{2}:\d{2}:\d{2}$/);
+});
+
+test('wraps plain text that is not JSON', () => {
+  const text = format('Price crossed 100');
+  assert.match(text, /^📢 <b>TradingView Alert<\/b>\n\nPrice crossed 100\n\n⏰ /);
+});
+
+test('parses JSON strings', () => {
+  assert.match(format('{"ticker":"ETH","action":"buy"}'), /📊 <b>Symbol:<\/b> ETH/);
+});
+
+test('passes a text field through as-is', () => {
+  assert.equal(format({ text: 'hello <b>world</b>' }), 'hello <b>world</b>');
+});
+
+test('shows the text of an alert that also has fields', () => {
+  const text = format({ ticker: 'BTCUSDT', action: 'buy', text: 'Breakout <b>confirmed</b>' });
+  assert.match(text, /^🟢 <b>Signal BUY<\/b>\n\nBreakout <b>confirmed<\/b>\n\n📊 <b>Symbol:<\/b> BTCUSDT/);
+});
+
+test('falls back to escaped JSON for other payloads', () => {
+  assert.equal(format({ foo: '<x>' }), '📢 <b>Alert</b>\n\n<code>{\n  &quot;foo&quot;: &quot;&lt;x&gt;&quot;\n}</code>');
+});
+
+test('emails keep only the HTML Telegram allows', () => {
+  const email = createEmailChannel({ host: 'smtp.example.com' });
+  const html = format({ text: 'Buy <b>now</b> <form action="https://evil.example"><img src="https://evil.example/t.gif"></form> <a href="javascript:alert(1)">x</a>' });
+  const [message] = email.format({ alert: { text: 'x' }, html });
+  assert.match(message.html, /Buy <b>now<\/b>/);
+  assert.doesNotMatch(message.html, /<form|<img|javascript:/);
+  assert.match(message.html, /&lt;form/);
+});
@@ -0,0 +1,123 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createApp } from '../lib/app.js';
+import { createFakeTelegram } from '../lib/fake-telegram.js';
+
+export const BOT_TOKEN = 'test-token';
+export const ADMIN_TOKEN = 'test-admin-token';
+
+// The server logs every request and message; TEST_LOGS=1 shows them
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+/**
+ * Start the app against the fake Bot API, with every state file in a fresh
+ * temporary directory.
+ *
+ * - env: settings on top of the test defaults (process.env is not used)
+ * - chats: subscribers to start with (written to chat_ids.json)
+ * - start: start the bots (polling, delivery queue), true by default
+ *
+ * Returns { url, fake, bot, dir, request(method, path, body, headers), close() }.
+ */
+export async function startTestApp({ env = {}, chats = [], start = true } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tvbot-test-'));
+  fs.writeFileSync(path.join(dir, 'chat_ids.json'), JSON.stringify(chats));
+
+  const fake = createFakeTelegram({ maxPollMs: 200 });
+  const apiUrl = await fake.start();
+
+  let created;
+  try {
+    created = await createApp({
+      env: {
+        TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+        TELEGRAM_API_URL: apiUrl,
+        CONFIG_FILE: 'none',
+        ADMIN_TOKENS: `test:${ADMIN_TOKEN}:*`,
+        DEFAULT_TIMEZONE: 'UTC',
+        DEFAULT_LOCALE: 'en-US',
+        TELEGRAM_CHAT_INTERVAL_MS: '0',
+        TEMPLATES_DIR: path.join(dir, 'templates'),
+        TENANTS_FILE: path.join(dir, 'tenants.json'),
+        CHAT_IDS_FILE: path.join(dir, 'chat_ids.json'),
+        TELEGRAM_OFFSET_FILE: path.join(dir, 'telegram_offset.json'),
+        DEDUP_STATE_FILE: path.join(dir, 'dedup_state.json'),
+        PRICE_ALERTS_FILE: path.join(dir, 'price_alerts.json'),
+        EXECUTOR_FILE: path.join(dir, 'executor_state.json'),
+        INVITES_FILE: path.join(dir, 'invites.json'),
+        ROUTES_FILE: path.join(dir, 'routes.json'),
+        QUEUE_FILE: path.join(dir, 'outbox.json'),
+        ALERT_HISTORY_FILE: path.join(dir, 'alerts.jsonl'),
+        PAPER_FILE: path.join(dir, 'paper_trades.json'),
+        ...env,
+      },
+    });
+  } catch (e) {
+    // Settings the bot refuses to start with
+    await fake.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw e;
+  }
+  const server = await new Promise(resolve => {
+    const listening = created.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  if (start) created.start();
+
+  async function request(method, urlPath, body, headers = {}) {
+    const res = await fetch(`${url}${urlPath}`, {
+      method,
+      headers: { ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      // Not JSON (dashboard, metrics)
+    }
+    return { status: res.status, body: json, text };
+  }
+
+  async function close() {
+    await created.close();
+    await new Promise(resolve => server.close(resolve));
+    await fake.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { url, fake, bot: created.bots[0], dir, request, close };
+}
+
+/**
+ * Resolve with the first truthy value of `check()`, polling every 25ms.
+ */
+export async function waitUntil(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+/**
+ * A Telegram message update from a private chat.
+ */
+export function messageUpdate(chatId, text, username = `user${chatId}`) {
+  return {
+    message: {
+      message_id: 1,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(chatId), type: 'private', username },
+      from: { id: Number(chatId), is_bot: false, username },
+      text,
+    },
+  };
+}
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, ADMIN_TOKEN } from './helpers.js';
+import { extractMedia } from '../lib/media.js';
+import { chartPoints, renderChartPng, renderChartSvg } from '../lib/charts.js';
+
+const admin = { 'x-admin-token': ADMIN_TOKEN };
+const chats = [{ id: '101', username: 'alice', status: 'approved' }];
+
+// A 1x1 PNG
+const PIXEL = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGNgYGAAAAAEAAH2FzhVAAAAAElFTkSuQmCC';
+
+test('image fields are taken off the alert and checked', () => {
+  const linked = extractMedia({ ticker: 'BTCUSDT', image_url: 'https://example.com/c.png', chart: 50 });
+  assert.deepEqual(linked.media, { url: 'https://example.com/c.png' });
+  assert.equal(linked.chart, 50);
+  assert.deepEqual(linked.alert, { ticker: 'BTCUSDT' });
+
+  const uploaded = extractMedia({ ticker: 'BTCUSDT', image_base64: `data:image/png;base64,${PIXEL}` });
+  assert.equal(uploaded.media.mimeType, 'image/png');
+  assert.equal(uploaded.media.filename, 'alert.png');
+
+  assert.match(extractMedia({ image_base64: Buffer.from('hello').toString('base64') }).error, /not a PNG, JPEG/);
+  assert.match(extractMedia({ image_url: 'file:///etc/passwd' }).error, /http\(s\) link/);
+  assert.deepEqual(extractMedia({ chart: 'weekly' }).alert, { chart: 'weekly' });
+  assert.equal(extractMedia('plain text').media, null);
+});
+
+test('renders charts from alert history as PNG and SVG', () => {
+  const points = chartPoints([
+    { receivedAt: '2024-01-01T00:02:00Z', action: 'SELL', alert: { price: '65,500' } },
+    { receivedAt: '2024-01-01T00:01:00Z', action: 'ALERT', alert: { text: 'no price' } },
+    { receivedAt: '2024-01-01T00:00:00Z', action: 'BUY', alert: { price: 65000 } },
+  ]);
+  assert.deepEqual(points.map(p => [p.price, p.side]), [[65000, 'buy'], [65500, 'sell']]);
+
+  const png = renderChartPng(points, { width: 120, height: 60 });
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  assert.equal(png.readUInt32BE(16), 120);
+  assert.equal(png.readUInt32BE(20), 60);
+
+  const svg = renderChartSvg(points, { title: 'BTC<USDT>' });
+  assert.match(svg, /<polyline points="/);
+  assert.match(svg, /BTC&lt;USDT&gt;/);
+});
+
+test('sends image_url as a photo captioned with the alert', async t => {
+  const app = await startTestApp({ chats });
+  t.after(() => app.close());
+
+  const res = await app.request('POST', '/tv-webhook', {
+    ticker: 'BTCUSDT',
+    action: 'buy',
+    price: 65000,
+    image_url: 'https://example.com/chart.png',
+    note: 'long '.repeat(300),
+  });
+  assert.equal(res.status, 202);
+
+  const photo = await app.fake.waitFor('sendPhoto');
+  assert.equal(photo.params.photo, 'https://example.com/chart.png');
+  assert.match(photo.params.caption, /📊 <b>Symbol:<\/b> BTCUSDT/);
+  assert.ok(photo.params.caption.length <= 1024);
+  assert.equal(photo.params.reply_markup, undefined);
+  assert.doesNotMatch(photo.params.caption, /example\.com/);
+
+  // The rest of the message follows as text, with the buttons
+  const rest = await app.fake.waitFor('sendMessage');
+  assert.ok(rest.params.reply_markup.inline_keyboard.length > 0);
+});
+
+test('uploads base64 images and falls back to text when Telegram rejects them', async t => {
+  const app = await startTestApp({ chats });
+  t.after(() => app.close());
+
+  await app.request('POST', '/tv-webhook', { ticker: 'ETHUSDT', action: 'sell', time: '1', image_base64: PIXEL });
+  const uploaded = await app.fake.waitFor('sendPhoto');
+  assert.equal(uploaded.params.photo.type, 'image/png');
+  assert.equal(uploaded.params.photo.data, PIXEL);
+  assert.match(uploaded.params.caption, /ETHUSDT/);
+  assert.ok(uploaded.params.reply_markup.inline_keyboard.length > 0);
+
+  app.fake.failNext('sendPhoto', { error_code: 400, description: 'Bad Request: IMAGE_PROCESS_FAILED' });
+  await app.request('POST', '/tv-webhook', { ticker: 'ETHUSDT', action: 'sell', time: '2', image_base64: PIXEL });
+  const fallback = await app.fake.waitFor('sendMessage');
+  assert.match(fallback.params.text, /ETHUSDT/);
+  assert.equal(fallback.params.parse_mode, 'HTML');
+
+  const logs = await app.request('GET', '/logs', undefined, admin);
+  assert.ok(logs.body.logs.some(log => /Photo rejected for 101 \(Bad Request: IMAGE_PROCESS_FAILED\)/.test(log.message)));
+});
+
+test('ALERT_CHARTS=on attaches a chart of the ticker\'s recent prices', async t => {
+  const app = await startTestApp({ chats, env: { ALERT_CHARTS: 'on', ALERT_CHART_POINTS: '5' } });
+  t.after(() => app.close());
+
+  // One price is not a chart yet
+  await app.request('POST', '/tv-webhook', { ticker: 'SOLUSDT', action: 'buy', price: 100, time: '1' });
+  await app.fake.waitFor('sendMessage');
+  await app.request('POST', '/tv-webhook', { ticker: 'SOLUSDT', action: 'sell', price: 110, time: '2' });
+  const photo = await app.fake.waitFor('sendPhoto');
+  assert.equal(photo.params.photo.type, 'image/png');
+  assert.equal(photo.params.photo.filename, 'SOLUSDT.png');
+
+  // "chart": false opts out
+  await app.request('POST', '/tv-webhook', { ticker: 'SOLUSDT', action: 'buy', price: 105, time: '3', chart: false });
+  await app.fake.waitFor('sendMessage', params => /105/.test(params.text));
+  assert.equal(app.fake.photos('101').length, 1);
+
+  const svg = await app.request('GET', '/alerts/chart?ticker=solusdt', undefined, admin);
+  assert.equal(svg.status, 200);
+  assert.equal((svg.text.match(/<circle/g) || []).length, 3);
+  const missing = await app.request('GET', '/alerts/chart?ticker=DOGE', undefined, admin);
+  assert.equal(missing.status, 404);
+});
+
+test('acknowledging a photo alert edits its caption and drops the button', async t => {
+  const app = await startTestApp({ chats });
+  t.after(() => app.close());
+
+  const res = await app.request('POST', '/tv-webhook', { ticker: 'ETHUSDT', action: 'buy', image_url: 'https://example.com/c.png' });
+  const photo = await app.fake.waitFor('sendPhoto');
+  const keyboard = photo.params.reply_markup;
+  const ack = keyboard.inline_keyboard.flat().find(button => /Acknowledge/.test(button.text));
+
+  app.fake.queueUpdates([{
+    callback_query: {
+      id: 'cb1',
+      from: { id: 101, username: 'alice' },
+      data: ack.callback_data,
+      message: {
+        message_id: 7,
+        chat: { id: 101, type: 'private' },
+        photo: [{ file_id: 'p1', width: 600, height: 300 }],
+        caption: 'ETHUSDT BUY',
+        caption_entities: [{ type: 'bold', offset: 0, length: 7 }],
+        reply_markup: keyboard,
+      },
+    },
+  }]);
+
+  const edit = await app.fake.waitFor('editMessageCaption');
+  assert.equal(edit.params.message_id, 7);
+  assert.match(edit.params.caption, /^ETHUSDT BUY\n\n✅ Acknowledged by @alice · /);
+  assert.deepEqual(edit.params.caption_entities, [{ type: 'bold', offset: 0, length: 7 }]);
+  assert.ok(!edit.params.reply_markup.inline_keyboard.flat().some(button => /Acknowledge/.test(button.text)));
+  assert.equal(app.fake.calls('editMessageText').length, 0);
+
+  const alert = await app.request('GET', `/alerts/${res.body.alertId}`, undefined, admin);
+  assert.equal(alert.body.acks.length, 1);
+});
+
+test('the history keeps the size of an uploaded image, not its data', async t => {
+  const app = await startTestApp({ chats });
+  t.after(() => app.close());
+
+  const res = await app.request('POST', '/tv-webhook', { ticker: 'ETHUSDT', action: 'buy', image_base64: `data:image/png;base64,${PIXEL}` });
+  await app.fake.waitFor('sendPhoto');
+
+  const marker = `base64 (${Buffer.from(PIXEL, 'base64').length} bytes)`;
+  const { body: record } = await app.request('GET', `/alerts/${res.body.alertId}`, undefined, admin);
+  assert.equal(record.alert.image_base64, marker);
+  assert.ok(record.rawBody.includes(marker));
+  assert.ok(!record.rawBody.includes(PIXEL));
+  const logs = await app.request('GET', '/logs', undefined, admin);
+  assert.ok(!JSON.stringify(logs.body).includes(PIXEL));
+
+  // A replay goes out as text, without complaining about the image
+  const replay = await app.request('POST', `/alerts/${res.body.alertId}/replay`, undefined, admin);
+  assert.equal(replay.status, 202);
+  const message = await app.fake.waitFor('sendMessage');
+  assert.match(message.params.text, /ETHUSDT/);
+  assert.doesNotMatch(message.params.text, /base64/);
+  const after = await app.request('GET', '/logs', undefined, admin);
+  assert.ok(!after.body.logs.some(log => /Alert image ignored/.test(log.message)));
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startTestApp, messageUpdate, waitUntil, ADMIN_TOKEN } from './helpers.js';
+import { parsePriceAlert, createPriceAlerts } from '../lib/price-alerts.js';
+import { parseTickLine } from '../lib/price-feed.js';
+
+const admin = { 'x-admin-token': ADMIN_TOKEN };
+
+async function say(app, chatId, text) {
+  const before = app.fake.sent(chatId).length;
+  app.fake.queueUpdates([messageUpdate(chatId, text)]);
+  await waitUntil(() => app.fake.sent(chatId).length > before);
+  return app.fake.sent(chatId).slice(before).map(message => message.text);
+}
+
+test('parses price alert commands', () => {
+  assert.deepEqual(parsePriceAlert(['btcusdt', '>', '65,000']).alert, { ticker: 'BTCUSDT', condition: '>', level: 65000, note: null });
+  assert.deepEqual(parsePriceAlert(['NIFTY', 'crosses', 'above', '22500.5', 'breakout', 'watch']).alert,
+    { ticker: 'NIFTY', condition: 'crosses above', level: 22500.5, note: 'breakout watch' });
+  assert.equal(parsePriceAlert(['ETH<=3000']).alert.condition, '<=');
+  assert.ok(parsePriceAlert(['NIFTY', 'above', '22500']).error);
+  assert.ok(parsePriceAlert(['NIFTY', '>']).error);
+});
+
+test('crossing alerts need the previous price and fire once', () => {
+  const alerts = createPriceAlerts();
+  alerts.add('1', { ticker: 'NIFTY', condition: 'crosses', level: 22500 });
+  alerts.add('1', { ticker: 'BTCUSDT', condition: 'crosses below', level: 60000 });
+
+  assert.equal(alerts.check('NSE:NIFTY', 22600).length, 0);
+  assert.equal(alerts.check('NSE:NIFTY', 22550).length, 0);
+  const [fired] = alerts.check('NSE:NIFTY', 22400);
+  assert.equal(fired.ticker, 'NIFTY');
+  assert.equal(fired.previous, 22550);
+  assert.equal(alerts.check('NSE:NIFTY', 22600).length, 0);
+
+  alerts.check('BTCUSDT', 59000);
+  assert.equal(alerts.check('BTCUSDT', 58000).length, 0);
+  assert.equal(alerts.list('1').length, 1);
+});
+
+test('the per-chat limit is enforced', () => {
+  const alerts = createPriceAlerts({ maxPerChat: 1 });
+  assert.ok(alerts.add('1', { ticker: 'ETH', condition: '>', level: 1 }).alert);
+  assert.match(alerts.add('1', { ticker: 'ETH', condition: '<', level: 1 }).error, /already have 1/);
+  assert.ok(alerts.add('2', { ticker: 'ETH', condition: '<', level: 1 }).alert);
+});
+
+test('reads JSON and CSV feed lines', () => {
+  assert.deepEqual(parseTickLine('{"ticker":"BTCUSDT","price":"65,010.5"}'), { ticker: 'BTCUSDT', price: 65010.5 });
+  assert.deepEqual(parseTickLine('NIFTY, 22510'), { ticker: 'NIFTY', price: 22510 });
+  assert.equal(parseTickLine('ticker,price'), null);
+  assert.equal(parseTickLine('# comment'), null);
+});
+
+test('/alert triggers on a webhook price and can be listed, edited and deleted', async t => {
+  const app = await startTestApp({ chats: [{ id: '201', status: 'approved' }, { id: '202', status: 'approved' }] });
+  t.after(() => app.close());
+
+  assert.match((await say(app, '201', '/alert BTCUSDT > 65000'))[0], /#1 <b>BTCUSDT<\/b> &gt; 65,000/);
+  assert.match((await say(app, '201', '/alert NIFTY crosses 22500 breakout'))[0], /#2 <b>NIFTY<\/b> crosses 22,500 - breakout/);
+  assert.match((await say(app, '201', '/editalert 1 >= 66000'))[0], /#1 <b>BTCUSDT<\/b> &gt;= 66,000/);
+  assert.match((await say(app, '202', '/delalert 2'))[0], /no price alert #2/);
+
+  const list = await say(app, '201', '/alerts');
+  assert.match(list[0], /#1 .*\n#2 /);
+
+  await app.request('POST', '/tv-webhook', { ticker: 'BINANCE:BTCUSDT', action: 'buy', price: 65500 });
+  await app.request('POST', '/tv-webhook', { ticker: 'BINANCE:BTCUSDT', action: 'sell', price: '66,100' });
+  const message = await app.fake.waitFor('sendMessage', params => params.chat_id === '201' && /Price alert: BTCUSDT/.test(params.text));
+  assert.match(message.params.text, /BINANCE:BTCUSDT is at <b>66,100<\/b> \(from 65,500\)/);
+
+  const stored = await app.request('GET', '/price-alerts', undefined, admin);
+  assert.deepEqual(stored.body.alerts.map(a => a.id), [2]);
+
+  // Let the signal messages go out before talking to the bot again
+  await waitUntil(async () => (await app.request('GET', '/queue', undefined, admin)).body.pending === 0);
+
+  assert.match((await say(app, '201', '/delalert 2'))[0], /Deleted price alert #2/);
+  assert.match((await say(app, '201', '/alerts'))[0], /No price alerts/);
+});
+
+test('saved price alerts are checked against the file feed', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tvbot-prices-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const alertsFile = path.join(dir, 'price_alerts.json');
+  const feedFile = path.join(dir, 'prices.csv');
+  fs.writeFileSync(alertsFile, JSON.stringify({
+    nextId: 2,
+    alerts: [{ id: 1, chatId: '201', ticker: 'ETH', condition: 'crosses above', level: 3000, note: null }],
+  }));
+  fs.writeFileSync(feedFile, 'ticker,price\nETH,2950\nETH,3010\n');
+
+  const app = await startTestApp({
+    chats: [{ id: '201', status: 'approved' }],
+    env: { PRICE_ALERTS_FILE: alertsFile, PRICE_FEED: 'file', PRICE_FEED_FILE: feedFile, PRICE_FEED_INTERVAL: '0' },
+  });
+  t.after(() => app.close());
+
+  await app.fake.waitFor('sendMessage', params => params.chat_id === '201' && /ETH is at <b>3,010<\/b> \(from 2,950\)/.test(params.text));
+  await waitUntil(() => JSON.parse(fs.readFileSync(alertsFile, 'utf8')).alerts.length === 0);
+});
@@ -0,0 +1,271 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startTestApp, waitUntil, ADMIN_TOKEN } from './helpers.js';
+import { createRoutingStore, loadRoutingConfig, resolveRecipients } from '../lib/routing.js';
+import { createAlertHistory, parseAlertQuery } from '../lib/history.js';
+import { createDeliveryQueue } from '../lib/queue.js';
+
+const subscribers = [
+  { id: '101', username: 'alice', status: 'approved' },
+  { id: '102', username: 'bob', status: 'approved' },
+  { id: '103', username: 'carol', status: 'pending' },
+];
+
+test('fans an alert out to every approved subscriber', async t => {
+  const app = await startTestApp({ chats: subscribers });
+  t.after(() => app.close());
+
+  const res = await app.request('POST', '/tv-webhook', { ticker: 'BTCUSDT', action: 'buy', price: 65000 });
+  assert.equal(res.status, 202);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.queued, 2);
+
+  await app.fake.waitFor('sendMessage', params => params.chat_id === '101');
+  await app.fake.waitFor('sendMessage', params => params.chat_id === '102');
+  assert.equal(app.fake.sent('103').length, 0);
+  const [message] = app.fake.sent('101');
+  assert.match(message.text, /📊 <b>Symbol:<\/b> BTCUSDT/);
+  assert.equal(message.parse_mode, 'HTML');
+});
+
+test('sends to an explicit chat_id only', async t => {
+  const app = await startTestApp({ chats: subscribers });
+  t.after(() => app.close());
+
+  const res = await app.request('POST', '/tv-webhook', { ticker: 'ETH', action: 'sell', chat_id: '102' });
+  assert.equal(res.body.queued, 1);
+  await app.fake.waitFor('sendMessage', params => params.chat_id === '102');
+  assert.equal(app.fake.sent('101').length, 0);
+});
+
+test('skips subscribers whose filters do not match', async t => {
+  const app = await startTestApp({
+    chats: [
+      { id: '101', status: 'approved', subscriptions: { tickers: ['NIFTY'] } },
+      { id: '102', status: 'approved' },
+    ],
+  });
+  t.after(() => app.close());
+
+  const res = await app.request('POST', '/tv-webhook', { ticker: 'BTCUSDT', action: 'buy' });
+  assert.equal(res.body.queued, 1);
+  await app.fake.waitFor('sendMessage', params => params.chat_id === '102');
+  assert.equal(app.fake.sent('101').length, 0);
+});
+
+test('suppresses duplicate alerts', async t => {
+  const app = await startTestApp({ chats: subscribers });
+  t.after(() => app.close());
+
+  const alert = { ticker: 'BTCUSDT', action: 'buy', id: 'same-alert' };
+  assert.equal((await app.request('POST', '/tv-webhook', alert)).body.queued, 2);
+  const second = await app.request('POST', '/tv-webhook', alert);
+  assert.equal(second.body.suppressed, true);
+});
+
+test('rejects alerts without the shared secret', async t => {
+  const app = await startTestApp({ chats: subscribers, env: { SHARED_SECRET: 's3cret' } });
+  t.after(() => app.close());
+
+  const denied = await app.request('POST', '/tv-webhook', { ticker: 'BTCUSDT', action: 'buy' });
+  assert.equal(denied.status, 401);
+  const allowed = await app.request('POST', '/tv-webhook', { ticker: 'BTCUSDT', action: 'buy', secret: 's3cret' });
+  assert.equal(allowed.status, 202);
+  await app.fake.waitFor('sendMessage', params => params.chat_id === '101');
+  assert.doesNotMatch(app.fake.sent('101')[0].text, /s3cret/);
+});
+
+test('maps nested strategy alerts without repeating the strategy object', async t => {
+  const app = await startTestApp({ chats: subscribers });
+  t.after(() => app.close());
+
+  const res = await app.request('POST', '/hook/strategy', {
+    ticker: 'BTCUSDT',
+    strategy: { order: { action: 'sell', contracts: 2, price: 65000 }, position_size: 0, market_position: 'flat' },
+  });
+  assert.equal(res.status, 202);
+  const { params } = await app.fake.waitFor('sendMessage', p => p.chat_id === '101');
+  assert.match(params.text, /EXIT/);
+  assert.match(params.text, /Quantity:<\/b> 2/);
+  assert.match(params.text, /Order Action:<\/b> SELL/);
+  assert.doesNotMatch(params.text, /Strategy/);
+});
+
+test('the strategy template shows the position size of a strategy alert', async t => {
+  // The templates that ship with the bot
+  const app = await startTestApp({ chats: subscribers, env: { TEMPLATES_DIR: fileURLToPath(new URL('../templates', import.meta.url)) } });
+  t.after(() => app.close());
+
+  const res = await app.request('POST', '/hook/strategy', {
+    ticker: 'BTCUSDT',
+    template: 'strategy',
+    strategy: { order: { action: 'buy', contracts: 2, price: 65000 }, position_size: 3, market_position: 'long' },
+  });
+  assert.equal(res.status, 202);
+  const { params } = await app.fake.waitFor('sendMessage', p => p.chat_id === '101');
+  assert.match(params.text, /Entry:<\/b> 65,000\.00/);
+  assert.match(params.text, /📦 <b>Position Size:<\/b> 3/);
+});
+
+test('retries after a 429 with the retry_after delay', async t => {
+  const app = await startTestApp({ chats: [{ id: '101', status: 'approved' }] });
+  t.after(() => app.close());
+
+  app.fake.failNext('sendMessage', {
+    error_code: 429,
+    description: 'Too Many Requests: retry after 1',
+    parameters: { retry_after: 1 },
+  });
+  await app.request('POST', '/tv-webhook', { ticker: 'BTCUSDT', action: 'buy' });
+
+  const first = await app.fake.waitFor('sendMessage');
+  const retried = await app.fake.waitFor('sendMessage', () => app.fake.sent('101').length >= 2);
+  assert.ok(retried.at - first.at >= 900, 'waited for retry_after');
+  await waitUntil(async () => (await app.request('GET', '/queue', undefined, { 'x-admin-token': ADMIN_TOKEN })).body.pending === 0);
+});
+
+test('the queue caps 429 retries, drops photo data from dead letters and batches writes', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tvbot-queue-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'outbox.json');
+  const responses = {
+    '101': { ok: false, error_code: 429, description: 'Too Many Requests', parameters: { retry_after: 0.05 } },
+    '102': { ok: false, error_code: 403, description: 'Forbidden: bot was blocked by the user' },
+  };
+  const sent = [];
+  const queue = createDeliveryQueue({
+    file,
+    send: async job => {
+      sent.push(job.chatId);
+      return responses[job.chatId];
+    },
+    perChatIntervalMs: 0,
+    maxRateLimits: 3,
+  });
+  t.after(() => queue.stop());
+  queue.start();
+
+  const jobs = queue.enqueue([
+    { chatId: '101', payload: { text: 'hi' } },
+    { chatId: '102', payload: { photo: { data: 'aGVsbG8=', mimeType: 'image/png' }, caption: 'chart' } },
+  ]);
+  // New messages are on disk as soon as enqueue returns
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).pending.map(job => job.id), jobs.map(job => job.id));
+  await waitUntil(() => queue.stats().dead === 2);
+
+  assert.equal(sent.filter(id => id === '101').length, 3);
+  const photo = queue.deadLetters().find(job => job.chatId === '102');
+  assert.deepEqual(photo.payload.photo, { mimeType: 'image/png', dropped: 'base64 (5 bytes)' });
+
+  queue.stop();
+  const saved = fs.readFileSync(file, 'utf8');
+  assert.ok(!saved.includes('aGVsbG8='));
+  assert.ok(!saved.includes('\n'));
+  assert.equal(JSON.parse(saved).dead.length, 2);
+});
+
+test('deactivates a chat that blocked the bot (403)', async t => {
+  const app = await startTestApp({ chats: subscribers });
+  t.after(() => app.close());
+
+  app.fake.failChat('102', { error_code: 403, description: 'Forbidden: bot was blocked by the user' });
+  await app.request('POST', '/tv-webhook', { ticker: 'BTCUSDT', action: 'buy' });
+  await app.fake.waitFor('sendMessage', params => params.chat_id === '102');
+
+  await waitUntil(async () => (await app.request('GET', '/subscribers/102', undefined, { 'x-admin-token': ADMIN_TOKEN })).body.status === 'inactive');
+
+  const res = await app.request('POST', '/tv-webhook', { ticker: 'ETH', action: 'sell' });
+  assert.equal(res.body.queued, 1);
+});
+
+test('routing regexes are checked when the rules file loads', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tvbot-routes-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'routes.json');
+  const rules = [
+    { match: { ticker: '/^BTC/' }, chat_ids: ['101'] },
+    { match: { action: 'buy', ticker: '/[/' }, chat_ids: ['102'] },
+  ];
+
+  fs.writeFileSync(file, JSON.stringify({ rules }));
+  assert.throws(() => loadRoutingConfig(file), /Rule #2 in .*routes\.json: Invalid pattern \/\[\/: /);
+  assert.throws(() => createRoutingStore(file), /Invalid routing file/);
+
+  fs.writeFileSync(file, JSON.stringify({ rules: rules.slice(0, 1) }));
+  const store = createRoutingStore(file);
+  const route = resolveRecipients({ ticker: 'btcusdt' }, { config: store.get(), fallback: 'none', allChatIds: [] });
+  assert.deepEqual(route.chatIds, ['101']);
+
+  // A running server keeps its last good rules
+  fs.writeFileSync(file, JSON.stringify({ rules }));
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+  assert.equal(store.get().rules.length, 1);
+});
+
+test('the alert history keeps status counts, prunes old alerts while running and batches writes', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tvbot-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'alerts.jsonl');
+  const history = createAlertHistory({ file, retentionMs: 200 });
+
+  const old = history.record({ alert: { ticker: 'BTCUSDT', action: 'buy' } });
+  history.recordDelivery(old.id, { jobId: 'j1', chatId: '101', status: 'pending' });
+  history.record({ alert: { ticker: 'ETHUSDT' }, outcome: 'suppressed' });
+  assert.equal(history.stats().pending, 1);
+  history.recordDelivery(old.id, { jobId: 'j1', status: 'delivered' });
+  assert.deepEqual([history.stats().total, history.stats().pending, history.stats().delivered, history.stats().suppressed], [2, 0, 1, 1]);
+
+  await new Promise(resolve => setTimeout(resolve, 250));
+  const fresh = history.record({ alert: { ticker: 'SOLUSDT' } });
+  assert.equal(history.prune(), 2);
+  const { total, delivered, suppressed, unrouted } = history.stats();
+  assert.deepEqual([total, delivered, suppressed, unrouted], [1, 0, 0, 1]);
+  assert.deepEqual(fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).id), [fresh.id]);
+
+  // Newest first, paginated
+  const second = history.record({ alert: { ticker: 'SOLUSDT' } });
+  const { filters } = parseAlertQuery({ ticker: 'sol*', limit: '1', offset: '1' });
+  const page = history.query(filters);
+  assert.deepEqual([page.total, page.alerts.map(a => a.id)], [2, [fresh.id]]);
+  assert.equal(history.query(filters, { paginate: false }).alerts[0].id, second.id);
+
+  // New events are written in batches, not on the request path
+  assert.ok(!fs.readFileSync(file, 'utf8').includes(second.id));
+  history.flush();
+  assert.ok(fs.readFileSync(file, 'utf8').includes(second.id));
+});
+
+test('webhook signing secrets stay out of the queue file and GET /queue', async t => {
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      received.push(req.headers);
+      res.writeHead(400).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => receiver.close(resolve)));
+  const url = `http://127.0.0.1:${receiver.address().port}/alerts`;
+
+  const app = await startTestApp({ chats: [{ id: 'desk', type: 'webhook', url, secret: 'hook-secret', status: 'approved' }] });
+  t.after(() => app.close());
+  await app.request('POST', '/tv-webhook', { ticker: 'BTCUSDT', action: 'buy' });
+
+  // Still signed with the subscriber's secret, then dead-lettered by the 400
+  await waitUntil(() => received.length === 1);
+  assert.match(received[0]['x-webhook-signature'], /^sha256=/);
+  const queue = await waitUntil(async () => {
+    const res = await app.request('GET', '/queue', undefined, { 'x-admin-token': ADMIN_TOKEN });
+    return res.body.dead === 1 && res;
+  });
+  assert.equal(queue.body.deadLetters[0].destination.url, url);
+  assert.equal(queue.body.deadLetters[0].destination.secret, undefined);
+  assert.ok(!queue.text.includes('hook-secret'));
+  assert.ok(!fs.readFileSync(path.join(app.dir, 'outbox.json'), 'utf8').includes('hook-secret'));
+});